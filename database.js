@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { toInstant } = require('./services/airportService');
 
 console.log('Connecting with DATABASE_URL:', process.env.DATABASE_URL ? 'Loaded' : 'Not Found');
 
@@ -35,6 +36,14 @@ const createTables = async () => {
         subscription_plan VARCHAR(50) DEFAULT 'free',
         stripe_customer_id VARCHAR(255) UNIQUE, -- New: For Stripe integration
         lifetime_savings NUMERIC(10, 2) DEFAULT 0.00, -- New: For lifetime savings counter
+        savings_by_currency JSONB DEFAULT '{}', -- Lifetime savings per currency code, e.g. {"USD": 80.2}
+        locale VARCHAR(35) DEFAULT 'en-US', -- Language and formatting for notifications
+        digest_frequency VARCHAR(10) DEFAULT 'weekly', -- daily, weekly or off
+        last_digest_sent_at TIMESTAMPTZ,
+        muted_notification_types TEXT[] DEFAULT '{}', -- Notification types the user unsubscribed from
+        quiet_hours_start VARCHAR(5), -- e.g. 22:00, in the user's timezone
+        quiet_hours_end VARCHAR(5),
+        timezone VARCHAR(64),
         total_flights INTEGER DEFAULT 0,
         last_activity TIMESTAMP DEFAULT NOW(),
         created_at TIMESTAMP DEFAULT NOW(),
@@ -51,7 +60,16 @@ const createTables = async () => {
       'last_activity': 'TIMESTAMP DEFAULT NOW()', 
       'updated_at': 'TIMESTAMP DEFAULT NOW()',
       'stripe_customer_id': 'VARCHAR(255) UNIQUE',
-      'lifetime_savings': 'NUMERIC(10, 2) DEFAULT 0.00'
+      'lifetime_savings': 'NUMERIC(10, 2) DEFAULT 0.00',
+      'savings_by_currency': "JSONB DEFAULT '{}'",
+      'locale': "VARCHAR(35) DEFAULT 'en-US'",
+      'digest_frequency': "VARCHAR(10) DEFAULT 'weekly'",
+      'last_digest_sent_at': 'TIMESTAMPTZ',
+      'muted_notification_types': "TEXT[] DEFAULT '{}'",
+      'quiet_hours_start': 'VARCHAR(5)',
+      'quiet_hours_end': 'VARCHAR(5)',
+      'timezone': 'VARCHAR(64)',
+      'inbound_alias': 'VARCHAR(32) UNIQUE'
     };
 
     const existingUserColumns = await pool.query(`
@@ -122,16 +140,21 @@ const createTables = async () => {
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW(),
         
-        departure_date_time TIMESTAMP,
-        arrival_date_time TIMESTAMP,
+        departure_date_time TIMESTAMPTZ, -- Local departure_date/departure_time resolved with the airport's timezone
+        arrival_date_time TIMESTAMPTZ,
         departure_date_legacy TIMESTAMP,
         base_fare NUMERIC(10, 2),
         taxes_fees NUMERIC(10, 2),
         price_drop_amount NUMERIC(10, 2),
         price_alert_sent BOOLEAN DEFAULT FALSE,
         passenger_count INTEGER DEFAULT 1,
+        passenger_types JSONB, -- { adults, children, infants }; total_price and fare checks cover all of them
+        inbound_email_id INTEGER, -- The forwarded confirmation the trip was imported from
         check_frequency_hours INTEGER DEFAULT 24,
-        next_check_at TIMESTAMP DEFAULT NOW() + INTERVAL '24 hours'
+        next_check_at TIMESTAMP DEFAULT NOW() + INTERVAL '24 hours',
+        fare_provider VARCHAR(50), -- Overrides the FARE_PROVIDER env var for this flight
+        lease_run_id INTEGER, -- price_check_runs row currently holding this flight
+        lease_expires_at TIMESTAMP
       );
     `;
 
@@ -150,7 +173,13 @@ const createTables = async () => {
         'airline_iata_code': 'VARCHAR(10)',
         'amadeus_travel_class': 'VARCHAR(50)',
         'departure_time': 'VARCHAR(10)', // <<< NEW
-        'return_time': 'VARCHAR(10)' // <<< NEW
+        'return_time': 'VARCHAR(10)', // <<< NEW
+        'fare_provider': 'VARCHAR(50)',
+        'lease_run_id': 'INTEGER',
+        'lease_expires_at': 'TIMESTAMP',
+        'passenger_count': 'INTEGER DEFAULT 1',
+        'passenger_types': 'JSONB',
+        'inbound_email_id': 'INTEGER'
     };
     
     const existingFlightColumnsResult = await pool.query(`
@@ -171,6 +200,64 @@ const createTables = async () => {
         }
     }
 
+    // departure_date_time/arrival_date_time used to be plain TIMESTAMPs; they now hold true instants
+    try {
+      const dateTimeColumns = await pool.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'flights' AND column_name IN ('departure_date_time', 'arrival_date_time')
+        AND data_type = 'timestamp without time zone'
+      `);
+      for (const { column_name } of dateTimeColumns.rows) {
+        await pool.query(`ALTER TABLE flights ALTER COLUMN ${column_name} TYPE TIMESTAMPTZ USING ${column_name} AT TIME ZONE 'UTC';`);
+        console.log(`Converted flight column ${column_name} to TIMESTAMPTZ.`);
+      }
+    } catch (err) {
+      console.warn('Flight date-time column conversion warning:', err.message);
+    }
+
+    // Backfill departure instants for active trips saved before they were recorded
+    try {
+      const { rows: undatedFlights } = await pool.query(`
+        SELECT flight_id, departure_airport, departure_date, departure_time
+        FROM flights
+        WHERE is_active = TRUE AND departure_date_time IS NULL AND departure_date IS NOT NULL
+      `);
+      let backfilled = 0;
+      for (const flight of undatedFlights) {
+        const departureDateTime = toInstant(flight.departure_date, flight.departure_time, flight.departure_airport);
+        if (departureDateTime) {
+          await pool.query('UPDATE flights SET departure_date_time = $1 WHERE flight_id = $2', [departureDateTime, flight.flight_id]);
+          backfilled++;
+        }
+      }
+      if (backfilled > 0) {
+        console.log(`Backfilled departure_date_time for ${backfilled} flights.`);
+      }
+    } catch (err) {
+      console.warn('Departure date-time backfill warning:', err.message);
+    }
+
+    // Savings credited before they were kept per currency go under the user's most common trip currency
+    try {
+      const backfilledSavings = await pool.query(`
+        UPDATE users u
+        SET savings_by_currency = jsonb_build_object(
+          COALESCE((
+            SELECT f.currency FROM flights f
+            WHERE f.user_id = u.user_id AND f.currency IS NOT NULL
+            GROUP BY f.currency ORDER BY COUNT(*) DESC, f.currency LIMIT 1
+          ), 'USD'),
+          u.lifetime_savings
+        )
+        WHERE u.lifetime_savings > 0 AND COALESCE(u.savings_by_currency, '{}') = '{}'
+      `);
+      if (backfilledSavings.rowCount > 0) {
+        console.log(`Backfilled savings_by_currency for ${backfilledSavings.rowCount} users.`);
+      }
+    } catch (err) {
+      console.warn('Savings currency backfill warning:', err.message);
+    }
+
     // Add constraints separately (safer approach)
     try {
       await pool.query(`
@@ -216,23 +303,289 @@ const createTables = async () => {
     await pool.query(priceHistoryTableQuery);
     console.log('Enhanced price history table ready.');
 
+    // Create flight segments table (one row per flown leg; journeys group legs between stopovers)
+    const flightSegmentsTableQuery = `
+      CREATE TABLE IF NOT EXISTS flight_segments (
+        segment_id SERIAL PRIMARY KEY,
+        flight_id INTEGER REFERENCES flights(flight_id) ON DELETE CASCADE,
+        segment_index INTEGER NOT NULL, -- Order of the leg across the whole itinerary
+        journey_index INTEGER NOT NULL DEFAULT 0, -- 0 = outbound, 1 = return or second city pair, ...
+        carrier_code VARCHAR(10),
+        flight_number VARCHAR(20),
+        origin VARCHAR(10) NOT NULL,
+        destination VARCHAR(10) NOT NULL,
+        departure_date VARCHAR(50), -- Local to the origin airport
+        departure_time VARCHAR(10),
+        arrival_date VARCHAR(50), -- Local to the destination airport
+        arrival_time VARCHAR(10),
+        cabin VARCHAR(50),
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(flight_id, segment_index)
+      );
+    `;
+
+    await pool.query(flightSegmentsTableQuery);
+    console.log('Flight segments table ready.');
+
+    // Migrate trips stored only as departure/arrival airports plus all_dates/all_times:
+    // the booked route on the first date, and the reverse route on the second date if any.
+    try {
+      const segmentMigration = await pool.query(`
+        WITH legacy AS (
+          SELECT * FROM flights f
+          WHERE f.departure_airport IS NOT NULL AND f.arrival_airport IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM flight_segments s WHERE s.flight_id = f.flight_id)
+        )
+        INSERT INTO flight_segments (flight_id, segment_index, journey_index, carrier_code, flight_number, origin, destination, departure_date, departure_time, cabin)
+        SELECT flight_id, 0, 0, airline_iata_code, flight_number, departure_airport, arrival_airport,
+          COALESCE(departure_date, all_dates->>0), COALESCE(departure_time, all_times->>0), amadeus_travel_class
+        FROM legacy
+        UNION ALL
+        SELECT flight_id, 1, 1, airline_iata_code, NULL, arrival_airport, departure_airport,
+          all_dates->>1, COALESCE(return_time, all_times->>1), amadeus_travel_class
+        FROM legacy
+        WHERE jsonb_typeof(all_dates) = 'array' AND jsonb_array_length(all_dates) > 1;
+      `);
+      if (segmentMigration.rowCount > 0) {
+        console.log(`Migrated ${segmentMigration.rowCount} legacy itinerary legs into flight_segments.`);
+      }
+    } catch (err) {
+      console.warn('Legacy itinerary migration warning:', err.message);
+    }
+
     // Create alerts table
     const alertsTableQuery = `
       CREATE TABLE IF NOT EXISTS price_alerts (
         alert_id SERIAL PRIMARY KEY,
         flight_id INTEGER REFERENCES flights(flight_id) ON DELETE CASCADE,
         user_id VARCHAR(255) REFERENCES users(user_id),
-        alert_type VARCHAR(50),
+        alert_type VARCHAR(50), -- target_price, percent_drop, amount_drop or below_lowest
         threshold_price NUMERIC(10, 2),
+        threshold_percent NUMERIC(5, 2),
+        cooldown_hours INTEGER DEFAULT 24,
         is_active BOOLEAN DEFAULT TRUE,
         last_triggered TIMESTAMP,
-        created_at TIMESTAMP DEFAULT NOW()
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
       );
     `;
 
     await pool.query(alertsTableQuery);
     console.log('Price alerts table ready.');
 
+    // Add rule columns to an existing price_alerts table
+    const alertColumnsToAdd = {
+      'threshold_percent': 'NUMERIC(5, 2)',
+      'cooldown_hours': 'INTEGER DEFAULT 24',
+      'updated_at': 'TIMESTAMP DEFAULT NOW()'
+    };
+
+    const existingAlertColumnsResult = await pool.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_name = 'price_alerts';
+    `);
+    const existingAlertColumns = existingAlertColumnsResult.rows.map(row => row.column_name);
+
+    for (const [columnName, columnType] of Object.entries(alertColumnsToAdd)) {
+      if (!existingAlertColumns.includes(columnName)) {
+        try {
+          await pool.query(`ALTER TABLE price_alerts ADD COLUMN ${columnName} ${columnType};`);
+          console.log(`Added price alert column: ${columnName}`);
+        } catch (err) {
+          console.warn(`Failed to add price alert column ${columnName}:`, err.message);
+        }
+      }
+    }
+
+    // Create price check runs table (one row per scheduled runner invocation)
+    const priceCheckRunsTableQuery = `
+      CREATE TABLE IF NOT EXISTS price_check_runs (
+        run_id SERIAL PRIMARY KEY,
+        runner_id VARCHAR(255),
+        status VARCHAR(20) DEFAULT 'running',
+        started_at TIMESTAMP DEFAULT NOW(),
+        finished_at TIMESTAMP,
+        flights_claimed INTEGER DEFAULT 0,
+        flights_checked INTEGER DEFAULT 0,
+        flights_no_offers INTEGER DEFAULT 0,
+        flights_failed INTEGER DEFAULT 0,
+        failures JSONB DEFAULT '[]'::jsonb,
+        error TEXT
+      );
+    `;
+
+    await pool.query(priceCheckRunsTableQuery);
+    console.log('Price check runs table ready.');
+
+    // Create notification preferences table (where each user wants alerts delivered)
+    const notificationPreferencesTableQuery = `
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        preference_id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        channel VARCHAR(20) NOT NULL, -- email, sms, web_push or webhook
+        destination TEXT NOT NULL, -- Email address, E.164 number, push endpoint or webhook URL
+        config JSONB DEFAULT '{}'::jsonb, -- Push subscription keys, webhook signing secret
+        is_enabled BOOLEAN DEFAULT TRUE,
+        last_delivered_at TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(user_id, channel, destination)
+      );
+    `;
+
+    await pool.query(notificationPreferencesTableQuery);
+    console.log('Notification preferences table ready.');
+
+    // Create notification outbox table (messages queued in the same transaction as the change that caused them)
+    const notificationOutboxTableQuery = `
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        outbox_id SERIAL PRIMARY KEY,
+        dedupe_key TEXT NOT NULL UNIQUE, -- e.g. price_drop:<flight>:<price>:<rules>:<channel>:<destination>
+        user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE CASCADE,
+        flight_id INTEGER REFERENCES flights(flight_id) ON DELETE SET NULL,
+        preference_id INTEGER REFERENCES notification_preferences(preference_id) ON DELETE SET NULL,
+        channel VARCHAR(20) NOT NULL,
+        destination TEXT NOT NULL,
+        config JSONB DEFAULT '{}'::jsonb,
+        message JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending', -- pending, processing, sent, suppressed or dead
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        next_attempt_at TIMESTAMP DEFAULT NOW(),
+        locked_until TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        sent_at TIMESTAMP
+      );
+    `;
+
+    await pool.query(notificationOutboxTableQuery);
+    console.log('Notification outbox table ready.');
+
+    // Create email suppressions table (addresses SendGrid reported as bounced, spam-reported or unsubscribed)
+    const emailSuppressionsTableQuery = `
+      CREATE TABLE IF NOT EXISTS email_suppressions (
+        email VARCHAR(255) PRIMARY KEY, -- Lower-cased
+        reason VARCHAR(30) NOT NULL, -- The SendGrid event: bounce, dropped, spamreport, unsubscribe or group_unsubscribe
+        details TEXT,
+        sg_event_id VARCHAR(255),
+        event_count INTEGER DEFAULT 1,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+
+    await pool.query(emailSuppressionsTableQuery);
+    console.log('Email suppressions table ready.');
+
+    // Create inbound emails table (every forwarded confirmation, kept so failures can be debugged and reprocessed)
+    const inboundEmailsTableQuery = `
+      CREATE TABLE IF NOT EXISTS inbound_emails (
+        inbound_email_id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE SET NULL, -- Null until the sender or alias is matched to a user
+        from_address TEXT,
+        subject TEXT,
+        payload JSONB NOT NULL, -- The Inbound Parse form fields as received: from, to, envelope, subject, html, text...
+        status VARCHAR(20) NOT NULL DEFAULT 'received', -- received, imported, pending_review, duplicate, unmatched or failed
+        parser VARCHAR(50),
+        parse_source VARCHAR(255), -- html, text, html-text or attachment:<file name>
+        extracted JSONB, -- The parsed trips (one per booking reference), also kept when saving failed
+        error TEXT,
+        flight_id INTEGER REFERENCES flights(flight_id) ON DELETE SET NULL, -- The first trip imported; flights.inbound_email_id links them all
+        attempts INTEGER DEFAULT 0,
+        failure_notified_at TIMESTAMP,
+        received_at TIMESTAMP DEFAULT NOW(),
+        processed_at TIMESTAMP
+      );
+    `;
+
+    await pool.query(inboundEmailsTableQuery);
+
+    const inboundEmailAttachmentsTableQuery = `
+      CREATE TABLE IF NOT EXISTS inbound_email_attachments (
+        attachment_id SERIAL PRIMARY KEY,
+        inbound_email_id INTEGER NOT NULL REFERENCES inbound_emails(inbound_email_id) ON DELETE CASCADE,
+        file_name VARCHAR(255),
+        mime_type VARCHAR(100),
+        content BYTEA NOT NULL
+      );
+    `;
+
+    await pool.query(inboundEmailAttachmentsTableQuery);
+    console.log('Inbound email tables ready.');
+
+    // Create pending trips table (parsed trips the parser wasn't sure of, held until the user confirms them)
+    const pendingTripsTableQuery = `
+      CREATE TABLE IF NOT EXISTS pending_trips (
+        pending_trip_id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        inbound_email_id INTEGER REFERENCES inbound_emails(inbound_email_id) ON DELETE SET NULL,
+        parser VARCHAR(50),
+        trip JSONB NOT NULL, -- The parsed trip, with any corrections the user has made
+        confidence JSONB NOT NULL, -- { fields, overall, lowConfidenceFields }; corrected fields score 1
+        status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, confirmed or discarded
+        flight_id INTEGER REFERENCES flights(flight_id) ON DELETE SET NULL, -- Set once confirmed
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        resolved_at TIMESTAMP
+      );
+    `;
+
+    await pool.query(pendingTripsTableQuery);
+    console.log('Pending trips table ready.');
+
+    // Create admin API keys table (only a hash of each key is stored)
+    const adminApiKeysTableQuery = `
+      CREATE TABLE IF NOT EXISTS admin_api_keys (
+        api_key_id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(20) UNIQUE NOT NULL, -- The key's public "fak_<hex>" part, used to look it up
+        key_hash VARCHAR(64) NOT NULL, -- SHA-256 of the whole key
+        scopes TEXT[] NOT NULL, -- e.g. read:stats, write:flights, billing
+        created_by VARCHAR(255), -- <actor type>:<actor id> of whoever created it
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      );
+    `;
+
+    await pool.query(adminApiKeysTableQuery);
+
+    // Create audit log table (one row per admin action, never updated)
+    const auditLogTableQuery = `
+      CREATE TABLE IF NOT EXISTS audit_log (
+        audit_id BIGSERIAL PRIMARY KEY,
+        actor_type VARCHAR(20) NOT NULL, -- api_key or cli
+        actor_id VARCHAR(255) NOT NULL, -- The API key ID, or the OS user for cli
+        actor_name VARCHAR(255),
+        actor_ip VARCHAR(64),
+        action VARCHAR(50) NOT NULL, -- e.g. api_key.create, user.plan_change
+        target_type VARCHAR(50),
+        target_id VARCHAR(255),
+        diff JSONB NOT NULL DEFAULT '{}', -- { field: { from, to } }
+        details JSONB NOT NULL DEFAULT '{}', -- Anything else about the action, e.g. the flights a cleanup deactivated
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+
+    await pool.query(auditLogTableQuery);
+    console.log('Admin API key and audit log tables ready.');
+
+    // Create rate limit counters table (used when RATE_LIMIT_STORE=postgres, so limits hold across instances)
+    const rateLimitCountersTableQuery = `
+      CREATE TABLE IF NOT EXISTS rate_limit_counters (
+        bucket_key VARCHAR(255) PRIMARY KEY, -- <bucket>:<user:ID, api_key:ID, ip:ADDRESS or inbound:ADDRESS>
+        count INTEGER NOT NULL DEFAULT 0, -- Requests in the current window
+        reset_at TIMESTAMP NOT NULL -- When the current window ends
+      );
+    `;
+
+    await pool.query(rateLimitCountersTableQuery);
+
     // Create performance indexes separately
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_flights_user_id_active ON flights(user_id) WHERE is_active = true;',
@@ -241,6 +594,7 @@ const createTables = async () => {
       'CREATE INDEX IF NOT EXISTS idx_flights_booking_ref_user ON flights(user_id, booking_reference);',
       'CREATE INDEX IF NOT EXISTS idx_flights_route ON flights(departure_airport, arrival_airport);',
       'CREATE INDEX IF NOT EXISTS idx_flights_airline ON flights(airline);',
+      'CREATE INDEX IF NOT EXISTS idx_flights_inbound_email ON flights(inbound_email_id) WHERE inbound_email_id IS NOT NULL;',
       'CREATE INDEX IF NOT EXISTS idx_flights_airline_iata_code ON flights(airline_iata_code) WHERE airline_iata_code IS NOT NULL;',
       'CREATE INDEX IF NOT EXISTS idx_flights_created_at ON flights(created_at DESC);',
       'CREATE INDEX IF NOT EXISTS idx_flights_departure_date ON flights(departure_date);',
@@ -252,7 +606,19 @@ const createTables = async () => {
       'CREATE INDEX IF NOT EXISTS idx_users_subscription ON users(subscription_plan);',
       'CREATE INDEX IF NOT EXISTS idx_users_stripe_customer_id ON users(stripe_customer_id) WHERE stripe_customer_id IS NOT NULL;',
       'CREATE INDEX IF NOT EXISTS idx_price_history_flight_time ON price_history(flight_id, checked_at DESC);',
-      'CREATE INDEX IF NOT EXISTS idx_price_history_recent ON price_history(checked_at DESC);'
+      'CREATE INDEX IF NOT EXISTS idx_price_history_recent ON price_history(checked_at DESC);',
+      'CREATE INDEX IF NOT EXISTS idx_price_check_runs_started ON price_check_runs(started_at DESC);',
+      'CREATE INDEX IF NOT EXISTS idx_price_alerts_flight_active ON price_alerts(flight_id) WHERE is_active = true;',
+      'CREATE INDEX IF NOT EXISTS idx_flight_segments_route ON flight_segments(origin, destination);',
+      'CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);',
+      'CREATE INDEX IF NOT EXISTS idx_inbound_emails_status_received ON inbound_emails(status, received_at DESC);',
+      'CREATE INDEX IF NOT EXISTS idx_inbound_emails_user_received ON inbound_emails(user_id, received_at DESC);',
+      'CREATE INDEX IF NOT EXISTS idx_inbound_email_attachments_email ON inbound_email_attachments(inbound_email_id);',
+      'CREATE INDEX IF NOT EXISTS idx_pending_trips_user_status ON pending_trips(user_id, status, created_at DESC);',
+      'CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);',
+      'CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, audit_id DESC);',
+      'CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id, audit_id DESC);',
+      'CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset ON rate_limit_counters(reset_at);'
     ];
 
     console.log('Creating performance indexes...');
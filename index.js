@@ -11,10 +11,30 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
 // <<< NEW: Dependencies for email parsing >>>
 const multer = require('multer');
-const upload = multer();
-// Assuming the new parser service is created at this location
-const { processInboundEmail } = require('./services/emailParserService');
+const { MAX_ATTACHMENT_BYTES, MAX_ATTACHMENTS } = require('./services/emailAttachmentService');
+// SendGrid's Inbound Parse posts attachments as attachment1..N file fields
+const upload = multer({ limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS } });
+const inboundEmailService = require('./services/inboundEmailService');
 // <<< END OF NEW CODE BLOCK >>>
+const { getTripPriceHistory } = require('./services/priceHistoryService');
+const alertRuleService = require('./services/alertRuleService');
+const { getFareTrend } = require('./services/fareTrendService');
+const { applyItinerary, saveSegments, getItinerary } = require('./services/itineraryService');
+const { validateAirportCode } = require('./services/airportService');
+const { normalizePassengerMix } = require('./services/passengerService');
+const notificationPreferenceService = require('./services/notificationPreferenceService');
+const notificationOutboxService = require('./services/notificationOutboxService');
+const templateService = require('./services/templateService');
+const notificationSettingsService = require('./services/notificationSettingsService');
+const emailSuppressionService = require('./services/emailSuppressionService');
+const inboundAddressService = require('./services/inboundAddressService');
+const pendingTripService = require('./services/pendingTripService');
+const { authenticateToken } = require('./services/authService');
+const adminApiKeyService = require('./services/adminApiKeyService');
+const { ADMIN_SCOPES } = adminApiKeyService;
+const auditLogService = require('./services/auditLogService');
+const { AUDIT_ACTIONS, buildDiff, getRequestActor, recordAuditEvent } = auditLogService;
+const { RATE_LIMIT_BUCKETS, consumeRateLimit, getUserPlan } = require('./services/rateLimitService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -118,41 +138,78 @@ app.post('/stripe-webhook', express.raw({type: 'application/json'}), async (req,
   res.status(200).json({ received: true });
 });
 
+// SendGrid Event Webhook: bounces, spam reports and unsubscribes. Like the Stripe webhook
+// it needs the raw body to verify the signature, so it also comes before express.json().
+app.post('/api/webhooks/sendgrid-events', express.raw({ type: 'application/json' }), async (req, res) => {
+  let events;
+  try {
+    emailSuppressionService.verifyEventWebhookSignature(
+      req.body,
+      req.headers['x-twilio-email-event-webhook-signature'],
+      req.headers['x-twilio-email-event-webhook-timestamp']
+    );
+    events = JSON.parse(req.body.toString('utf8'));
+  } catch (err) {
+    console.error('❌ SendGrid event webhook rejected.', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    const result = await emailSuppressionService.recordEmailEvents(events);
+    res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    // A 5xx makes SendGrid retry the batch later
+    console.error('Error recording SendGrid events:', error);
+    res.status(500).json({ error: 'Failed to record events.' });
+  }
+});
+
 // Enhanced JSON parsing with size limits
 app.use(express.json({ limit: '1mb' }));
 
-// Rate limiting middleware (simple implementation)
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 100; // Max requests per window per IP
+/**
+ * Rate-limits requests with one of RATE_LIMIT_BUCKETS. Responses carry the RateLimit-*
+ * headers of whichever bucket the request is closest to exhausting; a request over any
+ * limit gets a 429 with Retry-After. If the counter store is unavailable, requests are let through.
+ * @param {string} bucket - The bucket.
+ * @param {Function} getSubject - (req) => { key, plan } (or a promise of it) naming who is limited.
+ * @returns {Function} The middleware.
+ */
+const rateLimit = (bucket, getSubject) => async (req, res, next) => {
+  let result;
+  try {
+    result = await consumeRateLimit(bucket, await getSubject(req));
+  } catch (error) {
+    console.error(`Rate limit check failed for ${bucket}, allowing request:`, error.message);
+    return next();
+  }
 
-app.use((req, res, next) => {
-  const clientIp = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  
-  if (!rateLimitMap.has(clientIp)) {
-    rateLimitMap.set(clientIp, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-  } else {
-    const clientData = rateLimitMap.get(clientIp);
-    
-    if (now > clientData.resetTime) {
-      // Reset the rate limit window
-      clientData.count = 1;
-      clientData.resetTime = now + RATE_LIMIT_WINDOW;
-    } else {
-      clientData.count++;
-      
-      if (clientData.count > RATE_LIMIT_MAX_REQUESTS) {
-        return res.status(429).json({ 
-          error: 'Rate limit exceeded',
-          retryAfter: Math.ceil((clientData.resetTime - now) / 1000)
-        });
-      }
-    }
+  const resetSeconds = Math.ceil(result.resetMs / 1000);
+  const shown = res.locals.rateLimit;
+  if (!shown || !result.allowed || result.remaining < shown.remaining) {
+    res.locals.rateLimit = result;
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${result.limit};w=${result.windowMs / 1000}`,
+    });
+  }
+  if (!result.allowed) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({ error: 'Rate limit exceeded', retryAfter: resetSeconds });
   }
-  
   next();
-});
+};
+
+// Limits for signed-in users come from their plan; use after authenticateUser
+const userRateLimitSubject = async (req) => ({ key: `user:${req.user.userId}`, plan: await getUserPlan(req.user.userId) });
+
+// Every request counts against its IP first, whoever it's from
+app.use(rateLimit(RATE_LIMIT_BUCKETS.IP, (req) => ({ key: `ip:${req.ip || req.connection.remoteAddress}` })));
 
 // Request logging with performance monitoring
 app.use((req, res, next) => {
@@ -222,11 +279,69 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
-app.post('/create-checkout-session', async (req, res) => {
-    const { priceId, userId } = req.body;
+const limitUserRequests = rateLimit(RATE_LIMIT_BUCKETS.API, userRateLimitSubject);
+const limitAdminRequests = rateLimit(RATE_LIMIT_BUCKETS.ADMIN, (req) => ({ key: `api_key:${req.admin.api_key_id}` }));
+// Saving a trip runs the booking checks and starts price monitoring, so it has its own, smaller bucket
+const limitTripCreation = rateLimit(RATE_LIMIT_BUCKETS.TRIP_CREATE, userRateLimitSubject);
+
+/**
+ * Verifies the Bearer token in the Authorization header and puts the signed-in user on
+ * req.user ({ userId, email, emailVerified }). Routes act for req.user.userId; a userId
+ * still sent in the path, query or body must be the same user's. The request then counts
+ * against the user's plan-based API rate limit.
+ */
+const authenticateUser = async (req, res, next) => {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Authentication required. Send a Bearer token.' });
+  }
+
+  try {
+    req.user = await authenticateToken(match[1]);
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({ error: error.message });
+    }
+    console.error('Error verifying bearer token:', error.message);
+    return res.status(500).json({ error: 'Failed to verify credentials.' });
+  }
+
+  const claimedUserIds = [req.params.userId, req.query.userId, req.body && req.body.userId]
+    .filter(claimedUserId => claimedUserId !== undefined && claimedUserId !== null && claimedUserId !== '');
+  if (claimedUserIds.some(claimedUserId => String(claimedUserId) !== req.user.userId)) {
+    return res.status(403).json({ error: 'Forbidden: you can only access your own account.' });
+  }
+  limitUserRequests(req, res, next);
+};
+
+/**
+ * Requires an admin API key with the given scope in the x-admin-key header and puts the
+ * key on req.admin. Keys are created with scripts/createAdminApiKey.js or by a key with
+ * the manage:keys scope.
+ * @param {string} scope - One of ADMIN_SCOPES.
+ * @returns {Function} The middleware.
+ */
+const requireAdminScope = (scope) => async (req, res, next) => {
+  try {
+    const key = await adminApiKeyService.authenticateApiKey(req.headers['x-admin-key']);
+    if (!key) return res.status(401).json({ error: 'Unauthorized' });
+    if (!key.scopes.includes(scope)) {
+      return res.status(403).json({ error: `Forbidden: this API key does not have the ${scope} scope.` });
+    }
+    req.admin = key;
+  } catch (error) {
+    console.error('Error checking admin API key:', error);
+    return res.status(500).json({ error: 'Failed to verify credentials.' });
+  }
+  limitAdminRequests(req, res, next);
+};
+
+app.post('/create-checkout-session', authenticateUser, async (req, res) => {
+    const { priceId } = req.body;
+    const { userId } = req.user;
 
-    if (!priceId || !userId) {
-        return res.status(400).json({ error: 'priceId and userId are required.' });
+    if (!priceId) {
+        return res.status(400).json({ error: 'priceId is required.' });
     }
 
     try {
@@ -245,19 +360,11 @@ app.post('/create-checkout-session', async (req, res) => {
     }
 });
 
-const authenticateUser = (req, res, next) => {
-  // This is a placeholder. In production, you would use Firebase Admin SDK
-  // to verify the Bearer token from the Authorization header.
-  console.log('Bypassing authentication for development. DO NOT use in production.');
-  next();
-};
-
 app.get('/api/user/me/:userId', authenticateUser, async (req, res) => {
-  const { userId } = req.params;
-  if (!userId) return res.status(400).json({ error: 'User ID is required.' });
+  const { userId } = req.user;
 
   try {
-    const userQuery = 'SELECT user_id, email, subscription_plan, lifetime_savings, stripe_customer_id FROM users WHERE user_id = $1';
+    const userQuery = 'SELECT user_id, email, subscription_plan, lifetime_savings, stripe_customer_id, locale, digest_frequency FROM users WHERE user_id = $1';
     const flightCountQuery = 'SELECT COUNT(*) as active_flights FROM flights WHERE user_id = $1 AND is_active = TRUE';
 
     const [userResult, flightCountResult] = await Promise.all([
@@ -274,9 +381,38 @@ app.get('/api/user/me/:userId', authenticateUser, async (req, res) => {
   }
 });
 
+app.patch('/api/user/me/:userId', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+  const { locale, digestFrequency } = req.body;
+
+  try {
+    const updates = {};
+    if (locale !== undefined) updates.locale = templateService.normalizeLocale(locale);
+    if (digestFrequency !== undefined) updates.digest_frequency = notificationSettingsService.validateDigestFrequency(digestFrequency);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update. Send locale and/or digestFrequency.' });
+    }
+
+    const columns = Object.keys(updates);
+    const { rows } = await pool.query(
+      `UPDATE users SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = NOW()
+       WHERE user_id = $${columns.length + 1}
+       RETURNING user_id, email, locale, digest_frequency`,
+      [...Object.values(updates), userId]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'User not found.' });
+    res.json({ message: 'Preferences updated.', user: rows[0] });
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error updating preferences for ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to update preferences.' });
+  }
+});
+
 app.post('/create-customer-portal-session', authenticateUser, async (req, res) => {
-  const { userId } = req.body;
-  if (!userId) return res.status(400).json({ error: 'userId is required.' });
+  const { userId } = req.user;
 
   try {
     const { rows } = await pool.query('SELECT stripe_customer_id FROM users WHERE user_id = $1', [userId]);
@@ -295,8 +431,7 @@ app.post('/create-customer-portal-session', authenticateUser, async (req, res) =
 });
 
 app.post('/cancel-subscription', authenticateUser, async (req, res) => {
-  const { userId } = req.body;
-  if (!userId) return res.status(400).json({ error: 'userId is required.' });
+  const { userId } = req.user;
 
   try {
     const { rows } = await pool.query('SELECT stripe_customer_id FROM users WHERE user_id = $1', [userId]);
@@ -325,29 +460,37 @@ const planDetails = {
 /**
  * A reusable function to handle the logic of adding a flight to the database.
  * This can be called by the manual entry endpoint and the email parsing endpoint.
- * @param {object} flightData - The structured data for the flight to be added.
+ * @param {object} tripData - The structured data for the flight to be added, with optional per-leg `segments`
+ * and the passengers the total price covers as `passengerTypes` ({ adults, children, infants }) or `passengerCount`.
+ * @param {object} options - { client } where client is a pg client inside the caller's transaction; the
+ * flight is then saved as part of it, and committed or rolled back by the caller.
  * @returns {object} The newly saved flight record.
  * @throws An error if validation fails, plan limits are exceeded, or a database error occurs.
  */
-const createTripInDatabase = async (flightData) => {
+const createTripInDatabase = async (tripData, { client: transactionClient = null } = {}) => {
+    // Accept either per-leg `segments` or the flattened route fields; each is derived from the other
+    const flightData = applyItinerary(tripData);
     const {
       userId, email, bookingReference, bookingHash, airline, airlineIataCode, departureAirport, arrivalAirport, routeText,
       departureDate, departureTime, arrivalDate, arrivalTime, returnTime, allDates, allTimes,
       flightNumber, aircraftType, serviceClass, amadeusTravelClass, totalPrice, totalPriceText, currency,
-      passengerInfo, scrapedAt, url
+      passengerInfo, scrapedAt, url, segments, departureDateTime, arrivalDateTime, inboundEmailId
     } = flightData;
 
     // --- Start Validation ---
     if (!userId) throw new Error('User ID is required.');
     if (!bookingReference || bookingReference === 'Not Found') throw new Error('Valid booking reference is required.');
     if (!departureAirport || !arrivalAirport || departureAirport === 'Not Found' || arrivalAirport === 'Not Found') throw new Error('Valid departure and arrival airports are required.');
-    const airportCodeRegex = /^[A-Z]{3}$/;
-    if (!airportCodeRegex.test(departureAirport) || !airportCodeRegex.test(arrivalAirport)) throw new Error('Invalid airport code format.');
+    validateAirportCode(departureAirport, 'departure airport');
+    validateAirportCode(arrivalAirport, 'arrival airport');
+    // The total price is for everyone on the booking, so fare checks search for the same mix
+    const { passengerCount, passengerTypes } = normalizePassengerMix(flightData);
     // --- End Validation ---
 
-    const client = await pool.connect();
+    const ownsTransaction = !transactionClient;
+    const client = transactionClient || await pool.connect();
     try {
-        await client.query('BEGIN');
+        if (ownsTransaction) await client.query('BEGIN');
 
         const userPlanQuery = `
             SELECT 
@@ -383,15 +526,14 @@ const createTripInDatabase = async (flightData) => {
         if (hashCheck.rows.length > 0) throw new Error('Booking already exists (hash match)');
         if (detailsCheck.rows.length > 0) throw new Error('Booking already exists (details match)');
         
-        // <<< FIX APPLIED HERE >>>
-        // This query now correctly creates a user if they don't exist, or updates their
-        // email and activity timestamp if they do. This prevents the "unknown@email.com" issue.
+        // Creates the user if they don't exist and bumps their activity timestamp. An existing
+        // email is never replaced from trip data; it is only filled in over the placeholder.
         await client.query(`
           INSERT INTO users (user_id, email, updated_at) 
           VALUES ($1, $2, NOW()) 
           ON CONFLICT (user_id) 
           DO UPDATE SET 
-            email = EXCLUDED.email, 
+            email = CASE WHEN users.email = 'user@unknown.com' THEN EXCLUDED.email ELSE users.email END, 
             updated_at = NOW()
         `, [userId, email || 'user@unknown.com']);
 
@@ -400,11 +542,13 @@ const createTripInDatabase = async (flightData) => {
             user_id, booking_reference, booking_hash, airline, airline_iata_code, departure_airport, arrival_airport, route_text,
             departure_date, departure_time, arrival_date, arrival_time, return_time, all_dates, all_times,
             flight_number, aircraft, service_class, amadeus_travel_class, total_price, total_price_text, currency,
-            original_price, last_checked_price, lowest_price_seen, passenger_info, booking_url, scraped_at,
-            created_at, updated_at, check_frequency_hours
+            original_price, last_checked_price, current_price, lowest_price_seen, passenger_info, booking_url, scraped_at,
+            created_at, updated_at, check_frequency_hours, departure_date_time, arrival_date_time,
+            passenger_count, passenger_types, inbound_email_id
           ) VALUES (
             $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, 
-            $18, $19, $20, $21, $22, $20, $20, $20, $23, $24, $25, NOW(), NOW(), $26
+            $18, $19, $20, $21, $22, $20, $20, $20, $20, $23, $24, $25, NOW(), NOW(), $26, $27, $28,
+            $29, $30, $31
           ) RETURNING *;
         `;
         const values = [
@@ -412,36 +556,44 @@ const createTripInDatabase = async (flightData) => {
           departureDate, departureTime, arrivalDate, arrivalTime, returnTime, allDates ? JSON.stringify(allDates) : null, allTimes ? JSON.stringify(allTimes) : null,
           flightNumber, aircraftType, serviceClass, amadeusTravelClass, totalPrice, totalPriceText, currency || 'USD',
           passengerInfo, url, scrapedAt ? new Date(scrapedAt) : new Date(),
-          plan.frequencyHours
+          plan.frequencyHours, departureDateTime, arrivalDateTime,
+          passengerCount, JSON.stringify(passengerTypes), inboundEmailId || null
         ];
 
         const result = await client.query(insertQuery, values);
         const savedFlight = result.rows[0];
+
+        await saveSegments(client, savedFlight.flight_id, segments);
         
         if (totalPrice) {
-            await client.query(`INSERT INTO price_history (flight_id, price, source, checked_at) VALUES ($1, $2, $3, NOW())`, [savedFlight.flight_id, totalPrice, airline || 'Email Scrape']);
+            await client.query(
+                `INSERT INTO price_history (flight_id, price, currency, source, checked_at, availability_status, fare_class) VALUES ($1, $2, $3, $4, NOW(), 'booked', $5)`,
+                [savedFlight.flight_id, totalPrice, currency || 'USD', airline || 'Email Scrape', amadeusTravelClass || serviceClass || null]
+            );
         }
         
         await client.query('UPDATE users SET total_flights = total_flights + 1 WHERE user_id = $1', [userId]);
-        await client.query('COMMIT');
+        if (ownsTransaction) await client.query('COMMIT');
         return savedFlight;
 
     } catch (error) {
-        await client.query('ROLLBACK');
+        if (ownsTransaction) await client.query('ROLLBACK');
         console.error('Error in createTripInDatabase:', error.message);
         throw error; // Re-throw to be handled by the calling endpoint
     } finally {
-        client.release();
+        if (ownsTransaction) client.release();
     }
 };
 // <<< END OF NEW CODE BLOCK >>>
 
 
 // <<< MODIFIED: This endpoint now uses the reusable helper function >>>
-app.post('/api/trips', async (req, res) => {
+app.post('/api/trips', authenticateUser, limitTripCreation, async (req, res) => {
     const startTime = Date.now();
     try {
-        const savedFlight = await createTripInDatabase(req.body);
+        // The account email only ever comes from a verified token claim, never the request body
+        const email = req.user.emailVerified ? req.user.email : undefined;
+        const savedFlight = await createTripInDatabase({ ...req.body, userId: req.user.userId, email });
         const processingTime = Date.now() - startTime;
         
         res.status(201).json({ 
@@ -472,34 +624,60 @@ app.post('/api/trips', async (req, res) => {
 
 
 // <<< NEW CODE BLOCK: Endpoint for receiving and processing forwarded emails >>>
-app.post('/api/email-ingest', upload.none(), async (req, res) => {
+// Oversized or too many attachments get the same 200 as a parse failure so SendGrid doesn't retry
+const receiveInboundEmail = (req, res, next) => upload.any()(req, res, (error) => {
+    if (error) {
+        console.error('Failed to receive inbound email:', error.message);
+        return res.status(200).send('Error processing email.');
+    }
+    next();
+});
+
+// Inbound mail is limited per recipient, so a flood to one address can't crowd out everyone
+// else's. The 429 makes SendGrid retry later rather than drop the email.
+const limitInboundEmail = rateLimit(RATE_LIMIT_BUCKETS.EMAIL_INGEST, (req) => ({
+  key: `inbound:${inboundAddressService.getRecipients(req.body)[0] || req.ip}`,
+}));
+
+app.post('/api/email-ingest', receiveInboundEmail, limitInboundEmail, async (req, res) => {
     console.log('Received inbound email webhook...');
     
+    let inboundEmailId;
     try {
-        // processInboundEmail will find the user and scrape the flight data
-        const flightData = await processInboundEmail(req.body);
-        console.log(`Parsed flight for user ${flightData.userId}. Ref: ${flightData.bookingReference}`);
+        // Store the email first so a failure can be looked into and reprocessed later
+        inboundEmailId = await inboundEmailService.recordInboundEmail(req.body, req.files);
+    } catch (error) {
+        // Nothing was stored, so let SendGrid retry rather than lose the email
+        console.error('Failed to store inbound email:', error.message);
+        return res.status(500).send('Error storing email.');
+    }
 
-        // Use the same reusable function to save the flight to the database
-        await createTripInDatabase(flightData);
-        console.log(`Successfully saved flight from email for user ${flightData.userId}`);
+    try {
+        // Find the user, parse the booking and save it with the same function as manual trips.
+        // Failures the user can fix get an automatic "we couldn't read this booking" reply.
+        const inboundEmail = await inboundEmailService.processInboundEmailRecord(inboundEmailId, {
+            saveTrip: createTripInDatabase,
+            notifyOnFailure: true,
+        });
+        console.log(`Inbound email ${inboundEmailId}: ${inboundEmail.status}${inboundEmail.error ? ` (${inboundEmail.error})` : ''}`);
 
         // SendGrid requires a 200 OK response to know the webhook was received successfully.
-        res.status(200).send('Email processed successfully.');
+        // We send one either way so SendGrid doesn't retry; failures are in the inbound_emails log.
+        const { IMPORTED, PENDING_REVIEW } = inboundEmailService.INBOUND_EMAIL_STATUS;
+        const processed = [IMPORTED, PENDING_REVIEW].includes(inboundEmail.status);
+        res.status(200).send(processed ? 'Email processed successfully.' : 'Error processing email.');
 
     } catch (error) {
-        console.error('Failed to process inbound email:', error.message);
-        // We still send a 200 OK so SendGrid doesn't retry sending the same failed email.
-        // In a more advanced setup, you could log this error to a monitoring service
-        // or send a notification email to the user about the failure.
+        console.error(`Failed to process inbound email ${inboundEmailId}:`, error.message);
+        // Still a 200: the email is stored and can be reprocessed from the admin API
         res.status(200).send('Error processing email.');
     }
 });
 // <<< END OF NEW CODE BLOCK >>>
 
 
-app.get('/api/trips/:userId', async (req, res) => {
-  const { userId } = req.params;
+app.get('/api/trips/:userId', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
   const page = parseInt(req.query.page) || 1;
   const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Max 100 per page
   const offset = (page - 1) * limit;
@@ -543,13 +721,381 @@ app.get('/api/trips/:userId', async (req, res) => {
 });
 
 
-app.delete('/api/trips/:flightId', authenticateUser, async (req, res) => {
+app.get('/api/trips/:flightId/details', authenticateUser, async (req, res) => {
   const { flightId } = req.params;
-  const { userId } = req.body; 
+  const { userId } = req.user;
+
+  if (!/^\d+$/.test(flightId)) {
+    return res.status(400).json({ error: 'Invalid flight ID.' });
+  }
+
+  try {
+    const { rows } = await pool.query('SELECT * FROM flights WHERE flight_id = $1 AND user_id = $2', [flightId, userId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Flight not found or user not authorized to view it.' });
+    }
+
+    const flight = rows[0];
+    // The outlook is a nice-to-have; never let it fail the details request
+    const [itinerary, fareTrend] = await Promise.all([
+      getItinerary(flight),
+      getFareTrend(flight).catch(error => {
+        console.warn(`Could not compute fare trend for flight ${flightId}:`, error.message);
+        return null;
+      }),
+    ]);
+    res.json({ flight, itinerary, fare_trend: fareTrend });
+  } catch (error) {
+    console.error(`Error fetching trip details for flight ${flightId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch trip details.' });
+  }
+});
+
+app.get('/api/trips/:flightId/price-history', authenticateUser, async (req, res) => {
+  const { flightId } = req.params;
+  const { userId } = req.user;
+  const { from, to, interval } = req.query;
+
+  try {
+    const history = await getTripPriceHistory(flightId, userId, { from, to, interval });
+    if (!history) {
+      return res.status(404).json({ error: 'Flight not found or user not authorized to view it.' });
+    }
+    res.json(history);
+  } catch (error) {
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error fetching price history for flight ${flightId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch price history.' });
+  }
+});
+
+
+// Per-trip alert rules. Trips without an active rule fall back to their plan's default.
+app.get('/api/trips/:flightId/alerts', authenticateUser, async (req, res) => {
+  const { flightId } = req.params;
+  const { userId } = req.user;
+
+  if (!/^\d+$/.test(flightId)) {
+    return res.status(400).json({ error: 'Invalid flight ID.' });
+  }
+
+  try {
+    const rules = await alertRuleService.listRules(flightId, userId);
+    if (!rules) return res.status(404).json({ error: 'Flight not found or user not authorized to view it.' });
+    res.json({ alerts: rules, using_plan_default: rules.filter(rule => rule.is_active).length === 0 });
+  } catch (error) {
+    console.error(`Error fetching alert rules for flight ${flightId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch alert rules.' });
+  }
+});
+
+app.post('/api/trips/:flightId/alerts', authenticateUser, async (req, res) => {
+  const { flightId } = req.params;
+  const { userId } = req.user;
+
+  if (!/^\d+$/.test(flightId)) {
+    return res.status(400).json({ error: 'Invalid flight ID.' });
+  }
+
+  try {
+    const rule = await alertRuleService.createRule(flightId, userId, req.body);
+    if (!rule) return res.status(404).json({ error: 'Flight not found or user not authorized to modify it.' });
+    res.status(201).json({ message: 'Alert rule created.', alert: rule });
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error creating alert rule for flight ${flightId}:`, error);
+    res.status(500).json({ error: 'Failed to create alert rule.' });
+  }
+});
+
+app.patch('/api/trips/:flightId/alerts/:alertId', authenticateUser, async (req, res) => {
+  const { flightId, alertId } = req.params;
+  const { userId } = req.user;
+
+  if (!/^\d+$/.test(flightId)) {
+    return res.status(400).json({ error: 'Invalid flight ID.' });
+  }
+  if (!/^\d+$/.test(alertId)) {
+    return res.status(400).json({ error: 'Invalid alert ID.' });
+  }
+
+  try {
+    const rule = await alertRuleService.updateRule(flightId, alertId, userId, req.body);
+    if (!rule) return res.status(404).json({ error: 'Alert rule not found or user not authorized to modify it.' });
+    res.json({ message: 'Alert rule updated.', alert: rule });
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error updating alert rule ${alertId}:`, error);
+    res.status(500).json({ error: 'Failed to update alert rule.' });
+  }
+});
+
+app.delete('/api/trips/:flightId/alerts/:alertId', authenticateUser, async (req, res) => {
+  const { flightId, alertId } = req.params;
+  const { userId } = req.user;
+
+  if (!/^\d+$/.test(flightId)) {
+    return res.status(400).json({ error: 'Invalid flight ID.' });
+  }
+  if (!/^\d+$/.test(alertId)) {
+    return res.status(400).json({ error: 'Invalid alert ID.' });
+  }
+
+  try {
+    const deleted = await alertRuleService.deleteRule(flightId, alertId, userId);
+    if (!deleted) return res.status(404).json({ error: 'Alert rule not found or user not authorized to delete it.' });
+    res.json({ message: 'Alert rule deleted.' });
+  } catch (error) {
+    console.error(`Error deleting alert rule ${alertId}:`, error);
+    res.status(500).json({ error: 'Failed to delete alert rule.' });
+  }
+});
+
+
+// Alert delivery channels. Users with none configured get email at their account address.
+app.get('/api/notification-channels', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+
+  try {
+    const channels = await notificationPreferenceService.listPreferences(userId);
+    res.json({ channels, using_default_email: channels.length === 0 });
+  } catch (error) {
+    console.error(`Error fetching notification channels for user ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch notification channels.' });
+  }
+});
+
+app.post('/api/notification-channels', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+
+  try {
+    const channel = await notificationPreferenceService.createPreference(userId, req.body);
+    res.status(201).json({ message: 'Notification channel added.', channel });
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('exists')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error(`Error adding notification channel for user ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to add notification channel.' });
+  }
+});
+
+app.patch('/api/notification-channels/:preferenceId', authenticateUser, async (req, res) => {
+  const { preferenceId } = req.params;
+  const { userId } = req.user;
+
+  try {
+    const channel = await notificationPreferenceService.updatePreference(preferenceId, userId, req.body);
+    if (!channel) return res.status(404).json({ error: 'Notification channel not found or user not authorized to modify it.' });
+    res.json({ message: 'Notification channel updated.', channel });
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('exists')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error(`Error updating notification channel ${preferenceId}:`, error);
+    res.status(500).json({ error: 'Failed to update notification channel.' });
+  }
+});
+
+app.delete('/api/notification-channels/:preferenceId', authenticateUser, async (req, res) => {
+  const { preferenceId } = req.params;
+  const { userId } = req.user;
+
+  try {
+    const deleted = await notificationPreferenceService.deletePreference(preferenceId, userId);
+    if (!deleted) return res.status(404).json({ error: 'Notification channel not found or user not authorized to delete it.' });
+    res.json({ message: 'Notification channel removed.' });
+  } catch (error) {
+    console.error(`Error removing notification channel ${preferenceId}:`, error);
+    res.status(500).json({ error: 'Failed to remove notification channel.' });
+  }
+});
+
+// The browser needs the VAPID public key to create a push subscription
+app.get('/api/notification-channels/web-push/public-key', (req, res) => {
+  if (!process.env.VAPID_PUBLIC_KEY) return res.status(404).json({ error: 'Web push is not configured.' });
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// Which notification types a user gets, how often the digest comes and their quiet hours
+app.get('/api/notification-settings', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+
+  try {
+    const settings = await notificationSettingsService.getNotificationSettings(userId);
+    if (!settings) return res.status(404).json({ error: 'User not found.' });
+    res.json(settings);
+  } catch (error) {
+    console.error(`Error fetching notification settings for user ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch notification settings.' });
+  }
+});
+
+app.patch('/api/notification-settings', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+
+  try {
+    const settings = await notificationSettingsService.updateNotificationSettings(userId, req.body);
+    if (!settings) return res.status(404).json({ error: 'User not found.' });
+    res.json({ message: 'Notification settings updated.', settings });
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error updating notification settings for user ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to update notification settings.' });
+  }
+});
+
+app.get('/api/inbound-address', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+
+  try {
+    const inboundAddress = await inboundAddressService.getInboundAddress(userId);
+    if (!inboundAddress) return res.status(404).json({ error: 'User not found.' });
+    res.json(inboundAddress);
+  } catch (error) {
+    console.error(`Error fetching inbound address for user ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch inbound address.' });
+  }
+});
+
+app.post('/api/inbound-address/regenerate', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+
+  try {
+    const inboundAddress = await inboundAddressService.regenerateInboundAddress(userId);
+    if (!inboundAddress) return res.status(404).json({ error: 'User not found.' });
+    res.json({ message: 'Inbound address regenerated. Mail to the old address will no longer be imported.', ...inboundAddress });
+  } catch (error) {
+    console.error(`Error regenerating inbound address for user ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to regenerate inbound address.' });
+  }
+});
+
+// Trips parsed from email with a low-confidence field wait here until the user checks them.
+// Nothing is tracked until a pending trip is confirmed.
+app.get('/api/pending-trips', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+  const { status } = req.query;
+
+  try {
+    const pendingTrips = await pendingTripService.listPendingTrips(userId, { status });
+    res.json({ pendingTrips });
+  } catch (error) {
+    if (error.message.includes('Invalid')) return res.status(400).json({ error: error.message });
+    console.error(`Error fetching pending trips for user ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch pending trips.' });
+  }
+});
+
+app.get('/api/pending-trips/:pendingTripId', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+
+  try {
+    const pendingTrip = await pendingTripService.getPendingTrip(req.params.pendingTripId, userId);
+    if (!pendingTrip) return res.status(404).json({ error: 'Pending trip not found.' });
+    res.json(pendingTrip);
+  } catch (error) {
+    console.error(`Error fetching pending trip ${req.params.pendingTripId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch pending trip.' });
+  }
+});
+
+app.patch('/api/pending-trips/:pendingTripId', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+
+  try {
+    const pendingTrip = await pendingTripService.updatePendingTrip(req.params.pendingTripId, userId, req.body);
+    if (!pendingTrip) return res.status(404).json({ error: 'Pending trip not found.' });
+    res.json(pendingTrip);
+  } catch (error) {
+    if (error.message.includes('already')) return res.status(409).json({ error: error.message });
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error updating pending trip ${req.params.pendingTripId}:`, error);
+    res.status(500).json({ error: 'Failed to update pending trip.' });
+  }
+});
+
+app.post('/api/pending-trips/:pendingTripId/confirm', authenticateUser, limitTripCreation, async (req, res) => {
+  const { userId } = req.user;
 
-  if (!userId) {
-    return res.status(400).json({ error: 'User ID is required in the request body.' });
+  try {
+    const result = await pendingTripService.confirmPendingTrip(req.params.pendingTripId, userId, {
+      saveTrip: createTripInDatabase,
+      corrections: req.body,
+    });
+    if (!result) return res.status(404).json({ error: 'Pending trip not found.' });
+    res.status(201).json({ message: 'Trip confirmed and now being tracked.', pendingTrip: result.pendingTrip, flight: result.flight });
+  } catch (error) {
+    let statusCode = 500;
+    if (error.message.includes('limit')) statusCode = 403; // Forbidden
+    if (error.message.includes('exists') || error.message.includes('already')) statusCode = 409; // Conflict
+    if (error.message.includes('required') || error.message.includes('Invalid')) statusCode = 400; // Bad Request
+
+    console.error(`Error confirming pending trip ${req.params.pendingTripId}:`, error.message);
+    res.status(statusCode).json({ error: 'Failed to confirm trip.', details: error.message });
+  }
+});
+
+app.delete('/api/pending-trips/:pendingTripId', authenticateUser, async (req, res) => {
+  const { userId } = req.user;
+
+  try {
+    const pendingTrip = await pendingTripService.discardPendingTrip(req.params.pendingTripId, userId);
+    if (!pendingTrip) return res.status(404).json({ error: 'Pending trip not found.' });
+    res.json({ message: 'Pending trip discarded.', pendingTrip });
+  } catch (error) {
+    if (error.message.includes('already')) return res.status(409).json({ error: error.message });
+    console.error(`Error discarding pending trip ${req.params.pendingTripId}:`, error);
+    res.status(500).json({ error: 'Failed to discard pending trip.' });
+  }
+});
+
+// Unsubscribe links open the app's confirmation page rather than unsubscribing on GET,
+// since mail scanners follow links. The page, and mail clients' one-click button, POST here.
+app.get('/api/unsubscribe', (req, res) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  res.redirect(`${clientUrl}/unsubscribe?token=${encodeURIComponent(req.query.token || '')}`);
+});
+
+app.post('/api/unsubscribe', async (req, res) => {
+  const token = req.query.token || (req.body && req.body.token);
+  if (!token) return res.status(400).json({ error: 'Unsubscribe token is required.' });
+
+  try {
+    const { type, settings } = await notificationSettingsService.unsubscribeWithToken(token);
+    res.json({ message: 'You have been unsubscribed.', type, settings });
+  } catch (error) {
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error processing unsubscribe:', error);
+    res.status(500).json({ error: 'Failed to unsubscribe.' });
   }
+});
+
+
+app.delete('/api/trips/:flightId', authenticateUser, async (req, res) => {
+  const { flightId } = req.params;
+  const { userId } = req.user;
 
   const client = await pool.connect();
   try {
@@ -584,7 +1130,8 @@ app.delete('/api/trips/:flightId', authenticateUser, async (req, res) => {
 });
 
 
-app.get('/api/trips', async (req, res) => {
+// Every user's flights, for operators
+app.get('/api/admin/flights', requireAdminScope(ADMIN_SCOPES.READ_FLIGHTS), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = Math.min(parseInt(req.query.limit) || 20, 100);
   const offset = (page - 1) * limit;
@@ -663,7 +1210,7 @@ app.get('/api/trips', async (req, res) => {
   }
 });
 
-app.get('/api/stats', async (req, res) => {
+app.get('/api/admin/stats', requireAdminScope(ADMIN_SCOPES.READ_STATS), async (req, res) => {
   try {
     const [
       userStats,
@@ -729,21 +1276,18 @@ app.get('/api/stats', async (req, res) => {
 });
 
 
-app.post('/api/admin/cleanup-flights', async (req, res) => {
-    // In production, you would secure this endpoint, e.g., with a secret key
-    const adminKey = req.headers['x-admin-key'];
-    if (adminKey !== process.env.ADMIN_SECRET_KEY) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
+app.post('/api/admin/cleanup-flights', requireAdminScope(ADMIN_SCOPES.WRITE_FLIGHTS), async (req, res) => {
 
     console.log('--- Running automated cleanup of past flights ---');
     const client = await pool.connect();
     try {
+        await client.query('BEGIN');
         // Find all active flights where the departure date is in the past
         const { rows } = await client.query(`
             UPDATE flights
             SET is_active = FALSE, updated_at = NOW()
-            WHERE is_active = TRUE AND departure_date::date < NOW()::date
+            WHERE is_active = TRUE
+            AND (departure_date_time < NOW() OR (departure_date_time IS NULL AND departure_date::date < NOW()::date))
             RETURNING flight_id, user_id;
         `);
 
@@ -761,9 +1305,18 @@ app.post('/api/admin/cleanup-flights', async (req, res) => {
             console.log('No past flights to deactivate.');
         }
 
+        await recordAuditEvent(client, {
+            actor: getRequestActor(req),
+            action: AUDIT_ACTIONS.FLIGHTS_CLEANUP,
+            targetType: 'flight',
+            diff: rows.length > 0 ? buildDiff({ is_active: true }, { is_active: false }) : {},
+            details: { flightIds: rows.map(row => row.flight_id) },
+        });
+        await client.query('COMMIT');
         res.status(200).json({ message: `Cleanup complete. Deactivated ${rows.length} flights.` });
 
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('CRITICAL ERROR during flight cleanup:', error);
         res.status(500).json({ error: 'Failed to cleanup flights.' });
     } finally {
@@ -772,6 +1325,272 @@ app.post('/api/admin/cleanup-flights', async (req, res) => {
     }
 });
 
+app.get('/api/admin/price-check-runs', requireAdminScope(ADMIN_SCOPES.READ_FLIGHTS), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    try {
+        const [runs, activeLeases] = await Promise.all([
+            pool.query('SELECT * FROM price_check_runs ORDER BY started_at DESC LIMIT $1', [limit]),
+            pool.query(`
+                SELECT lease_run_id, COUNT(*) as leased_flights, MAX(lease_expires_at) as lease_expires_at
+                FROM flights
+                WHERE lease_run_id IS NOT NULL AND lease_expires_at > NOW()
+                GROUP BY lease_run_id
+            `)
+        ]);
+
+        res.json({
+            runs: runs.rows,
+            active_leases: activeLeases.rows
+        });
+    } catch (error) {
+        console.error('Error fetching price check runs:', error);
+        res.status(500).json({ error: 'Failed to fetch price check runs.' });
+    }
+});
+
+// Notification outbox health: counts per status plus dead-lettered or stuck messages
+app.get('/api/admin/notification-outbox', requireAdminScope(ADMIN_SCOPES.READ_NOTIFICATIONS), async (req, res) => {
+    try {
+        const overview = await notificationOutboxService.getOutboxOverview({
+            status: req.query.status || undefined,
+            limit: req.query.limit,
+        });
+        res.json(overview);
+    } catch (error) {
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error fetching notification outbox:', error);
+        res.status(500).json({ error: 'Failed to fetch notification outbox.' });
+    }
+});
+
+app.post('/api/admin/notification-outbox/:outboxId/retry', requireAdminScope(ADMIN_SCOPES.WRITE_NOTIFICATIONS), async (req, res) => {
+    try {
+        const message = await notificationOutboxService.requeueMessage(req.params.outboxId);
+        if (!message) return res.status(404).json({ error: 'No dead-lettered message with that ID.' });
+        await recordAuditEvent(pool, {
+            actor: getRequestActor(req),
+            action: AUDIT_ACTIONS.NOTIFICATION_REQUEUE,
+            targetType: 'notification_outbox',
+            targetId: message.outbox_id,
+            diff: buildDiff({ status: 'dead' }, { status: message.status }),
+        });
+        res.json({ message: 'Notification requeued.', notification: message });
+    } catch (error) {
+        console.error(`Error requeueing notification ${req.params.outboxId}:`, error);
+        res.status(500).json({ error: 'Failed to requeue notification.' });
+    }
+});
+
+app.get('/api/admin/email-suppressions', requireAdminScope(ADMIN_SCOPES.READ_NOTIFICATIONS), async (req, res) => {
+    try {
+        const suppressions = await emailSuppressionService.listSuppressions({ limit: req.query.limit });
+        res.json({ suppressions });
+    } catch (error) {
+        console.error('Error fetching email suppressions:', error);
+        res.status(500).json({ error: 'Failed to fetch email suppressions.' });
+    }
+});
+
+app.delete('/api/admin/email-suppressions/:email', requireAdminScope(ADMIN_SCOPES.WRITE_NOTIFICATIONS), async (req, res) => {
+    try {
+        const suppression = await emailSuppressionService.getSuppression(req.params.email);
+        const removed = await emailSuppressionService.removeSuppression(req.params.email);
+        if (!removed) return res.status(404).json({ error: 'That address is not suppressed.' });
+        await recordAuditEvent(pool, {
+            actor: getRequestActor(req),
+            action: AUDIT_ACTIONS.EMAIL_SUPPRESSION_REMOVE,
+            targetType: 'email_suppression',
+            targetId: suppression ? suppression.email : req.params.email,
+            diff: buildDiff(suppression, null),
+        });
+        res.json({ message: 'Suppression removed.' });
+    } catch (error) {
+        console.error(`Error removing suppression for ${req.params.email}:`, error);
+        res.status(500).json({ error: 'Failed to remove suppression.' });
+    }
+});
+
+app.get('/api/admin/inbound-emails', requireAdminScope(ADMIN_SCOPES.READ_EMAILS), async (req, res) => {
+    try {
+        const result = await inboundEmailService.listInboundEmails({
+            status: req.query.status || undefined,
+            userId: req.query.userId || undefined,
+            limit: req.query.limit,
+        });
+        res.json(result);
+    } catch (error) {
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error fetching inbound emails:', error);
+        res.status(500).json({ error: 'Failed to fetch inbound emails.' });
+    }
+});
+
+app.get('/api/admin/inbound-emails/:inboundEmailId', requireAdminScope(ADMIN_SCOPES.READ_EMAILS), async (req, res) => {
+    try {
+        const inboundEmail = await inboundEmailService.getInboundEmail(req.params.inboundEmailId);
+        if (!inboundEmail) return res.status(404).json({ error: 'Inbound email not found.' });
+        res.json(inboundEmail);
+    } catch (error) {
+        console.error(`Error fetching inbound email ${req.params.inboundEmailId}:`, error);
+        res.status(500).json({ error: 'Failed to fetch inbound email.' });
+    }
+});
+
+// Re-runs parsing on a stored email, e.g. after a parser fix. The user isn't emailed again if it still fails.
+app.post('/api/admin/inbound-emails/:inboundEmailId/reprocess', requireAdminScope(ADMIN_SCOPES.WRITE_EMAILS), async (req, res) => {
+    try {
+        const { rows: before } = await pool.query(
+            'SELECT status, flight_id, error FROM inbound_emails WHERE inbound_email_id = $1',
+            [req.params.inboundEmailId]
+        );
+        const inboundEmail = await inboundEmailService.processInboundEmailRecord(req.params.inboundEmailId, {
+            saveTrip: createTripInDatabase,
+        });
+        if (!inboundEmail) return res.status(404).json({ error: 'Inbound email not found.' });
+        await recordAuditEvent(pool, {
+            actor: getRequestActor(req),
+            action: AUDIT_ACTIONS.INBOUND_EMAIL_REPROCESS,
+            targetType: 'inbound_email',
+            targetId: inboundEmail.inbound_email_id,
+            diff: buildDiff(before[0], { status: inboundEmail.status, flight_id: inboundEmail.flight_id, error: inboundEmail.error }),
+        });
+        res.json({ message: `Inbound email reprocessed: ${inboundEmail.status}.`, inboundEmail });
+    } catch (error) {
+        if (error.message.includes('exists')) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error(`Error reprocessing inbound email ${req.params.inboundEmailId}:`, error);
+        res.status(500).json({ error: 'Failed to reprocess inbound email.' });
+    }
+});
+
+app.get('/api/admin/templates', requireAdminScope(ADMIN_SCOPES.READ_NOTIFICATIONS), (req, res) => {
+    res.json({ templates: templateService.listTemplates() });
+});
+
+/**
+ * Renders a template without sending anything. GET uses the template's sample data;
+ * POST merges the request body over it. ?format=html returns the page as it would be
+ * emailed, ?format=text the plain-text part, otherwise all parts as JSON.
+ */
+const previewTemplate = (req, res) => {
+    const { name } = req.params;
+    const { locale, format } = req.query;
+    try {
+        const data = { ...templateService.getSampleData(name), ...(req.body || {}) };
+        const rendered = templateService.renderEmail(name, data, { locale });
+        if (format === 'html') return res.type('html').send(rendered.html);
+        if (format === 'text') return res.type('text').send(rendered.text);
+        res.json({ template: name, locale: locale || null, ...rendered });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error(`Error previewing template ${name}:`, error);
+        res.status(500).json({ error: 'Failed to render template.' });
+    }
+};
+
+app.get('/api/admin/templates/:name/preview', requireAdminScope(ADMIN_SCOPES.READ_NOTIFICATIONS), previewTemplate);
+app.post('/api/admin/templates/:name/preview', requireAdminScope(ADMIN_SCOPES.READ_NOTIFICATIONS), previewTemplate);
+
+// Billing support: move a user between plans without going through Stripe, e.g. for a refund or comp
+app.patch('/api/admin/users/:userId/plan', requireAdminScope(ADMIN_SCOPES.BILLING), async (req, res) => {
+    const { userId } = req.params;
+    const { plan } = req.body;
+    if (!planDetails[plan]) {
+        return res.status(400).json({ error: `Invalid plan. Use one of: ${Object.keys(planDetails).join(', ')}.` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: existing } = await client.query('SELECT subscription_plan FROM users WHERE user_id = $1 FOR UPDATE', [userId]);
+        if (existing.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        const { rows } = await client.query(
+            'UPDATE users SET subscription_plan = $1, updated_at = NOW() WHERE user_id = $2 RETURNING user_id, email, subscription_plan',
+            [plan, userId]
+        );
+        await recordAuditEvent(client, {
+            actor: getRequestActor(req),
+            action: AUDIT_ACTIONS.USER_PLAN_CHANGE,
+            targetType: 'user',
+            targetId: userId,
+            diff: buildDiff(existing[0], { subscription_plan: rows[0].subscription_plan }),
+            details: { reason: req.body.reason || null },
+        });
+        await client.query('COMMIT');
+        res.json({ message: 'Plan updated.', user: rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error changing plan for user ${userId}:`, error);
+        res.status(500).json({ error: 'Failed to change plan.' });
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/api/admin/api-keys', requireAdminScope(ADMIN_SCOPES.MANAGE_KEYS), async (req, res) => {
+    try {
+        const keys = await adminApiKeyService.listApiKeys({ includeRevoked: req.query.includeRevoked === 'true' });
+        res.json({ keys });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys.' });
+    }
+});
+
+// The key is only ever shown in this response
+app.post('/api/admin/api-keys', requireAdminScope(ADMIN_SCOPES.MANAGE_KEYS), async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+        const { apiKey, key } = await adminApiKeyService.createApiKey(
+            { name, scopes, expiresAt },
+            { ...getRequestActor(req), scopes: req.admin.scopes }
+        );
+        res.status(201).json({ message: 'API key created. Store it now; it cannot be shown again.', apiKey, key });
+    } catch (error) {
+        if (error.message.includes('required') || error.message.includes('Invalid')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating API key:', error);
+        res.status(500).json({ error: 'Failed to create API key.' });
+    }
+});
+
+app.delete('/api/admin/api-keys/:apiKeyId', requireAdminScope(ADMIN_SCOPES.MANAGE_KEYS), async (req, res) => {
+    try {
+        const key = await adminApiKeyService.revokeApiKey(req.params.apiKeyId, getRequestActor(req));
+        if (!key) return res.status(404).json({ error: 'API key not found.' });
+        res.json({ message: 'API key revoked.', key });
+    } catch (error) {
+        if (error.message.includes('already')) return res.status(409).json({ error: error.message });
+        console.error(`Error revoking API key ${req.params.apiKeyId}:`, error);
+        res.status(500).json({ error: 'Failed to revoke API key.' });
+    }
+});
+
+app.get('/api/admin/audit-log', requireAdminScope(ADMIN_SCOPES.READ_AUDIT), async (req, res) => {
+    try {
+        const { actorId, action, targetType, targetId, from, to, before, limit } = req.query;
+        const events = await auditLogService.listAuditEvents({ actorId, action, targetType, targetId, from, to, before, limit });
+        res.json({ events });
+    } catch (error) {
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log.' });
+    }
+});
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -0,0 +1,81 @@
+// Runs every email parser against its fixtures, offline.
+//
+// Each fixture is a set of files in fixtures/emails/<parser name>/:
+//   <case>.json  { "from": ..., "subject": ..., "bookings": [{ "trip": <a parsed trip>, "confidence": <its scores> }] }
+//   <case>.html  the anonymized HTML body, if the email has one
+//   <case>.txt   the plain-text body, if the email has one
+//   <case>.pdf   an attached e-ticket, if the email has one
+// Forwarded emails are unwrapped first, as they are on ingest. The case passes when the
+// email is routed to the parser its folder is named after and the trips it produces, with
+// their confidence scores, match "bookings" exactly.
+//
+// Usage: npm run check-parsers [-- --update]
+//   --update rewrites each case's "bookings" with the current output; review the diff before committing.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseEmail, listEmailParsers } = require('../services/emailParserRegistry');
+const { extractPdfText } = require('../services/emailAttachmentService');
+const { unwrapForwardedEmail } = require('../services/forwardedEmailService');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'emails');
+const shouldUpdate = process.argv.includes('--update');
+
+const runFixture = async (parserName, caseName) => {
+    const casePath = path.join(FIXTURES_DIR, parserName, `${caseName}.json`);
+    const fixture = JSON.parse(fs.readFileSync(casePath, 'utf8'));
+    const readPart = (extension, encoding) => {
+        const partPath = path.join(FIXTURES_DIR, parserName, `${caseName}${extension}`);
+        return fs.existsSync(partPath) ? fs.readFileSync(partPath, encoding) : null;
+    };
+    const pdf = readPart('.pdf');
+    const documents = pdf ? [{ name: `${caseName}.pdf`, text: await extractPdfText(pdf) }] : [];
+
+    const email = unwrapForwardedEmail({
+        from: fixture.from,
+        subject: fixture.subject,
+        html: readPart('.html', 'utf8') || '',
+        text: readPart('.txt', 'utf8') || '',
+    });
+    const result = parseEmail({ ...email, documents });
+    assert.strictEqual(result.parser, parserName, `routed to "${result.parser}" instead of "${parserName}"`);
+
+    if (shouldUpdate) {
+        fs.writeFileSync(casePath, `${JSON.stringify({ ...fixture, bookings: result.bookings }, null, 2)}\n`);
+        return;
+    }
+    assert.deepStrictEqual(result.bookings, fixture.bookings);
+};
+
+const run = async () => {
+    let passed = 0;
+    let failed = 0;
+    const parsersWithFixtures = new Set();
+
+    for (const parserName of fs.readdirSync(FIXTURES_DIR)) {
+        const parserDir = path.join(FIXTURES_DIR, parserName);
+        if (!fs.statSync(parserDir).isDirectory()) continue;
+        parsersWithFixtures.add(parserName);
+
+        for (const file of fs.readdirSync(parserDir).filter(name => name.endsWith('.json')).sort()) {
+            const caseName = path.basename(file, '.json');
+            try {
+                await runFixture(parserName, caseName);
+                passed++;
+                console.log(`  ✅ ${parserName}/${caseName}`);
+            } catch (error) {
+                failed++;
+                console.error(`  ❌ ${parserName}/${caseName}: ${error.message}`);
+            }
+        }
+    }
+
+    for (const parserName of listEmailParsers().filter(name => !parsersWithFixtures.has(name))) {
+        console.warn(`  ⚠️  ${parserName} has no fixtures in fixtures/emails/${parserName}`);
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed${shouldUpdate ? ' (expected output updated)' : ''}.`);
+    process.exitCode = failed > 0 ? 1 : 0;
+};
+
+run();
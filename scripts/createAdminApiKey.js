@@ -0,0 +1,32 @@
+// Creates an admin API key from the command line, e.g. the first manage:keys key.
+// Usage: node scripts/createAdminApiKey.js <name> <scope>[,<scope>...]
+// The key is printed once; only its hash is stored. The creation is audited as a cli action.
+const os = require('os');
+const { pool } = require('../database');
+const { ADMIN_SCOPES, createApiKey } = require('../services/adminApiKeyService');
+const { ACTOR_TYPES } = require('../services/auditLogService');
+
+const run = async () => {
+  const [name, scopeList] = process.argv.slice(2);
+  if (!name || !scopeList) {
+    console.error('Usage: node scripts/createAdminApiKey.js <name> <scope>[,<scope>...]');
+    console.error(`Scopes: ${Object.values(ADMIN_SCOPES).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const actor = { type: ACTOR_TYPES.CLI, id: os.userInfo().username, name: 'createAdminApiKey' };
+    const { apiKey, key } = await createApiKey({ name, scopes: scopeList.split(',').map(scope => scope.trim()) }, actor);
+    console.error(`Created API key ${key.api_key_id} (${key.key_prefix}) with scopes: ${key.scopes.join(', ')}`);
+    console.error('Store it now; it cannot be shown again. Send it in the x-admin-key header.');
+    console.log(apiKey);
+  } catch (error) {
+    console.error('Failed to create API key:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+run();
@@ -0,0 +1,20 @@
+const { dispatchOutbox } = require('../services/notificationOutboxService');
+const { pool } = require('../database');
+
+const runJob = async () => {
+  console.log(`[Notification Dispatcher] Starting job at ${new Date().toISOString()}`);
+
+  try {
+    const summary = await dispatchOutbox();
+    console.log('[Notification Dispatcher] Summary:', summary);
+  } catch (error) {
+    console.error('[Notification Dispatcher] An unexpected error occurred during the job run:', error);
+  } finally {
+    // Gracefully close the database connection pool to allow the script to exit cleanly.
+    await pool.end();
+    console.log(`[Notification Dispatcher] Job finished at ${new Date().toISOString()}. Database pool closed.`);
+  }
+};
+
+// Execute the job
+runJob();
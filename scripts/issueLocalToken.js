@@ -0,0 +1,50 @@
+// Signs bearer tokens with a local key set, for tests and local development.
+// Usage: node scripts/issueLocalToken.js <userId> [email]
+// The key pair lives in AUTH_LOCAL_KEY_DIR (default: a directory under the OS temp dir) and is
+// created on first run. Start the server with AUTH_JWKS_FILE pointing at its jwks.json and the
+// same AUTH_ISSUER/AUTH_AUDIENCE (or FIREBASE_PROJECT_ID) to accept the tokens.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AUTH_ISSUER, AUTH_AUDIENCE } = require('../services/authService');
+
+const KEY_DIR = process.env.AUTH_LOCAL_KEY_DIR || path.join(os.tmpdir(), 'fareaware-local-auth');
+const PRIVATE_KEY_PATH = path.join(KEY_DIR, 'private-key.pem');
+const JWKS_PATH = path.join(KEY_DIR, 'jwks.json');
+const KEY_ID = 'local-1';
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+/**
+ * Reads the local signing key, creating the key pair and its jwks.json if they don't exist.
+ * @returns {object} The private KeyObject.
+ */
+const loadPrivateKey = () => {
+  if (!fs.existsSync(PRIVATE_KEY_PATH)) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    fs.mkdirSync(KEY_DIR, { recursive: true });
+    fs.writeFileSync(PRIVATE_KEY_PATH, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' };
+    fs.writeFileSync(JWKS_PATH, JSON.stringify({ keys: [jwk] }, null, 2));
+  }
+  return crypto.createPrivateKey(fs.readFileSync(PRIVATE_KEY_PATH));
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const [userId, email] = process.argv.slice(2);
+if (!userId || !AUTH_ISSUER || !AUTH_AUDIENCE) {
+  console.error('Usage: node scripts/issueLocalToken.js <userId> [email]');
+  console.error('Set FIREBASE_PROJECT_ID, or AUTH_ISSUER and AUTH_AUDIENCE, to match the server.');
+  process.exit(1);
+}
+
+const now = Math.floor(Date.now() / 1000);
+const claims = { iss: AUTH_ISSUER, aud: AUTH_AUDIENCE, sub: userId, iat: now, exp: now + TOKEN_LIFETIME_SECONDS };
+if (email) Object.assign(claims, { email, email_verified: true });
+
+const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })}.${encode(claims)}`;
+const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), loadPrivateKey()).toString('base64url');
+
+console.error(`Signed with ${PRIVATE_KEY_PATH}. Start the server with AUTH_JWKS_FILE=${JWKS_PATH}`);
+console.log(`${signingInput}.${signature}`);
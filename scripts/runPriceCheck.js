@@ -1,11 +1,14 @@
 const { processAllDueFlights } = require('../services/priceCheckService');
 const { pool } = require('../database');
 
+// --force checks every active flight, not just the ones whose next check is due
+const force = process.argv.includes('--force');
+
 const runJob = async () => {
   console.log(`[Cron Job Runner] Starting job at ${new Date().toISOString()}`);
   
   try {
-    await processAllDueFlights();
+    await processAllDueFlights({ force });
   } catch (error) {
     console.error('[Cron Job Runner] An unexpected error occurred during the job run:', error);
   } finally {
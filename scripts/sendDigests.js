@@ -0,0 +1,22 @@
+const { sendDueDigests } = require('../services/digestService');
+const { dispatchOutbox } = require('../services/notificationOutboxService');
+const { pool } = require('../database');
+
+const runJob = async () => {
+  console.log(`[Digest Job] Starting job at ${new Date().toISOString()}`);
+
+  try {
+    await sendDueDigests();
+    // Deliver straight away rather than waiting for the next dispatcher run
+    await dispatchOutbox();
+  } catch (error) {
+    console.error('[Digest Job] An unexpected error occurred during the job run:', error);
+  } finally {
+    // Gracefully close the database connection pool to allow the script to exit cleanly.
+    await pool.end();
+    console.log(`[Digest Job] Job finished at ${new Date().toISOString()}. Database pool closed.`);
+  }
+};
+
+// Execute the job
+runJob();
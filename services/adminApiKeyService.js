@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { pool } = require('../database');
+const { AUDIT_ACTIONS, buildDiff, recordAuditEvent } = require('./auditLogService');
+
+// What an admin API key may do. Each admin route requires one scope.
+const ADMIN_SCOPES = {
+    READ_STATS: 'read:stats',
+    READ_FLIGHTS: 'read:flights',
+    WRITE_FLIGHTS: 'write:flights',
+    READ_EMAILS: 'read:emails',
+    WRITE_EMAILS: 'write:emails',
+    READ_NOTIFICATIONS: 'read:notifications',
+    WRITE_NOTIFICATIONS: 'write:notifications',
+    BILLING: 'billing',
+    READ_AUDIT: 'read:audit',
+    MANAGE_KEYS: 'manage:keys',
+};
+
+// Keys look like "fak_<prefix>_<secret>". The prefix finds the row; only a hash of the whole key is stored.
+const KEY_PATTERN = /^(fak_[a-f0-9]{12})_[A-Za-z0-9_-]{43}$/;
+// Columns safe to return: everything but the hash.
+const KEY_COLUMNS = 'api_key_id, name, key_prefix, scopes, created_by, created_at, expires_at, last_used_at, revoked_at';
+// last_used_at is only written when it is older than this, so busy keys don't write on every request.
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hashes an API key for storage. Keys are 256-bit random values, so a plain SHA-256
+ * is enough; there is nothing to brute-force.
+ * @param {string} apiKey - The full key.
+ * @returns {string} The hex digest.
+ */
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * Checks requested scopes against ADMIN_SCOPES.
+ * @param {Array<string>} scopes - The scopes.
+ * @returns {Array<string>} The scopes, deduplicated.
+ * @throws An error if there are none or one is unknown.
+ */
+const validateScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new Error(`At least one scope is required: ${Object.values(ADMIN_SCOPES).join(', ')}.`);
+    }
+    const unknown = scopes.filter(scope => !Object.values(ADMIN_SCOPES).includes(scope));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid scope "${unknown[0]}". Use any of: ${Object.values(ADMIN_SCOPES).join(', ')}.`);
+    }
+    return [...new Set(scopes)];
+};
+
+/**
+ * Creates an admin API key. The key itself is only ever returned here.
+ * @param {object} input - { name, scopes, expiresAt } where expiresAt is optional.
+ * @param {object} actor - Who is creating it, for the audit log: { type, id, name, ip, scopes }.
+ * A key can only grant scopes its creator holds; actors without scopes (scripts) can grant any.
+ * @returns {Promise<object>} { apiKey, key } where key is the stored row without its hash.
+ * @throws An error if the name, scopes or expiry are invalid.
+ */
+const createApiKey = async ({ name, scopes, expiresAt = null }, actor) => {
+    const keyName = String(name || '').trim();
+    if (!keyName) throw new Error('A key name is required.');
+    const grantedScopes = validateScopes(scopes);
+    if (actor.scopes) {
+        const missing = grantedScopes.filter(scope => !actor.scopes.includes(scope));
+        if (missing.length > 0) throw new Error(`Invalid scope "${missing[0]}": you can only grant scopes your own key has.`);
+    }
+    if (expiresAt !== null && (isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) {
+        throw new Error('Invalid expiresAt: use a future date.');
+    }
+
+    const keyPrefix = `fak_${crypto.randomBytes(6).toString('hex')}`;
+    const apiKey = `${keyPrefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query(`
+            INSERT INTO admin_api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING ${KEY_COLUMNS}
+        `, [keyName, keyPrefix, hashApiKey(apiKey), grantedScopes, `${actor.type}:${actor.id}`, expiresAt]);
+        const key = rows[0];
+        await recordAuditEvent(client, {
+            actor,
+            action: AUDIT_ACTIONS.API_KEY_CREATE,
+            targetType: 'api_key',
+            targetId: key.api_key_id,
+            diff: buildDiff(null, { name: key.name, key_prefix: key.key_prefix, scopes: key.scopes, expires_at: key.expires_at }),
+        });
+        await client.query('COMMIT');
+        return { apiKey, key };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Lists admin API keys, newest first. Hashes are never returned.
+ * @param {object} options - { includeRevoked }
+ * @returns {Promise<Array<object>>} The keys.
+ */
+const listApiKeys = async ({ includeRevoked = false } = {}) => {
+    const { rows } = await pool.query(`
+        SELECT ${KEY_COLUMNS} FROM admin_api_keys
+        ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+        ORDER BY created_at DESC
+    `);
+    return rows;
+};
+
+/**
+ * Revokes an admin API key. It stops working immediately.
+ * @param {number} apiKeyId - The key.
+ * @param {object} actor - Who is revoking it, for the audit log.
+ * @returns {Promise<object|null>} The revoked key, or null if there is no key with that ID.
+ * @throws An error if the key was already revoked.
+ */
+const revokeApiKey = async (apiKeyId, actor) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: existing } = await client.query(
+            `SELECT ${KEY_COLUMNS} FROM admin_api_keys WHERE api_key_id = $1 FOR UPDATE`,
+            [apiKeyId]
+        );
+        if (existing.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        if (existing[0].revoked_at) throw new Error(`API key ${apiKeyId} was already revoked.`);
+
+        const { rows } = await client.query(
+            `UPDATE admin_api_keys SET revoked_at = NOW() WHERE api_key_id = $1 RETURNING ${KEY_COLUMNS}`,
+            [apiKeyId]
+        );
+        await recordAuditEvent(client, {
+            actor,
+            action: AUDIT_ACTIONS.API_KEY_REVOKE,
+            targetType: 'api_key',
+            targetId: apiKeyId,
+            diff: buildDiff({ revoked_at: existing[0].revoked_at }, { revoked_at: rows[0].revoked_at }),
+        });
+        await client.query('COMMIT');
+        return rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Looks up the admin API key a request presented.
+ * @param {string} apiKey - The key from the request.
+ * @returns {Promise<object|null>} The key row without its hash, or null if the key is
+ * unknown, revoked or expired.
+ */
+const authenticateApiKey = async (apiKey) => {
+    const match = String(apiKey || '').match(KEY_PATTERN);
+    if (!match) return null;
+    const { rows } = await pool.query(`SELECT ${KEY_COLUMNS}, key_hash FROM admin_api_keys WHERE key_prefix = $1`, [match[1]]);
+    if (rows.length === 0) return null;
+
+    const { key_hash: keyHash, ...key } = rows[0];
+    const isMatch = crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), Buffer.from(hashApiKey(apiKey), 'hex'));
+    if (!isMatch || key.revoked_at || (key.expires_at && new Date(key.expires_at) <= new Date())) return null;
+
+    if (!key.last_used_at || Date.now() - new Date(key.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+        await pool.query('UPDATE admin_api_keys SET last_used_at = NOW() WHERE api_key_id = $1', [key.api_key_id]);
+    }
+    return key;
+};
+
+module.exports = {
+    ADMIN_SCOPES,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    authenticateApiKey,
+};
@@ -0,0 +1,121 @@
+const airports = require('../data/airports.json');
+
+const AIRPORT_CODE_REGEX = /^[A-Z]{3}$/;
+
+// IATA code -> { code, name, city, country, timezone }
+const airportsByCode = new Map(airports.map(airport => [airport.code, airport]));
+
+/**
+ * Looks up an airport in the bundled reference dataset.
+ * @param {string} code - The IATA airport code.
+ * @returns {object|null} { code, name, city, country, timezone } or null if unknown.
+ */
+const getAirport = (code) => (code ? airportsByCode.get(String(code).trim().toUpperCase()) || null : null);
+
+/**
+ * Checks that an airport code is well formed and is a known airport.
+ * @param {string} code - The IATA airport code.
+ * @param {string} label - How to refer to the code in the error, e.g. 'departure airport'.
+ * @throws An error if the code is malformed or not in the airport dataset.
+ */
+const validateAirportCode = (code, label = 'airport') => {
+    if (!AIRPORT_CODE_REGEX.test(code)) {
+        throw new Error(`Invalid airport code format for ${label}.`);
+    }
+    if (!airportsByCode.has(code)) {
+        throw new Error(`Invalid ${label}: ${code} is not a known airport code.`);
+    }
+};
+
+/**
+ * Works out a timezone's UTC offset at a given instant.
+ * @param {string} timezone - An IANA timezone, e.g. 'America/New_York'.
+ * @param {number} millis - The instant, in epoch milliseconds.
+ * @returns {number} The offset in milliseconds (local time minus UTC).
+ */
+const getTimezoneOffset = (timezone, millis) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(new Date(millis));
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    const localAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+    return localAsUtc - Math.floor(millis / 1000) * 1000;
+};
+
+/**
+ * Parses a stored time such as "08:30", "8:30 PM" or "20:30:00".
+ * @param {string} time - The stored time.
+ * @returns {object|null} { hours, minutes } or null if it can't be parsed.
+ */
+const parseTime = (time) => {
+    const match = String(time).trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/);
+    if (!match) return null;
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (match[3]) {
+        const isPm = match[3].toUpperCase() === 'PM';
+        if (hours === 12) hours = 0;
+        if (isPm) hours += 12;
+    }
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes };
+};
+
+/**
+ * Converts a local date and time at an airport into a true instant. A missing time
+ * is treated as the start of that local day.
+ * @param {string} date - The local date, "YYYY-MM-DD" (anything after the date is ignored).
+ * @param {string|null} time - The local time, e.g. "08:30".
+ * @param {string} airportCode - The airport whose timezone the date and time are in.
+ * @returns {Date|null} The instant, or null if the date, time or airport is unusable.
+ */
+const toInstant = (date, time, airportCode) => {
+    const airport = getAirport(airportCode);
+    const dateMatch = date ? String(date).match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+    if (!airport || !dateMatch) return null;
+
+    const parsedTime = time ? parseTime(time) : { hours: 0, minutes: 0 };
+    if (!parsedTime) return null;
+
+    const wallClockAsUtc = Date.UTC(
+        parseInt(dateMatch[1], 10), parseInt(dateMatch[2], 10) - 1, parseInt(dateMatch[3], 10),
+        parsedTime.hours, parsedTime.minutes
+    );
+    // Re-check the offset at the resulting instant so times near a DST change land correctly
+    let instant = wallClockAsUtc - getTimezoneOffset(airport.timezone, wallClockAsUtc);
+    instant = wallClockAsUtc - getTimezoneOffset(airport.timezone, instant);
+    return new Date(instant);
+};
+
+/**
+ * Formats a departure date for display in the airport's own timezone, so a flight
+ * shows the day printed on the ticket wherever the server or reader is.
+ * @param {object} details - { departureDateTime, departureDate, departureAirport }
+ * @param {string} locale - The locale to format for.
+ * @returns {string} e.g. "Sun, Mar 14, 2027", or the raw date if it can't be parsed.
+ */
+const formatLocalDate = ({ departureDateTime, departureDate, departureAirport }, locale = 'en-US') => {
+    const options = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+    const airport = getAirport(departureAirport);
+    if (departureDateTime && airport) {
+        return new Date(departureDateTime).toLocaleDateString(locale, { ...options, timeZone: airport.timezone });
+    }
+    // A bare calendar date has no timezone; format it as-is instead of letting UTC parsing shift it
+    const dateMatch = departureDate ? String(departureDate).match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+    if (dateMatch) {
+        const calendarDate = new Date(Date.UTC(parseInt(dateMatch[1], 10), parseInt(dateMatch[2], 10) - 1, parseInt(dateMatch[3], 10)));
+        return calendarDate.toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+    }
+    return departureDate ? String(departureDate) : '';
+};
+
+module.exports = {
+    AIRPORT_CODE_REGEX,
+    getAirport,
+    validateAirportCode,
+    toInstant,
+    formatLocalDate,
+};
@@ -0,0 +1,228 @@
+const { pool } = require('../database');
+
+// Supported price_alerts.alert_type values.
+const ALERT_TYPES = {
+    TARGET_PRICE: 'target_price',   // Alert when the fare is at or below threshold_price
+    PERCENT_DROP: 'percent_drop',   // Alert when the fare drops threshold_percent % below the reference price
+    AMOUNT_DROP: 'amount_drop',     // Alert when the fare drops threshold_price dollars below the reference price
+    BELOW_LOWEST: 'below_lowest',   // Alert on any fare below the lowest price seen so far
+};
+
+// Rule applied to trips whose owner hasn't configured any active rules.
+const PLAN_DEFAULT_RULES = {
+    free: { alert_type: ALERT_TYPES.PERCENT_DROP, threshold_percent: 10 },
+    pro: { alert_type: ALERT_TYPES.PERCENT_DROP, threshold_percent: 7 },
+    max: { alert_type: ALERT_TYPES.PERCENT_DROP, threshold_percent: 5 },
+};
+
+const DEFAULT_COOLDOWN_HOURS = 24;
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Checks whether a single rule fires for the current price.
+ * @param {object} rule - A price_alerts row (or plan default rule).
+ * @param {object} prices - { currentPrice, referencePrice, lowestPrice }
+ * @returns {boolean} True if the rule's condition is met.
+ */
+const ruleMatches = (rule, { currentPrice, referencePrice, lowestPrice }) => {
+    switch (rule.alert_type) {
+        case ALERT_TYPES.TARGET_PRICE:
+            return currentPrice <= toNumber(rule.threshold_price);
+        case ALERT_TYPES.PERCENT_DROP:
+            return currentPrice < referencePrice * (1 - toNumber(rule.threshold_percent) / 100);
+        case ALERT_TYPES.AMOUNT_DROP:
+            return referencePrice - currentPrice >= toNumber(rule.threshold_price);
+        case ALERT_TYPES.BELOW_LOWEST:
+            return lowestPrice !== null && currentPrice < lowestPrice;
+        default:
+            console.warn(`Unknown alert type "${rule.alert_type}" on alert ${rule.alert_id}. Ignoring.`);
+            return false;
+    }
+};
+
+/**
+ * Evaluates a flight's alert rules against a newly observed price. Drops are measured
+ * from the last alerted price (or the original price before any alert), nothing fires
+ * unless the fare is below that reference, and rules still cooling down are skipped.
+ * @param {object} flight - The flight row, including subscription_plan.
+ * @param {number} currentPrice - The newly observed price.
+ * @param {Array<object>} rules - The flight's active price_alerts rows.
+ * @returns {object} { triggeredRules, referencePrice, usedPlanDefault }
+ */
+const evaluateAlertRules = (flight, currentPrice, rules) => {
+    const referencePrice = toNumber(flight.last_alerted_price) ?? toNumber(flight.original_price);
+    const lowestPrice = toNumber(flight.lowest_price_seen);
+    const usedPlanDefault = rules.length === 0;
+    const applicableRules = usedPlanDefault
+        ? [PLAN_DEFAULT_RULES[flight.subscription_plan] || PLAN_DEFAULT_RULES.free]
+        : rules;
+
+    // Never alert (or credit savings) for a fare that isn't cheaper than what the user already knows about
+    if (referencePrice === null || currentPrice >= referencePrice) {
+        return { triggeredRules: [], referencePrice, usedPlanDefault };
+    }
+
+    const now = Date.now();
+    const triggeredRules = applicableRules.filter(rule => {
+        if (rule.last_triggered) {
+            const cooldownMs = (rule.cooldown_hours ?? DEFAULT_COOLDOWN_HOURS) * 60 * 60 * 1000;
+            if (now - new Date(rule.last_triggered).getTime() < cooldownMs) {
+                return false;
+            }
+        }
+        return ruleMatches(rule, { currentPrice, referencePrice, lowestPrice });
+    });
+
+    return { triggeredRules, referencePrice, usedPlanDefault };
+};
+
+/**
+ * Loads the active rules for a flight.
+ * @param {number} flightId - The flight.
+ * @returns {Array<object>} Active price_alerts rows.
+ */
+const getActiveRulesForFlight = async (flightId) => {
+    const { rows } = await pool.query(
+        'SELECT * FROM price_alerts WHERE flight_id = $1 AND is_active = TRUE ORDER BY alert_id',
+        [flightId]
+    );
+    return rows;
+};
+
+/**
+ * Stamps last_triggered on rules that fired, inside the alert transaction.
+ * @param {object} client - A pg client inside the caller's transaction.
+ * @param {Array<number>} alertIds - The rules that fired.
+ */
+const markRulesTriggered = async (client, alertIds) => {
+    if (alertIds.length === 0) return;
+    await client.query('UPDATE price_alerts SET last_triggered = NOW() WHERE alert_id = ANY($1::int[])', [alertIds]);
+};
+
+/**
+ * Validates and normalises a rule from an API request body.
+ * @param {object} input - { alertType, thresholdPrice, thresholdPercent, cooldownHours, isActive }
+ * @param {object} existing - The current rule when updating, so omitted fields are kept.
+ * @returns {object} Column values for price_alerts.
+ * @throws An error if the rule is incomplete or invalid.
+ */
+const normalizeRuleInput = (input, existing = {}) => {
+    const rule = {
+        alert_type: input.alertType ?? existing.alert_type,
+        threshold_price: input.thresholdPrice !== undefined ? input.thresholdPrice : toNumber(existing.threshold_price),
+        threshold_percent: input.thresholdPercent !== undefined ? input.thresholdPercent : toNumber(existing.threshold_percent),
+        cooldown_hours: input.cooldownHours ?? existing.cooldown_hours ?? DEFAULT_COOLDOWN_HOURS,
+        is_active: input.isActive ?? existing.is_active ?? true,
+    };
+
+    if (!rule.alert_type) throw new Error('alertType is required.');
+    if (!Object.values(ALERT_TYPES).includes(rule.alert_type)) {
+        throw new Error(`Invalid alertType. Use one of: ${Object.values(ALERT_TYPES).join(', ')}.`);
+    }
+
+    const isPositiveNumber = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+
+    if (rule.alert_type === ALERT_TYPES.TARGET_PRICE || rule.alert_type === ALERT_TYPES.AMOUNT_DROP) {
+        if (!isPositiveNumber(rule.threshold_price)) throw new Error('Invalid thresholdPrice: a positive amount is required for this alert type.');
+        rule.threshold_percent = null;
+    } else if (rule.alert_type === ALERT_TYPES.PERCENT_DROP) {
+        if (!isPositiveNumber(rule.threshold_percent) || rule.threshold_percent >= 100) {
+            throw new Error('Invalid thresholdPercent: a percentage between 0 and 100 is required for this alert type.');
+        }
+        rule.threshold_price = null;
+    } else {
+        rule.threshold_price = null;
+        rule.threshold_percent = null;
+    }
+
+    if (!Number.isInteger(rule.cooldown_hours) || rule.cooldown_hours < 0) {
+        throw new Error('Invalid cooldownHours: a non-negative whole number of hours is required.');
+    }
+    if (typeof rule.is_active !== 'boolean') throw new Error('Invalid isActive: a boolean is required.');
+
+    return rule;
+};
+
+/**
+ * Confirms a flight belongs to a user.
+ * @param {number} flightId - The flight.
+ * @param {string} userId - The claimed owner.
+ * @returns {boolean} True if the user owns the flight.
+ */
+const userOwnsFlight = async (flightId, userId) => {
+    const { rows } = await pool.query('SELECT 1 FROM flights WHERE flight_id = $1 AND user_id = $2', [flightId, userId]);
+    return rows.length > 0;
+};
+
+/**
+ * Lists every rule on a user's trip.
+ * @returns {Array<object>|null} The rules, or null if the flight isn't the user's.
+ */
+const listRules = async (flightId, userId) => {
+    if (!(await userOwnsFlight(flightId, userId))) return null;
+    const { rows } = await pool.query('SELECT * FROM price_alerts WHERE flight_id = $1 ORDER BY alert_id', [flightId]);
+    return rows;
+};
+
+/**
+ * Creates a rule on a user's trip.
+ * @returns {object|null} The new rule, or null if the flight isn't the user's.
+ * @throws An error if the rule is invalid.
+ */
+const createRule = async (flightId, userId, input) => {
+    const rule = normalizeRuleInput(input);
+    if (!(await userOwnsFlight(flightId, userId))) return null;
+    const { rows } = await pool.query(`
+        INSERT INTO price_alerts (flight_id, user_id, alert_type, threshold_price, threshold_percent, cooldown_hours, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `, [flightId, userId, rule.alert_type, rule.threshold_price, rule.threshold_percent, rule.cooldown_hours, rule.is_active]);
+    return rows[0];
+};
+
+/**
+ * Updates a rule on a user's trip. Omitted fields keep their current values.
+ * @returns {object|null} The updated rule, or null if it doesn't exist for this user and flight.
+ * @throws An error if the resulting rule is invalid.
+ */
+const updateRule = async (flightId, alertId, userId, input) => {
+    const { rows: existingRows } = await pool.query(
+        'SELECT * FROM price_alerts WHERE alert_id = $1 AND flight_id = $2 AND user_id = $3',
+        [alertId, flightId, userId]
+    );
+    if (existingRows.length === 0) return null;
+
+    const rule = normalizeRuleInput(input, existingRows[0]);
+    const { rows } = await pool.query(`
+        UPDATE price_alerts
+        SET alert_type = $1, threshold_price = $2, threshold_percent = $3, cooldown_hours = $4, is_active = $5, updated_at = NOW()
+        WHERE alert_id = $6
+        RETURNING *
+    `, [rule.alert_type, rule.threshold_price, rule.threshold_percent, rule.cooldown_hours, rule.is_active, alertId]);
+    return rows[0];
+};
+
+/**
+ * Deletes a rule from a user's trip.
+ * @returns {boolean} True if a rule was deleted.
+ */
+const deleteRule = async (flightId, alertId, userId) => {
+    const result = await pool.query(
+        'DELETE FROM price_alerts WHERE alert_id = $1 AND flight_id = $2 AND user_id = $3',
+        [alertId, flightId, userId]
+    );
+    return result.rowCount > 0;
+};
+
+module.exports = {
+    ALERT_TYPES,
+    PLAN_DEFAULT_RULES,
+    evaluateAlertRules,
+    getActiveRulesForFlight,
+    markRulesTriggered,
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+};
@@ -1,13 +1,43 @@
 const fetch = require('node-fetch');
+const { matchOffer } = require('./offerMatchingService');
 
 // Using the production URL.
 const AMADEUS_API_BASE_URL = 'https://api.amadeus.com'; 
+const MAX_OFFERS = 20;
+// Requests per second we allow ourselves against the Amadeus quota.
+const AMADEUS_RATE_LIMIT_PER_SECOND = parseFloat(process.env.AMADEUS_RATE_LIMIT_PER_SECOND) || 10;
+// Who a search prices for when the flight doesn't say.
+const DEFAULT_TRAVELERS = { adults: 1, children: 0, infants: 0 };
 
 let amadeusAccessToken = {
     token: null,
     expiresAt: 0,
 };
 
+/**
+ * Builds an error for a failed Amadeus response, flagging throttling (429) and
+ * server errors (5xx) as retryable and carrying any Retry-After delay.
+ * @param {string} message - What was being attempted.
+ * @param {object} response - The node-fetch response.
+ * @returns {Error} The error, with status, retryable and retryAfterMs properties.
+ */
+const createApiError = async (message, response) => {
+    let details;
+    try {
+        details = JSON.stringify(await response.json());
+    } catch (parseError) {
+        details = 'non-JSON response body';
+    }
+    const error = new Error(`${message}: ${response.status} ${response.statusText} - ${details}`);
+    error.status = response.status;
+    error.retryable = response.status === 429 || response.status >= 500;
+    const retryAfterSeconds = parseInt(response.headers.get('retry-after'), 10);
+    if (!isNaN(retryAfterSeconds)) {
+        error.retryAfterMs = retryAfterSeconds * 1000;
+    }
+    return error;
+};
+
 const getAccessToken = async () => {
     const now = Date.now();
     if (amadeusAccessToken.token && now < amadeusAccessToken.expiresAt) {
@@ -27,8 +57,7 @@ const getAccessToken = async () => {
             body: body,
         });
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(`Failed to get Amadeus token: ${response.statusText} - ${JSON.stringify(errorData)}`);
+            throw await createApiError('Failed to get Amadeus token', response);
         }
         const data = await response.json();
         amadeusAccessToken = {
@@ -42,8 +71,94 @@ const getAccessToken = async () => {
     }
 };
 
+/**
+ * Converts a matched flight offer into the price result shape every fare provider returns.
+ * @param {object} match - The { offer, score, breakdown } result of matchOffer().
+ * @param {string} source - The name of the provider that produced the offer.
+ * @returns {object} { status: 'ok', currentPrice, currency, source, lastChecked, matchScore, matchDetails }
+ */
+const toPriceResult = (match, source) => {
+    const { offer, score, breakdown } = match;
+    const segment = offer.itineraries[0].segments[0];
+    const fareDetails = offer.travelerPricings && offer.travelerPricings[0] && offer.travelerPricings[0].fareDetailsBySegment;
+    return {
+        status: 'ok',
+        currentPrice: parseFloat(offer.price.total),
+        currency: offer.price.currency,
+        source,
+        lastChecked: new Date().toISOString(),
+        matchScore: score,
+        matchDetails: {
+            offerId: offer.id,
+            carrier: segment.carrierCode,
+            flightNumber: segment.number,
+            departureAt: segment.departure.at,
+            cabin: fareDetails && fareDetails[0] ? fareDetails[0].cabin : null,
+            breakdown,
+        },
+    };
+};
+
+/**
+ * Lists the travelers for a POST search. Each lap infant is held by one of the adults.
+ * @param {object} travelers - { adults, children, infants }
+ * @returns {Array<object>} The Amadeus travelers.
+ */
+const buildTravelers = ({ adults, children, infants }) => {
+    const list = [];
+    for (let i = 0; i < adults; i++) list.push({ id: String(list.length + 1), travelerType: 'ADULT' });
+    for (let i = 0; i < children; i++) list.push({ id: String(list.length + 1), travelerType: 'CHILD' });
+    for (let i = 0; i < infants; i++) {
+        list.push({ id: String(list.length + 1), travelerType: 'HELD_INFANT', associatedAdultId: String(i + 1) });
+    }
+    return list;
+};
+
+/**
+ * Builds the POST search body for itineraries the GET search can't express
+ * (open-jaw and multi-city trips), with one origin-destination per journey.
+ * @param {object} flightDetails - The search criteria, including `journeys` and `travelers`.
+ * @returns {object} The Amadeus flight-offers search request body.
+ */
+const buildMultiCitySearch = ({ journeys, airline, travelClass, travelers = DEFAULT_TRAVELERS }) => {
+    const originDestinationIds = journeys.map((journey, index) => String(index + 1));
+    const searchCriteria = { maxFlightOffers: MAX_OFFERS };
+    if (airline) {
+        searchCriteria.flightFilters = { carrierRestrictions: { includedCarrierCodes: [airline] } };
+    }
+    if (travelClass) {
+        searchCriteria.flightFilters = {
+            ...searchCriteria.flightFilters,
+            cabinRestrictions: [{ cabin: travelClass, coverage: 'MOST_SEGMENTS', originDestinationIds }],
+        };
+    }
+    return {
+        currencyCode: 'USD',
+        originDestinations: journeys.map((journey, index) => ({
+            id: originDestinationIds[index],
+            originLocationCode: journey.origin,
+            destinationLocationCode: journey.destination,
+            departureDateTimeRange: { date: journey.departureDate },
+        })),
+        travelers: buildTravelers(travelers),
+        sources: ['GDS'],
+        searchCriteria,
+    };
+};
+
+/**
+ * Searches Amadeus for the flight and prices it against the best-matching offer.
+ * @param {object} flightDetails - The search criteria. `journeys` lets the matcher check every
+ *   booked segment, and `multiCity` switches to the POST search for open-jaw and multi-city trips.
+ *   `travelers` ({ adults, children, infants }, one adult by default) is who the booking is for;
+ *   offer prices are the total for all of them.
+ * @returns {object} A price result, or { status: 'no_offers' } when Amadeus has nothing matching.
+ * @throws An error with `retryable` set for throttling, server and network failures.
+ */
 const getFlightPrice = async (flightDetails) => {
-    const { departureAirport, arrivalAirport, departureDate, returnDate, airline, travelClass, departureTime } = flightDetails;
+    const { departureAirport, arrivalAirport, departureDate, returnDate, airline, flightNumber, travelClass, departureTime, returnTime, journeys, multiCity } = flightDetails;
+    const travelers = flightDetails.travelers || DEFAULT_TRAVELERS;
+    const isMultiCity = Boolean(multiCity) && Array.isArray(journeys) && journeys.length > 1;
 
     try {
         const accessToken = await getAccessToken();
@@ -52,97 +167,87 @@ const getFlightPrice = async (flightDetails) => {
             `?originLocationCode=${departureAirport}` +
             `&destinationLocationCode=${arrivalAirport}` +
             `&departureDate=${departureDate}` +
-            `&adults=1` +
-            `&currencyCode=USD`;
+            `&adults=${travelers.adults}` +
+            `&currencyCode=USD` +
+            `&max=${MAX_OFFERS}`; // Enough candidates for the offer matcher to find the booked flight
 
-        if (departureTime) {
-            searchUrl += `&max=10`; 
-        } else {
-            searchUrl += `&max=1`;
-        }
-
-        // <<< MODIFIED FOR TESTING: This block is now also commented out to make the search broader >>>
-        /*
         if (airline) {
-            console.log(`NOTE: Airline filtering is disabled. Searching for all airlines.`);
-            // searchUrl += `&includeAirlineCodes=${airline}`;
+            searchUrl += `&includedAirlineCodes=${airline}`;
         }
-        */
-        
-        // Fare class filtering remains disabled
-        /*
+
         if (travelClass) {
-            console.log(`NOTE: Fare class filtering is disabled. Searching for all classes.`);
-            // searchUrl += `&travelClass=${travelClass}`;
+            searchUrl += `&travelClass=${travelClass}`;
         }
-        */
 
         if (returnDate) {
             searchUrl += `&returnDate=${returnDate}`;
         }
+
+        if (travelers.children > 0) {
+            searchUrl += `&children=${travelers.children}`;
+        }
+
+        if (travelers.infants > 0) {
+            searchUrl += `&infants=${travelers.infants}`;
+        }
         
-        console.log(`Searching for flights: ${departureAirport} -> ${arrivalAirport} on ${departureDate}`);
-        
-        const response = await fetch(searchUrl, {
-            method: 'GET',
-            headers: { 'Authorization': `Bearer ${accessToken}` },
-        });
+        let response;
+        if (isMultiCity) {
+            console.log(`Searching for flights: ${journeys.map(journey => `${journey.origin} -> ${journey.destination} on ${journey.departureDate}`).join(', ')}`);
+            response = await fetch(`${AMADEUS_API_BASE_URL}/v2/shopping/flight-offers`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json',
+                    'X-HTTP-Method-Override': 'GET',
+                },
+                body: JSON.stringify(buildMultiCitySearch(flightDetails)),
+            });
+        } else {
+            console.log(`Searching for flights: ${departureAirport} -> ${arrivalAirport} on ${departureDate}`);
+            response = await fetch(searchUrl, {
+                method: 'GET',
+                headers: { 'Authorization': `Bearer ${accessToken}` },
+            });
+        }
 
         if (!response.ok) {
             if (response.status === 400) {
                 console.warn(`No flight offers found for the specified criteria.`);
-                return null;
+                return { status: 'no_offers' };
             }
-            const errorData = await response.json();
-            throw new Error(`Amadeus flight search failed: ${response.statusText} - ${JSON.stringify(errorData)}`);
+            if (response.status === 401) {
+                // The cached token was revoked or expired early; fetch a fresh one on retry
+                amadeusAccessToken = { token: null, expiresAt: 0 };
+                const authError = await createApiError('Amadeus flight search unauthorized', response);
+                authError.retryable = true;
+                throw authError;
+            }
+            throw await createApiError('Amadeus flight search failed', response);
         }
 
         const data = await response.json();
 
-        if (!data.data || data.data.length === 0) {
+        const match = matchOffer(data.data, { airline, flightNumber, travelClass, departureTime, returnTime, journeys });
+        if (!match) {
             console.log(`No flight offers returned for the specified criteria.`);
-            return null;
-        }
-
-        let bestFlightOffer;
-
-        if (departureTime) {
-            console.log(`Filtering results for flights near preferred time: ${departureTime}`);
-            const targetTimeInMinutes = parseInt(departureTime.split(':')[0]) * 60 + parseInt(departureTime.split(':')[1]);
-            let closestTimeDiff = Infinity;
-
-            for (const offer of data.data) {
-                const offerDepartureTime = offer.itineraries[0].segments[0].departure.at.split('T')[1];
-                const offerTimeInMinutes = parseInt(offerDepartureTime.split(':')[0]) * 60 + parseInt(offerDepartureTime.split(':')[1]);
-                const timeDiff = Math.abs(targetTimeInMinutes - offerTimeInMinutes);
-
-                if (timeDiff < closestTimeDiff) {
-                    closestTimeDiff = timeDiff;
-                    bestFlightOffer = offer;
-                }
-            }
-            if (bestFlightOffer) {
-                console.log(`Found best match flight departing at: ${bestFlightOffer.itineraries[0].segments[0].departure.at.split('T')[1]}`);
-            } else {
-                 console.log(`Could not find a suitable flight offer near the specified time.`);
-                 return null;
-            }
-        } else {
-            bestFlightOffer = data.data[0];
+            return { status: 'no_offers' };
         }
 
-        return {
-            currentPrice: parseFloat(bestFlightOffer.price.total),
-            currency: bestFlightOffer.price.currency,
-            lastChecked: new Date().toISOString(),
-        };
+        return toPriceResult(match, 'amadeus');
 
     } catch (error) {
-        console.error(`Error in getFlightPrice for ${departureAirport}-${arrivalAirport}:`, error);
-        return null;
+        if (error.name === 'FetchError') {
+            error.retryable = true; // Network-level failure (DNS, reset connection, timeout)
+        }
+        console.error(`Error in getFlightPrice for ${departureAirport}-${arrivalAirport}:`, error.message);
+        throw error;
     }
 };
 
 module.exports = {
+    name: 'amadeus',
+    rateLimit: { ratePerSecond: AMADEUS_RATE_LIMIT_PER_SECOND },
     getFlightPrice,
+    toPriceResult,
 };
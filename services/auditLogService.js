@@ -0,0 +1,128 @@
+const { pool } = require('../database');
+
+// What admins did, as recorded in audit_log.action.
+const AUDIT_ACTIONS = {
+    API_KEY_CREATE: 'api_key.create',
+    API_KEY_REVOKE: 'api_key.revoke',
+    FLIGHTS_CLEANUP: 'flights.cleanup',
+    NOTIFICATION_REQUEUE: 'notification.requeue',
+    EMAIL_SUPPRESSION_REMOVE: 'email_suppression.remove',
+    INBOUND_EMAIL_REPROCESS: 'inbound_email.reprocess',
+    USER_PLAN_CHANGE: 'user.plan_change',
+};
+
+// Who did it: an admin API key, or someone with database access running a script.
+const ACTOR_TYPES = {
+    API_KEY: 'api_key',
+    CLI: 'cli',
+};
+
+const MAX_AUDIT_EVENTS = 500;
+
+/**
+ * Lists what changed between two versions of a record.
+ * @param {object|null} before - The record before the action, or null if it was created.
+ * @param {object|null} after - The record after it, or null if it was removed.
+ * @returns {object} { field: { from, to } } for each field that differs.
+ */
+const buildDiff = (before, after) => {
+    const diff = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        const from = before && before[field] !== undefined ? before[field] : null;
+        const to = after && after[field] !== undefined ? after[field] : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) diff[field] = { from, to };
+    }
+    return diff;
+};
+
+/**
+ * Reads who is acting from an admin request.
+ * @param {object} req - The request, authenticated by an admin API key (req.admin).
+ * @returns {object} { type, id, name, ip }
+ */
+const getRequestActor = (req) => ({
+    type: ACTOR_TYPES.API_KEY,
+    id: String(req.admin.api_key_id),
+    name: req.admin.name,
+    ip: req.ip || null,
+});
+
+/**
+ * Writes an admin action to the audit log. Pass the transaction's client so the entry
+ * commits or rolls back with the change it describes.
+ * @param {object} client - A pg client inside a transaction, or the pool.
+ * @param {object} event - { actor, action, targetType, targetId, diff, details } where actor
+ * is { type, id, name, ip }, action is one of AUDIT_ACTIONS and diff comes from buildDiff().
+ * @returns {Promise<object>} The audit_log row.
+ */
+const recordAuditEvent = async (client, { actor, action, targetType = null, targetId = null, diff = {}, details = {} }) => {
+    const { rows } = await client.query(`
+        INSERT INTO audit_log (actor_type, actor_id, actor_name, actor_ip, action, target_type, target_id, diff, details)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+    `, [
+        actor.type,
+        actor.id,
+        actor.name || null,
+        actor.ip || null,
+        action,
+        targetType,
+        targetId === null || targetId === undefined ? null : String(targetId),
+        JSON.stringify(diff),
+        JSON.stringify(details),
+    ]);
+    return rows[0];
+};
+
+/**
+ * Lists audit log entries, newest first.
+ * @param {object} options - { actorId, action, targetType, targetId, from, to, before, limit } where
+ * from and to bound created_at and before is an audit_id to page back from.
+ * @returns {Promise<Array<object>>} The entries.
+ * @throws An error if a filter is invalid.
+ */
+const listAuditEvents = async ({ actorId, action, targetType, targetId, from, to, before, limit = 100 } = {}) => {
+    if (action && !Object.values(AUDIT_ACTIONS).includes(action)) {
+        throw new Error(`Invalid action "${action}". Use one of: ${Object.values(AUDIT_ACTIONS).join(', ')}.`);
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && isNaN(Date.parse(value))) throw new Error(`Invalid ${name} date.`);
+    }
+    if (before && !/^\d+$/.test(String(before))) throw new Error('Invalid before: use an audit_id.');
+
+    const conditions = [];
+    const params = [];
+    const filters = [
+        ['actor_id = ', actorId],
+        ['action = ', action],
+        ['target_type = ', targetType],
+        ['target_id = ', targetId],
+        ['created_at >= ', from],
+        ['created_at <= ', to],
+        ['audit_id < ', before],
+    ];
+    for (const [condition, value] of filters) {
+        if (!value) continue;
+        params.push(String(value));
+        conditions.push(`${condition}$${params.length}`);
+    }
+    params.push(Math.min(parseInt(limit, 10) || 100, MAX_AUDIT_EVENTS));
+
+    const { rows } = await pool.query(`
+        SELECT * FROM audit_log
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY audit_id DESC
+        LIMIT $${params.length}
+    `, params);
+    return rows;
+};
+
+module.exports = {
+    AUDIT_ACTIONS,
+    ACTOR_TYPES,
+    buildDiff,
+    getRequestActor,
+    recordAuditEvent,
+    listAuditEvents,
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fetch = require('node-fetch');
+
+// Firebase ID tokens are RS256 JWTs signed with Google's securetoken keys.
+const FIREBASE_JWKS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+const AUTH_JWKS_URL = process.env.AUTH_JWKS_URL || FIREBASE_JWKS_URL;
+// A local key set (a JWKS JSON file) to trust instead of AUTH_JWKS_URL, for tests and local development.
+const AUTH_JWKS_FILE = process.env.AUTH_JWKS_FILE || null;
+
+// Tokens must be issued for this app. Firebase projects only need FIREBASE_PROJECT_ID.
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || null;
+const AUTH_ISSUER = process.env.AUTH_ISSUER || (FIREBASE_PROJECT_ID ? `https://securetoken.google.com/${FIREBASE_PROJECT_ID}` : null);
+const AUTH_AUDIENCE = process.env.AUTH_AUDIENCE || FIREBASE_PROJECT_ID;
+
+// Leeway for clock drift between us and the token issuer.
+const CLOCK_SKEW_SECONDS = 60;
+// How long fetched keys are kept when the JWKS response has no max-age.
+const DEFAULT_KEY_CACHE_SECONDS = 3600;
+// An unknown key ID triggers a refetch (the issuer may have rotated keys), at most this often.
+const MIN_KEY_REFETCH_MS = 30 * 1000;
+
+let signingKeys = { keys: new Map(), fetchedAt: 0, expiresAt: 0 };
+let keySetRequest = null;
+
+/**
+ * Builds an error for a token that can't be trusted.
+ * @param {string} message - Why it was rejected.
+ * @returns {Error} The error, with status 401.
+ */
+const createAuthError = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+};
+
+/**
+ * Loads the trusted key set, from AUTH_JWKS_FILE when set and otherwise from AUTH_JWKS_URL.
+ * @returns {Promise<object>} { keys, maxAgeSeconds } where keys are JWKs.
+ * @throws An error if the key set can't be read.
+ */
+const loadKeySet = async () => {
+    if (AUTH_JWKS_FILE) {
+        return { keys: JSON.parse(fs.readFileSync(AUTH_JWKS_FILE, 'utf8')).keys || [], maxAgeSeconds: Infinity };
+    }
+    const response = await fetch(AUTH_JWKS_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch signing keys from ${AUTH_JWKS_URL}: ${response.status}`);
+    }
+    const maxAge = (response.headers.get('cache-control') || '').match(/max-age=(\d+)/);
+    return { keys: (await response.json()).keys || [], maxAgeSeconds: maxAge ? parseInt(maxAge[1], 10) : DEFAULT_KEY_CACHE_SECONDS };
+};
+
+/**
+ * Refreshes the cached signing keys. Concurrent callers share one request.
+ * @returns {Promise<void>}
+ */
+const refreshSigningKeys = () => {
+    if (!keySetRequest) {
+        keySetRequest = loadKeySet().then(({ keys, maxAgeSeconds }) => {
+            const now = Date.now();
+            signingKeys = {
+                keys: new Map(keys
+                    .filter(jwk => jwk.kid && jwk.kty === 'RSA')
+                    .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+                fetchedAt: now,
+                expiresAt: now + maxAgeSeconds * 1000,
+            };
+        }).finally(() => {
+            keySetRequest = null;
+        });
+    }
+    return keySetRequest;
+};
+
+/**
+ * Finds the public key a token was signed with, refreshing the cache when it has expired
+ * or doesn't know the key ID.
+ * @param {string} kid - The key ID from the token header.
+ * @returns {Promise<object|null>} The KeyObject, or null if the key set has no such key.
+ */
+const getSigningKey = async (kid) => {
+    const now = Date.now();
+    const isUnknown = !signingKeys.keys.has(kid) && now - signingKeys.fetchedAt >= MIN_KEY_REFETCH_MS;
+    if (now >= signingKeys.expiresAt || isUnknown) {
+        await refreshSigningKeys();
+    }
+    return signingKeys.keys.get(kid) || null;
+};
+
+/**
+ * Decodes one base64url-encoded JSON part of a JWT.
+ * @param {string} part - The encoded header or payload.
+ * @returns {object} The decoded object.
+ * @throws A 401 error if it isn't valid JSON.
+ */
+const decodePart = (part) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+        if (decoded && typeof decoded === 'object') return decoded;
+    } catch (error) {
+        // Falls through to the error below
+    }
+    throw createAuthError('Invalid token: malformed.');
+};
+
+/**
+ * Verifies an RS256 ID token: its signature against the trusted key set, its lifetime,
+ * issuer and audience, and that it names a user.
+ * @param {string} token - The compact JWT from the Authorization header.
+ * @returns {Promise<object>} The token's claims.
+ * @throws A 401 error if the token can't be trusted, or an error without a status if
+ * authentication isn't configured or the key set can't be loaded.
+ */
+const verifyIdToken = async (token) => {
+    if (!AUTH_ISSUER || !AUTH_AUDIENCE) {
+        throw new Error('Authentication is not configured. Set FIREBASE_PROJECT_ID, or AUTH_ISSUER and AUTH_AUDIENCE.');
+    }
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) throw createAuthError('Invalid token: malformed.');
+    const header = decodePart(parts[0]);
+    const claims = decodePart(parts[1]);
+
+    if (header.alg !== 'RS256') throw createAuthError('Invalid token: unsupported signing algorithm.');
+    const key = await getSigningKey(header.kid);
+    if (!key) throw createAuthError('Invalid token: unknown signing key.');
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (!crypto.verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`), key, signature)) {
+        throw createAuthError('Invalid token: bad signature.');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) throw createAuthError('Token has expired.');
+    if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) throw createAuthError('Invalid token: issued in the future.');
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) throw createAuthError('Invalid token: not valid yet.');
+    if (claims.iss !== AUTH_ISSUER) throw createAuthError('Invalid token: wrong issuer.');
+    if (![].concat(claims.aud).includes(AUTH_AUDIENCE)) throw createAuthError('Invalid token: wrong audience.');
+    if (typeof claims.sub !== 'string' || !claims.sub || claims.sub.length > 128) {
+        throw createAuthError('Invalid token: no user.');
+    }
+    return claims;
+};
+
+/**
+ * Verifies a bearer token and reads the user it was issued to.
+ * @param {string} token - The compact JWT.
+ * @returns {Promise<object>} { userId, email, emailVerified } where userId is the token's subject.
+ * @throws The errors verifyIdToken() throws.
+ */
+const authenticateToken = async (token) => {
+    const claims = await verifyIdToken(token);
+    return {
+        userId: claims.sub,
+        email: typeof claims.email === 'string' ? claims.email : null,
+        emailVerified: claims.email_verified === true,
+    };
+};
+
+module.exports = {
+    AUTH_ISSUER,
+    AUTH_AUDIENCE,
+    verifyIdToken,
+    authenticateToken,
+};
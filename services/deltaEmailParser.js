@@ -0,0 +1,68 @@
+const { cleanText, parseDate, parseTime, parsePrice, extractAirportCode, readPassenger } = require('./emailParseHelpers');
+
+/**
+ * Parser for Delta Air Lines eTicket receipts: a flight table with one row per leg
+ * ("Wed, 10 Dec 2025 | DELTA 423 | NEW YORK-KENNEDY (JFK) 8:00am | LOS ANGELES (LAX) 11:25am | Main (K)").
+ * Fixtures: fixtures/emails/delta.
+ */
+const parse = ($) => {
+    const bookingReference = cleanText($('td:contains("Confirmation #")').last().next().text())
+        || (cleanText($('body').text()).match(/Confirmation\s*#:?\s*([A-Z0-9]{6})\b/) || [])[1]
+        || null;
+
+    // The flight table is the one whose header row has Flight, Depart and Arrive columns
+    const flightTable = $('table').filter((i, table) => {
+        const header = cleanText($(table).find('tr').first().text()).toUpperCase();
+        return header.includes('FLIGHT') && header.includes('DEPART') && header.includes('ARRIVE');
+    }).last();
+
+    const segments = [];
+    flightTable.find('tr').slice(1).each((i, row) => {
+        const cells = $(row).find('td').map((j, cell) => cleanText($(cell).text())).get();
+        if (cells.length < 4) return;
+        const [dateText, flightText, departText, arriveText, cabinText] = cells;
+        const flightMatch = flightText.toUpperCase().match(/DELTA\s+0*(\d{1,4})/);
+        const departureDate = parseDate(dateText);
+        if (!flightMatch || !departureDate) return;
+
+        // Red-eyes print the arrival day in the Arrive cell, e.g. "LONDON (LHR) 7:10am Thu, 11 Dec 2025"
+        const arrivalDate = parseDate(arriveText.replace(/\(.*?\)/, '')) || departureDate;
+        segments.push({
+            carrierCode: 'DL',
+            flightNumber: `DL${flightMatch[1]}`,
+            origin: extractAirportCode(departText),
+            destination: extractAirportCode(arriveText),
+            departureDate,
+            departureTime: parseTime(departText),
+            arrivalDate,
+            arrivalTime: parseTime(arriveText),
+            cabin: cabinText ? cabinText.replace(/\(.*\)/, '').trim().toUpperCase() || null : null,
+        });
+    });
+
+    const passengers = $('td:contains("Passenger Info")').closest('table').find('.passenger-name')
+        .map((i, name) => cleanText($(name).text())).get();
+    const price = parsePrice($('td:contains("Total Flight Cost")').last().next().text());
+
+    return {
+        bookingReference,
+        airline: 'Delta Air Lines',
+        airlineIataCode: 'DL',
+        segments,
+        totalPrice: price ? price.amount : 0,
+        currency: price && price.currency ? price.currency : 'USD',
+        passengerInfo: passengers.length > 0 ? passengers.join(', ') : null,
+        passengers: passengers.map(readPassenger),
+    };
+};
+
+module.exports = {
+    name: 'delta',
+    confidence: 0.9,
+    detect: {
+        senderDomains: ['delta.com'],
+        subjectPatterns: [/your flight receipt/i, /\bdelta\b/i],
+        domMarkers: ['a[href*="delta.com"]', 'td:contains("DELTA AIR LINES")'],
+    },
+    parse,
+};
@@ -0,0 +1,218 @@
+const { pool } = require('../database');
+const { getPricesAt } = require('./priceHistoryService');
+const { getEnabledChannels } = require('./notificationPreferenceService');
+const { enqueueNotifications } = require('./notificationOutboxService');
+const { buildDigestMessage } = require('./notificationService');
+const { runWithConcurrency } = require('./workerPool');
+const { DIGEST_FREQUENCIES, NOTIFICATION_TYPES } = require('./notificationSettingsService');
+
+// How long after the last digest the next one is due. An hour short of the full period so
+// a job that runs at the same time every day or week never slips a whole cycle.
+const DIGEST_INTERVAL_HOURS = {
+    [DIGEST_FREQUENCIES.DAILY]: 23,
+    [DIGEST_FREQUENCIES.WEEKLY]: 7 * 24 - 1,
+};
+// How far ahead a departure counts as "upcoming".
+const UPCOMING_DAYS = 14;
+const DIGEST_CONCURRENCY = parseInt(process.env.DIGEST_CONCURRENCY, 10) || 5;
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Lists a user's lifetime savings one currency at a time, since amounts in different
+ * currencies can't be added up.
+ * @param {object} savingsByCurrency - users.savings_by_currency, e.g. { USD: 80.2, GBP: 12 }.
+ * @param {string} fallbackCurrency - The currency to show a zero total in when nothing was saved yet.
+ * @returns {Array<object>} [{ currency, amount }], by currency code.
+ */
+const buildSavings = (savingsByCurrency, fallbackCurrency) => {
+    const savings = Object.entries(savingsByCurrency || {})
+        .map(([currency, amount]) => ({ currency, amount: roundMoney(toNumber(amount) || 0) }))
+        .filter(({ amount }) => amount > 0)
+        .sort((a, b) => a.currency.localeCompare(b.currency));
+    return savings.length > 0 ? savings : [{ currency: fallbackCurrency, amount: 0 }];
+};
+
+/**
+ * The SQL condition for a user whose digest is due, over the users table aliased as u.
+ * @returns {string} The condition.
+ */
+const buildDueCondition = () => `(
+    ${Object.entries(DIGEST_INTERVAL_HOURS).map(([frequency, hours]) => `(u.digest_frequency = '${frequency}'
+        AND (u.last_digest_sent_at IS NULL OR u.last_digest_sent_at <= NOW() - INTERVAL '${hours} hours'))`).join(' OR ')}
+)`;
+
+/**
+ * Finds users due a digest who are tracking at least one trip and haven't unsubscribed from it.
+ * @returns {Array<object>} { user_id, email, locale, digest_frequency, last_digest_sent_at, savings_by_currency }
+ */
+const findDueUsers = async () => {
+    const { rows } = await pool.query(`
+        SELECT u.user_id, u.email, u.locale, u.digest_frequency, u.last_digest_sent_at, u.savings_by_currency
+        FROM users u
+        WHERE ${buildDueCondition()}
+        AND NOT ($1 = ANY(COALESCE(u.muted_notification_types, '{}')))
+        AND EXISTS (SELECT 1 FROM flights f WHERE f.user_id = u.user_id AND f.is_active = TRUE)
+        ORDER BY u.last_digest_sent_at ASC NULLS FIRST
+    `, [NOTIFICATION_TYPES.DIGEST]);
+    return rows;
+};
+
+/**
+ * Gathers what goes in a user's digest: each active trip's paid and current price, the
+ * trip whose price moved most since the previous digest, and departures coming up soon.
+ * @param {object} user - The users row.
+ * @returns {object} The digest's template data (see templates/email/digest/sample.json).
+ */
+const buildDigest = async (user) => {
+    const { rows: flights } = await pool.query(`
+        SELECT flight_id, departure_airport, arrival_airport, airline, departure_date, departure_date_time, currency,
+            COALESCE(original_price, total_price) as paid_price,
+            COALESCE(current_price, last_checked_price) as current_price
+        FROM flights
+        WHERE user_id = $1 AND is_active = TRUE
+        ORDER BY COALESCE(departure_date_time, departure_date::timestamptz) ASC NULLS LAST
+    `, [user.user_id]);
+
+    // The first digest compares against one period ago
+    const periodStart = user.last_digest_sent_at
+        ? new Date(user.last_digest_sent_at)
+        : new Date(Date.now() - (DIGEST_INTERVAL_HOURS[user.digest_frequency] || DIGEST_INTERVAL_HOURS.weekly) * 3600 * 1000);
+    const pricesAtPeriodStart = await getPricesAt(flights.map(flight => flight.flight_id), periodStart);
+
+    const trips = flights.map(flight => {
+        const paidPrice = toNumber(flight.paid_price);
+        const currentPrice = toNumber(flight.current_price);
+        const difference = paidPrice !== null && currentPrice !== null ? roundMoney(currentPrice - paidPrice) : null;
+        let status = 'unchecked';
+        if (difference !== null) {
+            status = difference < 0 ? 'below' : difference > 0 ? 'above' : 'same';
+        }
+        return {
+            flight: {
+                flightId: flight.flight_id,
+                departureAirport: flight.departure_airport,
+                arrivalAirport: flight.arrival_airport,
+                airline: flight.airline,
+                departureDate: flight.departure_date,
+                departureDateTime: flight.departure_date_time,
+            },
+            currency: flight.currency || 'USD',
+            paidPrice,
+            currentPrice,
+            status,
+            difference: difference === null ? null : Math.abs(difference),
+            // Trips added during the period start from what was paid
+            periodStartPrice: pricesAtPeriodStart.get(flight.flight_id) ?? paidPrice,
+        };
+    });
+
+    let biggestMover = null;
+    for (const trip of trips) {
+        if (trip.currentPrice === null || trip.periodStartPrice === null) continue;
+        const change = roundMoney(trip.currentPrice - trip.periodStartPrice);
+        if (change !== 0 && (!biggestMover || Math.abs(change) > Math.abs(biggestMover.change))) {
+            biggestMover = {
+                flight: trip.flight,
+                currency: trip.currency,
+                previousPrice: trip.periodStartPrice,
+                currentPrice: trip.currentPrice,
+                change,
+                direction: change < 0 ? 'down' : 'up',
+                amount: Math.abs(change),
+            };
+        }
+    }
+
+    const now = Date.now();
+    const upcomingCutoff = now + UPCOMING_DAYS * 24 * 3600 * 1000;
+    const upcoming = trips.filter(trip => {
+        const departure = trip.flight.departureDateTime || trip.flight.departureDate;
+        const departsAt = departure ? new Date(departure).getTime() : NaN;
+        return departsAt >= now && departsAt <= upcomingCutoff;
+    });
+
+    return {
+        frequency: user.digest_frequency,
+        tripCount: trips.length,
+        trips,
+        biggestMover,
+        upcoming,
+        upcomingDays: UPCOMING_DAYS,
+        lifetimeSavings: buildSavings(user.savings_by_currency, trips.length > 0 ? trips[0].currency : 'USD'),
+    };
+};
+
+/**
+ * Queues one user's digest. Stamping last_digest_sent_at and queueing the email happen in
+ * one transaction, and the stamp only succeeds while the digest is still due, so two
+ * overlapping runs can't both send it.
+ * @param {object} user - The users row, from findDueUsers().
+ * @returns {boolean} Whether a digest was queued; false when it wasn't due any more or the user has no enabled email channel.
+ */
+const queueDigest = async (user) => {
+    // The digest is an email; other channels keep getting instant alerts only. Users without
+    // channel preferences get their account email, and users who disabled email get no digest.
+    const channels = (await getEnabledChannels(user.user_id, user.email)).filter(channel => channel.channel === 'email');
+    if (channels.length === 0) return false;
+
+    const digest = await buildDigest(user);
+    const message = buildDigestMessage({ digest, locale: user.locale, userId: user.user_id });
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const claim = await client.query(
+            `UPDATE users u SET last_digest_sent_at = NOW() WHERE u.user_id = $1 AND ${buildDueCondition()} RETURNING u.last_digest_sent_at`,
+            [user.user_id]
+        );
+        if (claim.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+        const sentAt = new Date(claim.rows[0].last_digest_sent_at);
+        await enqueueNotifications(client, {
+            userId: user.user_id,
+            flightId: null,
+            // Hour precision: digests are at least 23 hours apart, so each gets its own key
+            dedupeKey: `digest:${user.user_id}:${sentAt.toISOString().slice(0, 13)}`,
+            message,
+            channels,
+        });
+        await client.query('COMMIT');
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Queues a digest for every user who is due one. Delivery is left to the outbox dispatcher.
+ * @returns {object} Counts: { due, queued, failed }.
+ */
+const sendDueDigests = async () => {
+    const summary = { due: 0, queued: 0, failed: 0 };
+    const users = await findDueUsers();
+    summary.due = users.length;
+
+    await runWithConcurrency(users, DIGEST_CONCURRENCY, async (user) => {
+        try {
+            if (await queueDigest(user)) summary.queued++;
+        } catch (error) {
+            summary.failed++;
+            console.error(`Failed to queue digest for user ${user.user_id}:`, error.message);
+        }
+    });
+
+    console.log(`Digests: ${summary.queued} queued, ${summary.failed} failed of ${summary.due} due.`);
+    return summary;
+};
+
+module.exports = {
+    buildDigest,
+    sendDueDigests,
+};
@@ -0,0 +1,74 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+
+// Limits for the inbound email webhook's multipart upload.
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+// PDF itineraries are a few pages; anything longer is not an e-ticket.
+const MAX_PDF_PAGES = 20;
+
+/**
+ * Checks whether an uploaded attachment is a PDF. Mail clients aren't consistent about
+ * the content type, so the file extension counts too.
+ * @param {object} file - A multer file: { originalname, mimetype, buffer }.
+ * @returns {boolean} True for PDFs.
+ */
+const isPdf = (file) => file.mimetype === 'application/pdf' || path.extname(file.originalname || '').toLowerCase() === '.pdf';
+
+/**
+ * Checks whether an uploaded attachment is plain text, e.g. an itinerary.txt.
+ * @param {object} file - A multer file.
+ * @returns {boolean} True for text files.
+ */
+const isPlainText = (file) => file.mimetype === 'text/plain' || path.extname(file.originalname || '').toLowerCase() === '.txt';
+
+/**
+ * Checks whether an attachment is one the parsers can read (a PDF or text file).
+ * @param {object} file - A multer file.
+ * @returns {boolean} True if it's worth keeping and parsing.
+ */
+const isReadableAttachment = (file) => isPdf(file) || isPlainText(file);
+
+/**
+ * Extracts the text of a PDF.
+ * @param {Buffer} buffer - The PDF.
+ * @returns {Promise<string>} The text, one line per line of the document.
+ * @throws An error if the file isn't a readable PDF.
+ */
+const extractPdfText = async (buffer) => {
+    // Small Buffers are slices of a shared pool and pdf.js ignores their byteOffset,
+    // so hand it a copy that starts at the beginning of its own memory
+    const { text } = await pdfParse(new Uint8Array(buffer), { max: MAX_PDF_PAGES });
+    return text;
+};
+
+/**
+ * Extracts text from the attachments of an inbound email. PDFs and text files are read;
+ * anything else (images, calendar files) is ignored. An attachment that can't be read is
+ * logged and skipped so the rest of the email can still be parsed.
+ * @param {Array<object>} files - The multer files from the webhook.
+ * @returns {Promise<Array<object>>} [{ name, text }] for each attachment with text in it.
+ */
+const extractAttachmentTexts = async (files = []) => {
+    const documents = [];
+    for (const file of files) {
+        if (!isReadableAttachment(file)) continue;
+        try {
+            const text = isPdf(file) ? await extractPdfText(file.buffer) : file.buffer.toString('utf8');
+            if (text.trim()) {
+                documents.push({ name: file.originalname || file.fieldname, text });
+            }
+        } catch (error) {
+            console.warn(`Could not read attachment "${file.originalname}":`, error.message);
+        }
+    }
+    return documents;
+};
+
+module.exports = {
+    MAX_ATTACHMENT_BYTES,
+    MAX_ATTACHMENTS,
+    isReadableAttachment,
+    extractPdfText,
+    extractAttachmentTexts,
+};
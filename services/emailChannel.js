@@ -0,0 +1,67 @@
+const sgMail = require('@sendgrid/mail');
+
+// Set the API key from environment variables
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+const FROM_EMAIL = process.env.SENDGRID_FROM_EMAIL;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Checks that a destination is an email address.
+ * @param {string} destination - The email address.
+ * @throws An error if the address is malformed.
+ */
+const validate = (destination) => {
+    if (!EMAIL_REGEX.test(destination || '')) {
+        throw new Error('Invalid destination: a valid email address is required for the email channel.');
+    }
+};
+
+/**
+ * Shapes a notification for email. Messages with an unsubscribe link get the
+ * List-Unsubscribe headers mail clients use for their one-click unsubscribe button.
+ * @param {object} message - { subject, html, text, unsubscribeUrl }
+ * @returns {object} { subject, html, text, headers }
+ */
+const format = (message) => ({
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    headers: message.unsubscribeUrl
+        ? { 'List-Unsubscribe': `<${message.unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        : undefined,
+});
+
+/**
+ * Sends an email through SendGrid.
+ * @param {string} destination - The recipient's email address.
+ * @param {object} payload - The result of format().
+ */
+const send = async (destination, payload) => {
+    try {
+        await sgMail.send({
+            to: destination,
+            from: {
+                name: 'FareAware Alerts',
+                email: FROM_EMAIL,
+            },
+            subject: payload.subject,
+            html: payload.html,
+            text: payload.text,
+            headers: payload.headers,
+        });
+    } catch (error) {
+        if (error.response) {
+            // Log detailed error from SendGrid
+            console.error(JSON.stringify(error.response.body, null, 2));
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    name: 'email',
+    validate,
+    format,
+    send,
+};
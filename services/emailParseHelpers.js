@@ -0,0 +1,169 @@
+// Small text helpers shared by the airline and OTA email parsers.
+const { PASSENGER_TYPES } = require('./passengerService');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const CURRENCY_SYMBOLS = { '$': 'USD', '£': 'GBP', '€': 'EUR', '¥': 'JPY', '₹': 'INR' };
+// Marketing names OTAs print instead of carrier codes.
+const AIRLINE_CODES = {
+    'air canada': 'AC',
+    'air france': 'AF',
+    'alaska airlines': 'AS',
+    'american airlines': 'AA',
+    'british airways': 'BA',
+    'delta': 'DL',
+    'delta air lines': 'DL',
+    'jetblue': 'B6',
+    'lufthansa': 'LH',
+    'southwest airlines': 'WN',
+    'united': 'UA',
+    'united airlines': 'UA',
+};
+// How confirmations mark passengers who aren't adults: IATA's CHD/INF codes, the words
+// booking sites print after names, and the MSTR and MISS titles airlines give children
+// (only in the ticket's "SURNAME/GIVEN TITLE" form, as adults are also called Miss).
+const INFANT_MARKER_REGEX = /\b(?:INF|INFANT|LAP\s+CHILD)\b/i;
+const CHILD_MARKER_REGEX = /\b(?:CHD|CHILD)\b|\/.*\b(?:MSTR|MISS)\b/i;
+
+/**
+ * Collapses whitespace, including non-breaking spaces, and trims.
+ * @param {string} text - The raw text.
+ * @returns {string} The cleaned text.
+ */
+const cleanText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Reads a date written the ways confirmations tend to: "2025-12-10", "Wed, 10 Dec 2025",
+ * "December 10, 2025" or "10DEC25".
+ * @param {string} text - The text containing the date.
+ * @returns {string|null} The date as "YYYY-MM-DD", or null if none was found.
+ */
+const parseDate = (text) => {
+    const value = cleanText(text);
+    const pad = (number) => String(number).padStart(2, '0');
+    const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+    const build = (year, month, day) => (month >= 0 && day >= 1 && day <= 31 ? `${year}-${pad(month + 1)}-${pad(day)}` : null);
+
+    let match = value.match(/(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return build(match[1], parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    match = value.match(/\b(\d{1,2})\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/);
+    if (match) return build(match[3], monthIndex(match[2]), parseInt(match[1], 10));
+    match = value.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})\b/);
+    if (match) return build(match[3], monthIndex(match[1]), parseInt(match[2], 10));
+    match = value.match(/\b(\d{2})([A-Za-z]{3})(\d{2})\b/);
+    if (match) return build(`20${match[3]}`, monthIndex(match[2]), parseInt(match[1], 10));
+    return null;
+};
+
+/**
+ * Reads a clock time such as "10:30", "7:05 PM" or "19.05".
+ * @param {string} text - The text containing the time.
+ * @returns {string|null} The time as 24-hour "HH:MM", or null if none was found.
+ */
+const parseTime = (text) => {
+    const match = cleanText(text).match(/\b(\d{1,2})[:.](\d{2})\s*([AaPp]\.?[Mm]\.?)?/);
+    if (!match) return null;
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (match[3]) {
+        const isPm = match[3].toLowerCase().startsWith('p');
+        if (hours === 12) hours = 0;
+        if (isPm) hours += 12;
+    }
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Reads an amount and its currency from text like "$1,234.56", "£89.00" or "EUR 1.234,50".
+ * @param {string} text - The text containing the price.
+ * @returns {object|null} { amount, currency }, currency null if the text doesn't say, or null if there's no amount.
+ */
+const parsePrice = (text) => {
+    const value = cleanText(text);
+    const match = value.match(/(\d{1,3}(?:[.,\s]\d{3})*(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)/);
+    if (!match) return null;
+
+    let number = match[1].replace(/\s/g, '');
+    // Whichever of . and , comes last is the decimal separator when it has 1-2 digits after it
+    const decimalMatch = number.match(/[.,](\d{1,2})$/);
+    if (decimalMatch) {
+        const integerPart = number.slice(0, -decimalMatch[0].length).replace(/[.,]/g, '');
+        number = `${integerPart}.${decimalMatch[1]}`;
+    } else {
+        number = number.replace(/[.,]/g, '');
+    }
+
+    const codeMatch = value.match(/\b([A-Z]{3})\b/);
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(candidate => value.includes(candidate));
+    return {
+        amount: parseFloat(number),
+        currency: codeMatch ? codeMatch[1] : (symbol ? CURRENCY_SYMBOLS[symbol] : null),
+    };
+};
+
+/**
+ * Picks an IATA airport code out of text like "London Heathrow (LHR)" or "JFK".
+ * @param {string} text - The text.
+ * @returns {string|null} The code, or null if there isn't one.
+ */
+const extractAirportCode = (text) => {
+    const value = cleanText(text);
+    const match = value.match(/\(([A-Z]{3})\)/) || value.match(/^([A-Z]{3})$/) || value.match(/\b([A-Z]{3})\b/);
+    return match ? match[1] : null;
+};
+
+/**
+ * Splits a flight number such as "BA 117" or "dl0423" into carrier and number.
+ * @param {string} text - The text containing the flight number.
+ * @returns {object|null} { carrierCode, flightNumber } e.g. { 'BA', 'BA117' }, or null.
+ */
+const parseFlightNumber = (text) => {
+    const match = cleanText(text).toUpperCase().match(/\b([A-Z0-9]{2})\s?0*(\d{1,4})\b/);
+    if (!match || /^\d{2}$/.test(match[1])) return null;
+    return { carrierCode: match[1], flightNumber: `${match[1]}${match[2]}` };
+};
+
+/**
+ * Looks up the IATA code for an airline's marketing name.
+ * @param {string} name - e.g. "United Airlines".
+ * @returns {string|null} e.g. "UA", or null if the name isn't known.
+ */
+const lookupAirlineCode = (name) => AIRLINE_CODES[cleanText(name).toLowerCase()] || null;
+
+/**
+ * Reads a passenger name as printed on a confirmation, and their type from any marker
+ * next to it, e.g. "DOE/TOM MSTR", "Lily Doe (Infant)".
+ * @param {string} text - The printed name.
+ * @returns {object} { name, type } where type is one of PASSENGER_TYPES.
+ */
+const readPassenger = (text) => {
+    const name = cleanText(text);
+    if (INFANT_MARKER_REGEX.test(name)) return { name, type: PASSENGER_TYPES.INFANT };
+    if (CHILD_MARKER_REGEX.test(name)) return { name, type: PASSENGER_TYPES.CHILD };
+    return { name, type: PASSENGER_TYPES.ADULT };
+};
+
+/**
+ * Reads passenger counts printed as a summary, e.g. "2 adults, 1 child, 1 infant on lap".
+ * @param {string} text - The text containing the summary.
+ * @returns {object|null} { adults, children, infants }, or null if no adult count was found.
+ */
+const parsePassengerCounts = (text) => {
+    const value = cleanText(text);
+    const countOf = (pattern) => parseInt((value.match(pattern) || [])[1], 10) || 0;
+    const adults = countOf(/\b(\d)\s*adults?\b/i);
+    if (!adults) return null;
+    return { adults, children: countOf(/\b(\d)\s*(?:child|children)\b/i), infants: countOf(/\b(\d)\s*(?:lap\s+)?infants?\b/i) };
+};
+
+module.exports = {
+    cleanText,
+    parseDate,
+    parseTime,
+    parsePrice,
+    extractAirportCode,
+    parseFlightNumber,
+    lookupAirlineCode,
+    readPassenger,
+    parsePassengerCounts,
+};
@@ -0,0 +1,241 @@
+const cheerio = require('cheerio');
+const { assignJourneys, buildJourneys } = require('./itineraryService');
+const galaxyAirlinesParser = require('./galaxyAirlinesEmailParser');
+const deltaParser = require('./deltaEmailParser');
+const expediaParser = require('./expediaEmailParser');
+const schemaOrgParser = require('./schemaOrgEmailParser');
+const plainTextParser = require('./plainTextEmailParser');
+const { htmlToText } = require('./templateService');
+const { scoreParsedTrip } = require('./parseConfidenceService');
+const { countPassengerTypes } = require('./passengerService');
+
+// How much each kind of detection signal counts towards picking a parser.
+const SIGNAL_WEIGHTS = {
+    senderDomain: 3,
+    subject: 2,
+    domMarker: 1,
+};
+
+// Registered email parsers, keyed by name. Each parser declares
+// detect: { senderDomains, subjectPatterns, domMarkers } and parse($, email) returning
+// { bookingReference, airline, airlineIataCode, segments, totalPrice, currency, passengerInfo,
+// passengers } (passengers as [{ name, type }]), or an array of those for several bookings.
+// Parsers with tryFirst: true (structured data) are tried ahead of the scrapers whenever they match.
+// A parser's confidence (0-1) says how far its output can be trusted; parse() may also
+// return fieldConfidence to mark individual fields it guessed at.
+const parsers = new Map();
+
+/**
+ * Registers an email parser.
+ * @param {object} parser - { name, detect, parse }
+ * @throws An error if the parser is missing its name, detection rules or parse().
+ */
+const registerEmailParser = (parser) => {
+    if (!parser || !parser.name || !parser.detect || typeof parser.parse !== 'function') {
+        throw new Error(`Email parser "${parser && parser.name}" must have a name, detect rules and parse().`);
+    }
+    parsers.set(parser.name, parser);
+};
+
+/**
+ * Looks up a registered email parser.
+ * @param {string} name - The parser name.
+ * @returns {object} The parser.
+ * @throws An error if no parser is registered under that name.
+ */
+const getEmailParser = (name) => {
+    const parser = parsers.get(name);
+    if (!parser) {
+        throw new Error(`Unknown email parser "${name}". Registered parsers: ${[...parsers.keys()].join(', ')}`);
+    }
+    return parser;
+};
+
+/**
+ * @returns {Array<string>} The names of the registered parsers.
+ */
+const listEmailParsers = () => [...parsers.keys()];
+
+/**
+ * Extracts the domain from a From header such as "BA <noreply@ba.com>".
+ * @param {string} from - The header.
+ * @returns {string} The lower-cased domain, or '' if there isn't one.
+ */
+const getSenderDomain = (from) => {
+    const match = String(from || '').match(/@([A-Za-z0-9.-]+)/);
+    return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Scores how strongly an email matches a parser's detection rules.
+ * @param {object} parser - The parser.
+ * @param {object} email - { from, subject }
+ * @param {object} $ - The email's HTML loaded into cheerio.
+ * @returns {object} { score, signals } where signals lists what matched.
+ */
+const scoreParser = (parser, email, $) => {
+    const { senderDomains = [], subjectPatterns = [], domMarkers = [] } = parser.detect;
+    const signals = [];
+    const domain = getSenderDomain(email.from);
+    if (domain && senderDomains.some(candidate => domain === candidate || domain.endsWith(`.${candidate}`))) {
+        signals.push('senderDomain');
+    }
+    if (subjectPatterns.some(pattern => pattern.test(email.subject || ''))) {
+        signals.push('subject');
+    }
+    for (const marker of domMarkers) {
+        if ($(marker).length > 0) signals.push('domMarker');
+    }
+    return { score: signals.reduce((total, signal) => total + SIGNAL_WEIGHTS[signal], 0), signals };
+};
+
+/**
+ * Ranks the parsers that recognise an email, best match first. tryFirst parsers come
+ * ahead of the rest regardless of score.
+ * @param {object} email - { from, subject, html }
+ * @returns {Array<object>} [{ name, score, signals }] for parsers with any matching signal.
+ */
+const detectEmailParsers = (email) => {
+    const $ = cheerio.load(email.html || '');
+    const priority = (name) => (parsers.get(name).tryFirst ? 1 : 0);
+    return [...parsers.values()]
+        .map(parser => ({ name: parser.name, ...scoreParser(parser, email, $) }))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => priority(b.name) - priority(a.name) || b.score - a.score);
+};
+
+/**
+ * Turns what a parser extracted into the trip shape createTripInDatabase() takes:
+ * the segments plus the flattened route, date and time fields older code reads.
+ * @param {object} extracted - The parser's output.
+ * @returns {object} The normalized trip.
+ */
+const buildParsedTrip = (extracted) => {
+    const segments = (extracted.segments || []).filter(segment => segment.origin && segment.destination);
+    const journeys = buildJourneys(assignJourneys(segments.map(segment => ({
+        ...segment,
+        journeyIndex: Number.isInteger(segment.journeyIndex) ? segment.journeyIndex : null,
+    }))));
+    const allDates = journeys.map(journey => journey.departureDate).filter(Boolean);
+    const allTimes = journeys.map(journey => journey.departureTime).filter(Boolean);
+    const outbound = journeys[0];
+    const returnJourney = journeys[1];
+    const firstSegment = segments[0] || {};
+    // Confirmations that don't list passengers are taken to be for one adult
+    const passengerTypes = extracted.passengerTypes || countPassengerTypes(extracted.passengers) || { adults: 1, children: 0, infants: 0 };
+
+    return {
+        bookingReference: extracted.bookingReference || 'Not Found',
+        airline: extracted.airline || null,
+        airlineIataCode: extracted.airlineIataCode || firstSegment.carrierCode || null,
+        flightNumber: firstSegment.flightNumber || null,
+        departureAirport: outbound ? outbound.origin : '',
+        arrivalAirport: outbound ? outbound.destination : '',
+        departureDate: allDates[0] || null,
+        departureTime: allTimes[0] || null,
+        arrivalDate: returnJourney ? returnJourney.departureDate : null,
+        arrivalTime: returnJourney ? returnJourney.departureTime : null,
+        returnTime: returnJourney ? returnJourney.departureTime : null,
+        allDates,
+        allTimes,
+        segments: journeys.flatMap(journey => journey.segments),
+        totalPrice: extracted.totalPrice || 0,
+        currency: extracted.currency || 'USD',
+        passengerInfo: extracted.passengerInfo || null,
+        passengerCount: passengerTypes.adults + passengerTypes.children + passengerTypes.infants,
+        passengerTypes,
+    };
+};
+
+/**
+ * Checks a parsed trip has what createTripInDatabase() insists on.
+ * @param {object} trip - The normalized trip.
+ * @returns {boolean} True if it has a booking reference and a route.
+ */
+const isUsableTrip = (trip) => trip.bookingReference !== 'Not Found' && Boolean(trip.departureAirport && trip.arrivalAirport);
+
+/**
+ * Turns a parser's output into scored bookings. A parser returns one extracted booking,
+ * or an array of them for emails covering several booking references.
+ * @param {object} parser - The parser.
+ * @param {object|Array<object>} extracted - What it extracted.
+ * @returns {Array<object>} [{ trip, confidence }] for each usable booking.
+ */
+const readBookings = (parser, extracted) => [].concat(extracted).map(booking => {
+    const trip = buildParsedTrip(booking);
+    if (!isUsableTrip(trip)) return null;
+    return { trip, confidence: scoreParsedTrip(trip, { parserConfidence: parser.confidence, fieldConfidence: booking.fieldConfidence }) };
+}).filter(Boolean);
+
+/**
+ * Lists the texts the plain-text parser should read, most reliable first: attachments
+ * (PDF e-tickets are the airline's own record), then the text body, then the text of
+ * the HTML body when there's no text body.
+ * @param {object} email - { html, text, documents }
+ * @returns {Array<object>} [{ source, text }]
+ */
+const getTextSources = (email) => {
+    const sources = (email.documents || []).map(document => ({ source: `attachment:${document.name}`, text: document.text }));
+    if (email.text && email.text.trim()) {
+        sources.push({ source: 'text', text: email.text });
+    } else if (email.html) {
+        sources.push({ source: 'html-text', text: htmlToText(email.html) });
+    }
+    return sources;
+};
+
+/**
+ * Parses a booking confirmation. The HTML body goes to the best-matching parser first,
+ * and if the top match can't read a usable trip the next candidates are tried in order.
+ * If none can, the plain-text parser reads the attachments and text body.
+ * @param {object} email - { from, subject, html, text, documents } where documents are
+ * the attachments' text as [{ name, text }].
+ * @returns {object} { parser, source, signals, bookings } where source is 'html', 'text',
+ * 'html-text' or 'attachment:<file name>' and bookings is [{ trip, confidence }], one per
+ * booking reference, with confidence from scoreParsedTrip().
+ * @throws An error if no parser recognises the email or none can read a usable trip from it.
+ */
+const parseEmail = (email) => {
+    const candidates = email.html ? detectEmailParsers(email) : [];
+    const textSources = getTextSources(email);
+    if (candidates.length === 0 && textSources.length === 0) {
+        throw new Error('No email parser recognised this confirmation.');
+    }
+
+    const $ = cheerio.load(email.html || '');
+    const failures = [];
+    for (const candidate of candidates) {
+        try {
+            const parser = getEmailParser(candidate.name);
+            const bookings = readBookings(parser, parser.parse($, email));
+            if (bookings.length > 0) {
+                return { parser: candidate.name, source: 'html', signals: candidate.signals, bookings };
+            }
+            failures.push(`${candidate.name}: missing booking reference or route`);
+        } catch (error) {
+            failures.push(`${candidate.name}: ${error.message}`);
+        }
+    }
+    for (const { source, text } of textSources) {
+        const bookings = readBookings(plainTextParser, plainTextParser.parse(text, email));
+        if (bookings.length > 0) {
+            return { parser: plainTextParser.name, source, signals: [], bookings };
+        }
+        failures.push(`${plainTextParser.name} (${source}): missing booking reference or route`);
+    }
+    throw new Error(`Could not extract a trip from this confirmation (${failures.join('; ')}).`);
+};
+
+registerEmailParser(schemaOrgParser);
+registerEmailParser(galaxyAirlinesParser);
+registerEmailParser(deltaParser);
+registerEmailParser(expediaParser);
+
+module.exports = {
+    registerEmailParser,
+    getEmailParser,
+    listEmailParsers,
+    detectEmailParsers,
+    buildParsedTrip,
+    parseEmail,
+};
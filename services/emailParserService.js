@@ -1,5 +1,8 @@
-const cheerio = require('cheerio');
 const { pool } = require('../database');
+const { parseEmail } = require('./emailParserRegistry');
+const { extractAttachmentTexts } = require('./emailAttachmentService');
+const { findUserByInboundAddress } = require('./inboundAddressService');
+const { unwrapForwardedEmail } = require('./forwardedEmailService');
 
 /**
  * Finds a user in the database by their email address.
@@ -17,80 +20,43 @@ const findUserByEmail = async (email) => {
 };
 
 /**
- * Scrapes flight details from an email's HTML body.
- * NOTE: This is a simplified example. You will need to add specific selectors
- * for each airline you want to support.
- * @param {string} htmlBody - The HTML content of the email.
- * @returns {object} A structured object with flight details.
+ * Finds the user an inbound email belongs to: whoever owns the alias it was sent to, or
+ * else the account matching the sender, so confirmations sent from another address or
+ * by a travel agent still land with the right user.
+ * @param {object} parsedEmail - The JSON object from SendGrid's webhook.
+ * @returns {object|null} The user row, or null if neither matches.
  */
-const scrapeFlightDetails = (htmlBody) => {
-    const $ = cheerio.load(htmlBody);
-
-    // --- This section requires extensive testing with real emails ---
-    // Example for a fictional "Galaxy Airlines" confirmation
-    const bookingReference = $('td:contains("Booking Reference")').next().text().trim() || 'Not Found';
-    const departureAirport = $('span[data-test-id="departure-airport-code"]').text().trim(); // Example selector
-    const arrivalAirport = $('span[data-test-id="arrival-airport-code"]').text().trim(); // Example selector
-
-    // Logic to find dates and distinguish one-way vs roundtrip
-    const flightSegments = $('.flight-segment'); // A container for each flight
-    const all_dates = [];
-    const all_times = [];
-    flightSegments.each((i, segment) => {
-        const date = $(segment).find('.flight-date').text().trim(); // e.g., "2025-12-10"
-        const time = $(segment).find('.flight-time').text().trim(); // e.g., "10:30"
-        if (date) all_dates.push(date);
-        if (time) all_times.push(time);
-    });
-
-    const isRoundTrip = all_dates.length > 1;
-
-    const totalPriceText = $('strong:contains("Total Price")').parent().text().replace(/[^0-9.]/g, '');
-    const totalPrice = parseFloat(totalPriceText) || 0;
-    // --- End of airline-specific section ---
-
-    // Standardize the output to match your database schema
-    return {
-        bookingReference,
-        departureAirport,
-        arrivalAirport,
-        departureDate: all_dates[0] || null,
-        departureTime: all_times[0] || null,
-        arrivalDate: isRoundTrip ? all_dates[1] : null, // Assumes non-stop
-        arrivalTime: isRoundTrip ? all_times[1] : null, // Assumes non-stop
-        allDates: all_dates,
-        allTimes: all_times,
-        totalPrice,
-        // ... add other fields like airline, flightNumber, etc.
-    };
-};
+const findInboundUser = async (parsedEmail) => (
+    await findUserByInboundAddress(parsedEmail) || await findUserByEmail(parsedEmail.from || '')
+);
 
 /**
- * Main function to process an inbound email.
+ * Parses the booking out of an inbound email, its forwarding wrapper removed.
  * @param {object} parsedEmail - The JSON object from SendGrid's webhook.
- * @returns {object} The newly created flight record.
+ * @param {Array<object>} [attachments] - The webhook's uploaded files; PDF and text attachments are parsed too.
+ * @returns {object} { parser, source, forwardedBy, bookings } where bookings is [{ trip, confidence }].
+ * @throws An error if the email has nothing to parse or no parser can read a trip from it.
  */
-const processInboundEmail = async (parsedEmail) => {
-    const fromEmail = parsedEmail.from;
-    const user = await findUserByEmail(fromEmail);
-
-    if (!user) {
-        throw new Error(`User not found for email: ${fromEmail}`);
-    }
-
+const parseInboundEmail = async (parsedEmail, attachments = []) => {
     const htmlBody = parsedEmail.html || '';
-    if (!htmlBody) {
-        throw new Error('Email has no HTML body to parse.');
+    const textBody = parsedEmail.text || '';
+    const documents = await extractAttachmentTexts(attachments);
+    if (!htmlBody && !textBody.trim() && documents.length === 0) {
+        throw new Error('Email has no HTML body, text body or readable attachment to parse.');
     }
 
-    const flightData = scrapeFlightDetails(htmlBody);
-
-    // Attach the user ID to the scraped data
-    flightData.userId = user.user_id;
-    flightData.email = user.email; // Useful for creating the user if they don't exist
+    // Parse the original confirmation, not the user's forward of it
+    const email = unwrapForwardedEmail({ from: parsedEmail.from, subject: parsedEmail.subject, html: htmlBody, text: textBody });
+    if (email.forwardedBy) {
+        console.log(`Unwrapped a forwarded email originally from ${email.from}.`);
+    }
 
-    // You can now pass this structured data to your existing trip creation logic
-    return flightData;
+    // The registry reads schema.org FlightReservation markup first, then the airline or
+    // OTA parser picked from the sender, subject and markup, then the plain text
+    const { parser, source, bookings } = parseEmail({ ...email, documents });
+    const confidences = bookings.map(booking => booking.confidence.overall).join(', ');
+    console.log(`Email parsed by the ${parser} parser (${source}): ${bookings.length} booking(s), confidence ${confidences}.`);
+    return { parser, source, forwardedBy: email.forwardedBy, bookings };
 };
 
-module.exports = { processInboundEmail };
\ No newline at end of file
+module.exports = { findInboundUser, parseInboundEmail };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { pool } = require('../database');
+
+// SendGrid event types that mean we must stop emailing an address. A 'bounce' with
+// type 'blocked' is a temporary refusal and doesn't count.
+const SUPPRESSING_EVENTS = ['bounce', 'dropped', 'spamreport', 'unsubscribe', 'group_unsubscribe'];
+// SendGrid signed event timestamps older than this are rejected as replays.
+const MAX_EVENT_AGE_SECONDS = 10 * 60;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Verifies a SendGrid Event Webhook request signed with its ECDSA key.
+ * @param {Buffer} rawBody - The request body exactly as received.
+ * @param {string} signature - The X-Twilio-Email-Event-Webhook-Signature header.
+ * @param {string} timestamp - The X-Twilio-Email-Event-Webhook-Timestamp header.
+ * @throws An error if verification isn't configured or the signature doesn't match.
+ */
+const verifyEventWebhookSignature = (rawBody, signature, timestamp) => {
+    const verificationKey = process.env.SENDGRID_WEBHOOK_VERIFICATION_KEY;
+    if (!verificationKey) {
+        throw new Error('SENDGRID_WEBHOOK_VERIFICATION_KEY is not set in environment variables.');
+    }
+    if (!signature || !timestamp) {
+        throw new Error('Missing event webhook signature headers.');
+    }
+    if (Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > MAX_EVENT_AGE_SECONDS) {
+        throw new Error('Event webhook timestamp is too old.');
+    }
+    const publicKey = crypto.createPublicKey({ key: Buffer.from(verificationKey, 'base64'), format: 'der', type: 'spki' });
+    const isValid = crypto.verify(
+        'sha256',
+        Buffer.concat([Buffer.from(timestamp), Buffer.from(rawBody)]),
+        publicKey,
+        Buffer.from(signature, 'base64')
+    );
+    if (!isValid) {
+        throw new Error('Event webhook signature verification failed.');
+    }
+};
+
+/**
+ * Decides whether an event should stop future email to its address.
+ * @param {object} event - One SendGrid event.
+ * @returns {boolean} True for hard bounces, drops, spam reports and unsubscribes.
+ */
+const isSuppressingEvent = (event) => SUPPRESSING_EVENTS.includes(event.event) && !(event.event === 'bounce' && event.type === 'blocked');
+
+/**
+ * Records bounces, spam reports and unsubscribes from a batch of SendGrid events.
+ * Other events (delivered, open, click, ...) are ignored.
+ * @param {Array<object>} events - The parsed webhook body.
+ * @returns {object} { received, recorded }
+ * @throws An error if the body isn't a list of events.
+ */
+const recordEmailEvents = async (events) => {
+    if (!Array.isArray(events)) {
+        throw new Error('Invalid event webhook payload: expected a JSON array of events.');
+    }
+    let recorded = 0;
+    for (const event of events.filter(isSuppressingEvent)) {
+        const email = normalizeEmail(event.email);
+        if (!email) continue;
+        await pool.query(`
+            INSERT INTO email_suppressions (email, reason, details, sg_event_id, event_count)
+            VALUES ($1, $2, $3, $4, 1)
+            ON CONFLICT (email) DO UPDATE
+            SET reason = EXCLUDED.reason, details = EXCLUDED.details, sg_event_id = EXCLUDED.sg_event_id,
+                event_count = email_suppressions.event_count + 1, updated_at = NOW()
+        `, [email, event.event, event.reason || event.type || null, event.sg_event_id || null]);
+        recorded++;
+    }
+    if (recorded > 0) {
+        console.log(`Recorded ${recorded} email suppression event(s) from SendGrid.`);
+    }
+    return { received: events.length, recorded };
+};
+
+/**
+ * Checks whether an address is on the suppression list.
+ * @param {string} email - The address.
+ * @returns {object|null} { email, reason, details } or null if mail to it is allowed.
+ */
+const getSuppression = async (email) => {
+    const { rows } = await pool.query(
+        'SELECT email, reason, details FROM email_suppressions WHERE email = $1',
+        [normalizeEmail(email)]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Finds which of several addresses are suppressed.
+ * @param {Array<string>} emails - The addresses.
+ * @returns {Map<string, object>} Lower-cased address to { reason, details }.
+ */
+const getSuppressions = async (emails) => {
+    if (emails.length === 0) {
+        return new Map();
+    }
+    const { rows } = await pool.query(
+        'SELECT email, reason, details FROM email_suppressions WHERE email = ANY($1)',
+        [emails.map(normalizeEmail)]
+    );
+    return new Map(rows.map(row => [row.email, row]));
+};
+
+/**
+ * Lists suppressed addresses for operators, most recent first.
+ * @param {object} options - { limit }
+ * @returns {Array<object>} The suppressions.
+ */
+const listSuppressions = async ({ limit = 100 } = {}) => {
+    const { rows } = await pool.query(
+        'SELECT * FROM email_suppressions ORDER BY updated_at DESC LIMIT $1',
+        [Math.min(parseInt(limit, 10) || 100, 1000)]
+    );
+    return rows;
+};
+
+/**
+ * Lets mail flow to an address again, e.g. after a user fixes their mailbox.
+ * @param {string} email - The address.
+ * @returns {boolean} True if the address was suppressed.
+ */
+const removeSuppression = async (email) => {
+    const result = await pool.query('DELETE FROM email_suppressions WHERE email = $1', [normalizeEmail(email)]);
+    return result.rowCount > 0;
+};
+
+module.exports = {
+    normalizeEmail,
+    verifyEventWebhookSignature,
+    recordEmailEvents,
+    getSuppression,
+    getSuppressions,
+    listSuppressions,
+    removeSuppression,
+};
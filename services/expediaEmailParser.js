@@ -0,0 +1,75 @@
+const { cleanText, parseDate, parseTime, parsePrice, extractAirportCode, lookupAirlineCode, readPassenger } = require('./emailParseHelpers');
+
+/**
+ * Parser for Expedia flight confirmations. Each leg is a block with its date, a
+ * "Seattle (SEA) 6:15am → Chicago (ORD) 12:05pm" line and a "United Airlines 1462 · Economy"
+ * line. Expedia's own itinerary number is only used when the airline's confirmation
+ * code is missing, since the airline's code is what fare lookups and the airline use.
+ * Fixtures: fixtures/emails/expedia.
+ */
+const parse = ($) => {
+    const bodyText = cleanText($('body').text());
+    const airlineConfirmation = (bodyText.match(/Airline confirmation:?\s*([A-Z0-9]{6})\b/i) || [])[1];
+    const itineraryNumber = (bodyText.match(/Itinerary\s*#:?\s*(\d{8,})/i) || [])[1];
+
+    const segments = [];
+    const airlines = new Set();
+    $('[data-section="flight-leg"]').each((i, leg) => {
+        const $leg = $(leg);
+        const departureDate = parseDate($leg.find('.leg-date').text());
+        const [departPart = '', arrivePart = ''] = cleanText($leg.find('.leg-route').text()).split('→');
+        const carrierText = cleanText($leg.find('.leg-carrier').text()); // e.g. "United Airlines 1462 · Economy / Coach (S)"
+        const [flightPart, cabinPart] = carrierText.split('·').map(part => cleanText(part));
+        const flightMatch = (flightPart || '').match(/^(.*?)\s+(\d{1,4})$/);
+        const carrierCode = flightMatch ? lookupAirlineCode(flightMatch[1]) : null;
+        if (flightMatch) airlines.add(flightMatch[1]);
+
+        // Overnight legs say "(+1 day)" after the arrival time
+        const dayOffset = parseInt((arrivePart.match(/\(\+(\d) days?\)/) || [])[1], 10) || 0;
+        let arrivalDate = departureDate;
+        if (departureDate && dayOffset) {
+            const date = new Date(`${departureDate}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() + dayOffset);
+            arrivalDate = date.toISOString().slice(0, 10);
+        }
+
+        segments.push({
+            carrierCode,
+            flightNumber: carrierCode && flightMatch ? `${carrierCode}${flightMatch[2]}` : null,
+            origin: extractAirportCode(departPart),
+            destination: extractAirportCode(arrivePart.replace(/\(\+\d days?\)/, '')),
+            departureDate,
+            departureTime: parseTime(departPart),
+            arrivalDate,
+            arrivalTime: parseTime(arrivePart),
+            cabin: cabinPart ? cabinPart.replace(/\(.*\)/, '').split('/')[0].trim().toUpperCase() || null : null,
+        });
+    });
+
+    const price = parsePrice($('td:contains("Total")').filter((i, cell) => cleanText($(cell).text()) === 'Total').next().text());
+    const travelers = $('.traveler-name').map((i, name) => cleanText($(name).text())).get();
+
+    return {
+        bookingReference: airlineConfirmation || itineraryNumber || null,
+        // A single carrier is the airline; mixed-carrier bookings don't have one
+        airline: airlines.size === 1 ? [...airlines][0] : null,
+        segments,
+        totalPrice: price ? price.amount : 0,
+        currency: price && price.currency ? price.currency : 'USD',
+        passengerInfo: travelers.length > 0 ? travelers.join(', ') : null,
+        passengers: travelers.map(readPassenger),
+        // Expedia's itinerary number won't be recognised by the airline
+        fieldConfidence: airlineConfirmation ? {} : { bookingReference: 0.6 },
+    };
+};
+
+module.exports = {
+    name: 'expedia',
+    confidence: 0.85,
+    detect: {
+        senderDomains: ['expediamail.com', 'expedia.com'],
+        subjectPatterns: [/expedia travel confirmation/i],
+        domMarkers: ['[data-section="flight-leg"]', 'a[href*="expedia.com"]'],
+    },
+    parse,
+};
@@ -0,0 +1,100 @@
+const amadeusProvider = require('./amadeusService');
+const mockProvider = require('./mockFareProvider');
+const { createTokenBucket, retryWithBackoff } = require('./workerPool');
+
+const DEFAULT_PROVIDER = 'amadeus';
+const PROVIDER_MAX_RETRIES = parseInt(process.env.FARE_PROVIDER_MAX_RETRIES, 10) || 3;
+
+// Outcomes of a price lookup. Providers resolve to OK or NO_OFFERS results and
+// throw on failure; getFlightPrice() turns failures into ERROR results.
+const PRICE_RESULT = {
+    OK: 'ok',
+    NO_OFFERS: 'no_offers',
+    ERROR: 'error',
+};
+
+// Registered fare providers, keyed by name. Each provider exposes
+// getFlightPrice(flightDetails) and may declare a rateLimit of { ratePerSecond, capacity }.
+const providers = new Map();
+// Token buckets for providers that declared a rate limit, shared by every concurrent check.
+const limiters = new Map();
+
+/**
+ * Registers a fare provider under a name so it can be selected per environment or per flight.
+ * @param {string} name - The provider name, e.g. 'amadeus' or 'mock'.
+ * @param {object} provider - An object with an async getFlightPrice(flightDetails) method.
+ */
+const registerFareProvider = (name, provider) => {
+    if (!name || !provider || typeof provider.getFlightPrice !== 'function') {
+        throw new Error(`Fare provider "${name}" must implement getFlightPrice().`);
+    }
+    providers.set(name, provider);
+    if (provider.rateLimit) {
+        limiters.set(name, createTokenBucket(provider.rateLimit));
+    } else {
+        limiters.delete(name);
+    }
+};
+
+/**
+ * Looks up a registered fare provider.
+ * @param {string} name - The provider name.
+ * @returns {object} The provider.
+ * @throws An error if no provider is registered under that name.
+ */
+const getFareProvider = (name) => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown fare provider "${name}". Registered providers: ${[...providers.keys()].join(', ')}`);
+    }
+    return provider;
+};
+
+/**
+ * Decides which provider prices a flight. A provider stored on the flight wins,
+ * then the FARE_PROVIDER environment variable, then Amadeus.
+ * @param {string|null} flightProvider - The flight's fare_provider column, if set.
+ * @returns {string} The provider name.
+ */
+const resolveProviderName = (flightProvider) => flightProvider || process.env.FARE_PROVIDER || DEFAULT_PROVIDER;
+
+/**
+ * Fetches the current price for a flight through the selected fare provider, waiting
+ * for the provider's rate limit and retrying transient failures with backoff.
+ * @param {object} flightDetails - Search criteria, optionally with a `provider` name.
+ * @returns {object} One of:
+ *   { status: 'ok', currentPrice, currency, source, lastChecked, matchScore, matchDetails }
+ *   { status: 'no_offers', source }
+ *   { status: 'error', source, error, retryable } once retries are exhausted or the failure is permanent.
+ */
+const getFlightPrice = async (flightDetails) => {
+    const providerName = resolveProviderName(flightDetails.provider);
+    const provider = getFareProvider(providerName);
+    const limiter = limiters.get(providerName);
+
+    try {
+        const result = await retryWithBackoff(async () => {
+            if (limiter) {
+                await limiter.take();
+            }
+            return provider.getFlightPrice(flightDetails);
+        }, {
+            retries: PROVIDER_MAX_RETRIES,
+            shouldRetry: (error) => Boolean(error.retryable),
+        });
+        return { source: providerName, ...result };
+    } catch (error) {
+        return { status: PRICE_RESULT.ERROR, source: providerName, error: error.message, retryable: Boolean(error.retryable) };
+    }
+};
+
+registerFareProvider(amadeusProvider.name, amadeusProvider);
+registerFareProvider(mockProvider.name, mockProvider);
+
+module.exports = {
+    PRICE_RESULT,
+    registerFareProvider,
+    getFareProvider,
+    resolveProviderName,
+    getFlightPrice,
+};
@@ -0,0 +1,177 @@
+const { pool } = require('../database');
+
+// Lower bounds (in days before departure) of each days-to-departure bucket.
+const BUCKET_LOWER_BOUNDS = [0, 8, 15, 31, 61, 121];
+const BUCKET_LABELS = ['0-7 days', '8-14 days', '15-30 days', '31-60 days', '61-120 days', '121+ days'];
+
+const SHORT_WINDOW = 3;
+const LONG_WINDOW = 10;
+
+// A combined expected move beyond ±2% counts as a drop or a rise.
+const SIGNAL_THRESHOLD = 0.02;
+
+// Sample sizes at which route and trip history are considered fully informative.
+const ROUTE_SAMPLES_FOR_FULL_CONFIDENCE = 50;
+const TRIP_SAMPLES_FOR_FULL_CONFIDENCE = LONG_WINDOW;
+
+const SIGNALS = {
+    LIKELY_TO_DROP: 'likely_to_drop',
+    STABLE: 'stable',
+    LIKELY_TO_RISE: 'likely_to_rise',
+};
+
+const PRICED_ROWS_CONDITION = `ph.price IS NOT NULL AND (ph.availability_status IN ('available', 'booked') OR ph.availability_status IS NULL)`;
+
+const round = (value, digits = 4) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const average = (values) => (values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+/**
+ * Finds the days-to-departure bucket for a number of days.
+ * @param {number} days - Days until departure.
+ * @returns {number} The bucket index into BUCKET_LABELS.
+ */
+const bucketFor = (days) => {
+    let bucket = 0;
+    BUCKET_LOWER_BOUNDS.forEach((lowerBound, index) => {
+        if (days >= lowerBound) bucket = index;
+    });
+    return bucket;
+};
+
+/**
+ * Loads route-wide price behaviour for each days-to-departure bucket. Prices are
+ * normalised by each flight's original price so trips with different fares compare.
+ * @param {object} flight - The flight row.
+ * @returns {Map<number, object>} Bucket index to { meanRatio, stddevRatio, samples }.
+ */
+const getRouteBuckets = async (flight) => {
+    const { rows } = await pool.query(`
+        SELECT
+            WIDTH_BUCKET(days_out, $4::int[]) - 1 as bucket,
+            AVG(ratio) as mean_ratio,
+            STDDEV_SAMP(ratio) as stddev_ratio,
+            COUNT(*) as samples
+        FROM (
+            SELECT
+                ph.price / f.original_price as ratio,
+                FLOOR(EXTRACT(EPOCH FROM (f.departure_date_time - ph.checked_at)) / 86400)::int as days_out
+            FROM price_history ph
+            JOIN flights f ON f.flight_id = ph.flight_id
+            WHERE f.departure_airport = $1
+            AND f.arrival_airport = $2
+            AND COALESCE(ph.fare_class, f.amadeus_travel_class, '') = COALESCE($3, '')
+            AND f.original_price > 0
+            -- The resolved instant, not the free-text departure_date, which may not be a real date
+            AND f.departure_date_time IS NOT NULL
+            AND ${PRICED_ROWS_CONDITION}
+        ) observations
+        WHERE days_out >= 0
+        GROUP BY 1
+    `, [flight.departure_airport, flight.arrival_airport, flight.amadeus_travel_class || null, BUCKET_LOWER_BOUNDS]);
+
+    return new Map(rows.map(row => [parseInt(row.bucket, 10), {
+        meanRatio: parseFloat(row.mean_ratio),
+        stddevRatio: row.stddev_ratio === null ? 0 : parseFloat(row.stddev_ratio),
+        samples: parseInt(row.samples, 10),
+    }]));
+};
+
+/**
+ * Loads the trip's own recent priced observations, oldest first.
+ * @param {number} flightId - The flight.
+ * @returns {Array<number>} Up to LONG_WINDOW prices.
+ */
+const getRecentTripPrices = async (flightId) => {
+    const { rows } = await pool.query(`
+        SELECT ph.price
+        FROM price_history ph
+        WHERE ph.flight_id = $1 AND ${PRICED_ROWS_CONDITION}
+        ORDER BY ph.checked_at DESC
+        LIMIT $2
+    `, [flightId, LONG_WINDOW]);
+    return rows.map(row => parseFloat(row.price)).reverse();
+};
+
+/**
+ * Computes a buy/wait signal for a trip from the route's historical behaviour at the
+ * same distance from departure and the trip's own recent momentum.
+ * @param {object} flight - The flight row (route, cabin, departure date, original price).
+ * @returns {object|null} { signal, confidence, expected_change_pct, days_to_departure, route, trip },
+ *   or null if the flight has no usable departure date.
+ */
+const getFareTrend = async (flight) => {
+    const departure = flight.departure_date ? new Date(`${String(flight.departure_date).slice(0, 10)}T00:00:00Z`) : null;
+    if (!departure || isNaN(departure)) {
+        return null;
+    }
+    const daysToDeparture = Math.floor((departure.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+    if (daysToDeparture < 0) {
+        return null;
+    }
+
+    const [routeBuckets, recentPrices] = await Promise.all([
+        getRouteBuckets(flight),
+        getRecentTripPrices(flight.flight_id),
+    ]);
+
+    // How the route's fares historically move between this bucket and the next one closer to departure
+    const currentBucket = bucketFor(daysToDeparture);
+    const current = routeBuckets.get(currentBucket);
+    const next = currentBucket > 0 ? routeBuckets.get(currentBucket - 1) : null;
+    const routeChange = current && next ? (next.meanRatio - current.meanRatio) / current.meanRatio : null;
+
+    // The trip's own momentum: short vs long moving average of its recent prices
+    const shortAverage = recentPrices.length >= SHORT_WINDOW ? average(recentPrices.slice(-SHORT_WINDOW)) : null;
+    const longAverage = recentPrices.length >= SHORT_WINDOW ? average(recentPrices) : null;
+    const momentum = shortAverage !== null ? (shortAverage - longAverage) / longAverage : null;
+
+    const tripMean = average(recentPrices);
+    const tripVolatility = recentPrices.length >= 2
+        ? Math.sqrt(average(recentPrices.map(price => (price - tripMean) ** 2))) / tripMean
+        : null;
+    const volatility = tripVolatility ?? (current ? current.stddevRatio : null);
+
+    let expectedChange = null;
+    if (routeChange !== null && momentum !== null) {
+        expectedChange = 0.6 * routeChange + 0.4 * momentum;
+    } else {
+        expectedChange = routeChange ?? momentum;
+    }
+
+    let signal = SIGNALS.STABLE;
+    if (expectedChange !== null && expectedChange < -SIGNAL_THRESHOLD) signal = SIGNALS.LIKELY_TO_DROP;
+    if (expectedChange !== null && expectedChange > SIGNAL_THRESHOLD) signal = SIGNALS.LIKELY_TO_RISE;
+
+    // Confidence grows with data and with the size of the expected move, and shrinks with volatility
+    const routeSamples = current ? current.samples : 0;
+    const dataFactor = (Math.min(1, routeSamples / ROUTE_SAMPLES_FOR_FULL_CONFIDENCE)
+        + Math.min(1, recentPrices.length / TRIP_SAMPLES_FOR_FULL_CONFIDENCE)) / 2;
+    const strengthFactor = expectedChange === null ? 0 : 0.5 + 0.5 * Math.min(1, Math.abs(expectedChange) / 0.1);
+    const volatilityFactor = 1 - Math.min(0.5, volatility || 0);
+    const confidence = round(dataFactor * strengthFactor * volatilityFactor, 2);
+
+    return {
+        signal,
+        confidence,
+        expected_change_pct: expectedChange === null ? null : round(expectedChange * 100, 2),
+        days_to_departure: daysToDeparture,
+        route: {
+            bucket: BUCKET_LABELS[currentBucket],
+            samples: routeSamples,
+            mean_price_ratio: current ? round(current.meanRatio) : null,
+            next_bucket_mean_price_ratio: next ? round(next.meanRatio) : null,
+        },
+        trip: {
+            observations: recentPrices.length,
+            short_moving_average: round(shortAverage, 2),
+            long_moving_average: round(longAverage, 2),
+            volatility: round(volatility),
+        },
+    };
+};
+
+module.exports = {
+    SIGNALS,
+    getFareTrend,
+};
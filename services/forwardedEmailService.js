@@ -0,0 +1,113 @@
+const cheerio = require('cheerio');
+const { htmlToText } = require('./templateService');
+
+// Lines mail clients put above a forwarded message: Gmail, Outlook and Apple Mail, in
+// English and the other languages we have users in.
+const FORWARD_MARKERS = [
+    /^-{2,}\s*(?:Forwarded message|Mensaje reenviado|Message transféré|Weitergeleitete Nachricht)\s*-*$/i,
+    /^-{2,}\s*(?:Original Message|Mensaje original|Message d'origine)\s*-{2,}$/i,
+    /^(?:Begin forwarded message|Inicio del mensaje reenviado)\s*:$/i,
+    /^_{10,}$/,
+];
+// Header labels in a forwarded block, by the field they hold.
+const HEADER_LABELS = {
+    from: ['from', 'de', 'von'],
+    subject: ['subject', 'asunto', 'objet', 'betreff'],
+};
+// Forwards of forwards are unwrapped down to the original, up to this depth.
+const MAX_FORWARD_DEPTH = 5;
+
+/**
+ * Splits text into lines with quoting ("> ") removed.
+ * @param {string} text - The text.
+ * @returns {Array<string>} The lines.
+ */
+const toLines = (text) => String(text || '').split(/\r?\n/).map(line => line.replace(/^(?:>\s?)+/, '').trim());
+
+/**
+ * Reads a forwarded-message block out of a text body: the header lines after the
+ * marker (up to the first blank line) and everything after them.
+ * @param {string} text - The text body.
+ * @returns {object|null} { from, subject, body }, or null if the text isn't a forward.
+ */
+const splitForwardedText = (text) => {
+    const lines = toLines(text);
+    const markerIndex = lines.findIndex((line, index) => FORWARD_MARKERS.some(marker => marker.test(line))
+        // Outlook's underscore rule is only a marker when a From: header follows it
+        && (!/^_+$/.test(line) || /^from:/i.test(lines[index + 1] || '')));
+    if (markerIndex === -1) return null;
+
+    const headers = {};
+    let index = markerIndex + 1;
+    for (; index < lines.length && lines[index]; index++) {
+        const match = lines[index].match(/^([^:]{2,20}):\s*(.*)$/);
+        if (!match) break;
+        const label = match[1].trim().toLowerCase();
+        const field = Object.keys(HEADER_LABELS).find(key => HEADER_LABELS[key].includes(label));
+        if (field && !headers[field]) headers[field] = match[2];
+    }
+    if (!headers.from) return null;
+
+    return { from: headers.from, subject: headers.subject || '', body: lines.slice(index).join('\n').trim() };
+};
+
+/**
+ * Cuts the forwarded message out of an HTML body, dropping the forwarder's note and the
+ * client's header block. Handles Gmail (div.gmail_quote), Apple Mail (blockquote
+ * type=cite) and Outlook (#divRplyFwdMsg followed by the message).
+ * @param {string} html - The HTML body.
+ * @returns {string|null} The forwarded message's HTML, or null if the layout isn't recognised.
+ */
+const extractForwardedHtml = (html) => {
+    const $ = cheerio.load(html);
+    const gmailQuote = $('.gmail_quote').first();
+    if (gmailQuote.length > 0) {
+        gmailQuote.find('.gmail_attr').first().remove();
+        return gmailQuote.html();
+    }
+    const appleQuote = $('blockquote[type="cite"]').first();
+    if (appleQuote.length > 0) {
+        return appleQuote.html();
+    }
+    const outlookHeader = $('#divRplyFwdMsg').first();
+    if (outlookHeader.length > 0) {
+        return outlookHeader.nextAll().map((i, element) => $.html(element)).get().join('\n');
+    }
+    return null;
+};
+
+/**
+ * Unwraps a forwarded confirmation so the original sender, subject and body get parsed
+ * rather than the forwarding wrapper. The sender is what picks the airline parser, so
+ * without this a forward looks like it came from the user. Emails that aren't forwards
+ * are returned unchanged.
+ * @param {object} email - { from, subject, html, text }
+ * @returns {object} The email with from, subject, html and text taken from the innermost
+ * forwarded message, plus forwardedBy (the original From, or null if it wasn't a forward).
+ */
+const unwrapForwardedEmail = (email) => {
+    let unwrapped = { ...email, forwardedBy: null };
+    for (let depth = 0; depth < MAX_FORWARD_DEPTH; depth++) {
+        const forwarded = splitForwardedText(unwrapped.text || (unwrapped.html ? htmlToText(unwrapped.html) : ''));
+        if (!forwarded) break;
+
+        const html = unwrapped.html ? extractForwardedHtml(unwrapped.html) : null;
+        // Without a cut body or a text body, the next pass would just find this marker again
+        const canUnwrapFurther = html !== null || Boolean(unwrapped.text);
+        unwrapped = {
+            ...unwrapped,
+            from: forwarded.from,
+            subject: forwarded.subject || unwrapped.subject,
+            // An HTML layout we can't cut keeps the whole body; the parsers look for their markup anywhere in it
+            html: html !== null ? html : unwrapped.html,
+            text: unwrapped.text ? forwarded.body : unwrapped.text,
+            forwardedBy: unwrapped.forwardedBy || email.from,
+        };
+        if (!canUnwrapFurther) break;
+    }
+    return unwrapped;
+};
+
+module.exports = {
+    unwrapForwardedEmail,
+};
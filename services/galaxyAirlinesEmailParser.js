@@ -0,0 +1,65 @@
+const { cleanText, parsePrice } = require('./emailParseHelpers');
+
+/**
+ * Parser for Galaxy Airlines confirmations, the original example layout: one
+ * .flight-segment per leg, with the booked route in data-test-id spans.
+ * Fixtures: fixtures/emails/galaxy-airlines.
+ */
+const parse = ($) => {
+    const bookingReference = cleanText($('td:contains("Booking Reference")').next().text()) || null;
+    const departureAirport = cleanText($('span[data-test-id="departure-airport-code"]').text());
+    const arrivalAirport = cleanText($('span[data-test-id="arrival-airport-code"]').text());
+
+    // Each flown leg is its own segment; connections, returns and open-jaw legs are
+    // grouped into journeys afterwards from the airports and layover lengths.
+    const segments = [];
+    $('.flight-segment').each((i, segment) => {
+        const $segment = $(segment);
+        const journeyAttr = parseInt($segment.attr('data-journey'), 10);
+        segments.push({
+            carrierCode: cleanText($segment.find('.carrier-code').text()) || null, // e.g., "GX"
+            flightNumber: cleanText($segment.find('.flight-number').text()) || null, // e.g., "GX 212"
+            origin: cleanText($segment.find('.segment-origin').text()) || null, // e.g., "JFK"
+            destination: cleanText($segment.find('.segment-destination').text()) || null, // e.g., "LHR"
+            departureDate: cleanText($segment.find('.flight-date').text()) || null, // e.g., "2025-12-10"
+            departureTime: cleanText($segment.find('.flight-time').text()) || null, // e.g., "10:30"
+            arrivalDate: cleanText($segment.find('.arrival-date').text()) || null,
+            arrivalTime: cleanText($segment.find('.arrival-time').text()) || null,
+            cabin: cleanText($segment.find('.cabin').text()).toUpperCase() || null, // e.g., "ECONOMY"
+            journeyIndex: isNaN(journeyAttr) ? null : journeyAttr,
+        });
+    });
+
+    // Older layouts only carry a date and time per segment: the first is the booked
+    // route and the second, if any, its return
+    const isRouted = segments.length > 0 && segments.every(segment => segment.origin && segment.destination);
+    const routedSegments = isRouted ? segments : segments.slice(0, 2).map((segment, index) => ({
+        ...segment,
+        origin: index === 0 ? departureAirport : arrivalAirport,
+        destination: index === 0 ? arrivalAirport : departureAirport,
+        journeyIndex: index,
+    }));
+
+    const price = parsePrice($('strong:contains("Total Price")').parent().text());
+
+    return {
+        bookingReference,
+        airline: 'Galaxy Airlines',
+        segments: routedSegments,
+        totalPrice: price ? price.amount : 0,
+        currency: price && price.currency ? price.currency : 'USD',
+        // The older layouts' route is assumed from the booked airports, not read per leg
+        fieldConfidence: isRouted ? {} : { route: 0.75 },
+    };
+};
+
+module.exports = {
+    name: 'galaxy-airlines',
+    confidence: 0.9,
+    detect: {
+        senderDomains: ['galaxyairlines.com'],
+        subjectPatterns: [/galaxy airlines/i],
+        domMarkers: ['span[data-test-id="departure-airport-code"]', '.flight-segment'],
+    },
+    parse,
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { pool } = require('../database');
+
+// The Inbound Parse address, e.g. "trips@in.fareaware.com". Each user's alias is a
+// plus-address on it: "trips+k3v9x2mq7c@in.fareaware.com".
+const INBOUND_EMAIL_ADDRESS = process.env.INBOUND_EMAIL_ADDRESS;
+// No 0/o or 1/l/i, so an alias read off a screen can be typed back in.
+const ALIAS_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const ALIAS_LENGTH = 10;
+const MAX_ALIAS_ATTEMPTS = 5;
+const EMAIL_ADDRESS_REGEX = /[^\s<>,;:"'()[\]]+@[^\s<>,;:"'()[\]]+\.[A-Za-z]{2,}/g;
+
+/**
+ * Generates a random alias token.
+ * @returns {string} The token.
+ */
+const generateAlias = () => Array.from({ length: ALIAS_LENGTH }, () => ALIAS_ALPHABET[crypto.randomInt(ALIAS_ALPHABET.length)]).join('');
+
+/**
+ * Builds the full inbound address for an alias.
+ * @param {string} alias - The user's alias token.
+ * @returns {string|null} The address, or null if INBOUND_EMAIL_ADDRESS is not set.
+ */
+const buildInboundAddress = (alias) => {
+    if (!INBOUND_EMAIL_ADDRESS || !alias) return null;
+    const [localPart, domain] = INBOUND_EMAIL_ADDRESS.split('@');
+    return `${localPart}+${alias}@${domain}`;
+};
+
+/**
+ * Gives a user a new alias, retrying on the unlikely collision with another user's.
+ * @param {string} userId - The user.
+ * @returns {Promise<string|null>} The alias, or null if the user doesn't exist.
+ */
+const assignAlias = async (userId) => {
+    for (let attempt = 1; attempt <= MAX_ALIAS_ATTEMPTS; attempt++) {
+        try {
+            const { rows } = await pool.query(
+                'UPDATE users SET inbound_alias = $2, updated_at = NOW() WHERE user_id = $1 RETURNING inbound_alias',
+                [userId, generateAlias()]
+            );
+            return rows.length > 0 ? rows[0].inbound_alias : null;
+        } catch (error) {
+            // 23505 is a unique violation: the alias is taken, so try another
+            if (error.code !== '23505' || attempt === MAX_ALIAS_ATTEMPTS) throw error;
+        }
+    }
+    return null;
+};
+
+/**
+ * Gets a user's inbound address, creating their alias the first time it's asked for.
+ * @param {string} userId - The user.
+ * @returns {Promise<object|null>} { alias, address } (address null if inbound email isn't
+ * configured), or null if the user doesn't exist.
+ */
+const getInboundAddress = async (userId) => {
+    const { rows } = await pool.query('SELECT inbound_alias FROM users WHERE user_id = $1', [userId]);
+    if (rows.length === 0) return null;
+    const alias = rows[0].inbound_alias || await assignAlias(userId);
+    return alias ? { alias, address: buildInboundAddress(alias) } : null;
+};
+
+/**
+ * Replaces a user's alias, e.g. after it leaked and started attracting spam. Mail to the
+ * old address stops resolving to them.
+ * @param {string} userId - The user.
+ * @returns {Promise<object|null>} { alias, address }, or null if the user doesn't exist.
+ */
+const regenerateInboundAddress = async (userId) => {
+    const alias = await assignAlias(userId);
+    return alias ? { alias, address: buildInboundAddress(alias) } : null;
+};
+
+/**
+ * Lists the recipient addresses of an inbound email. SendGrid's envelope holds the
+ * actual delivery recipients (including Bcc); the To and Cc headers are also checked in
+ * case the envelope is missing.
+ * @param {object} parsedEmail - The Inbound Parse payload: { to, cc, envelope }.
+ * @returns {Array<string>} The lower-cased addresses.
+ */
+const getRecipients = (parsedEmail) => {
+    let envelopeRecipients = [];
+    try {
+        const envelope = typeof parsedEmail.envelope === 'string' ? JSON.parse(parsedEmail.envelope) : parsedEmail.envelope;
+        envelopeRecipients = [].concat((envelope && envelope.to) || []);
+    } catch (error) {
+        // A malformed envelope leaves the headers to go on
+    }
+    const text = [...envelopeRecipients, parsedEmail.to, parsedEmail.cc].filter(Boolean).join(',');
+    return [...new Set((text.match(EMAIL_ADDRESS_REGEX) || []).map(address => address.toLowerCase()))];
+};
+
+/**
+ * Reads the alias out of a recipient address, if it's a plus-address on our inbound address.
+ * @param {string} address - A recipient, lower-cased.
+ * @returns {string|null} The alias.
+ */
+const getAliasFromAddress = (address) => {
+    if (!INBOUND_EMAIL_ADDRESS) return null;
+    const [localPart, domain] = INBOUND_EMAIL_ADDRESS.toLowerCase().split('@');
+    const match = address.match(/^([^+@]+)\+([^@]+)@(.+)$/);
+    return match && match[1] === localPart && match[3] === domain ? match[2] : null;
+};
+
+/**
+ * Finds the user an inbound email was addressed to through their alias.
+ * @param {object} parsedEmail - The Inbound Parse payload.
+ * @returns {Promise<object|null>} The user row, or null if no recipient is a known alias.
+ */
+const findUserByInboundAddress = async (parsedEmail) => {
+    const aliases = getRecipients(parsedEmail).map(getAliasFromAddress).filter(Boolean);
+    if (aliases.length === 0) return null;
+    const { rows } = await pool.query('SELECT * FROM users WHERE inbound_alias = ANY($1::text[]) LIMIT 1', [aliases]);
+    return rows[0] || null;
+};
+
+module.exports = {
+    getInboundAddress,
+    regenerateInboundAddress,
+    getRecipients,
+    findUserByInboundAddress,
+};
@@ -0,0 +1,307 @@
+const { pool } = require('../database');
+const { findInboundUser, parseInboundEmail } = require('./emailParserService');
+const { isReadableAttachment } = require('./emailAttachmentService');
+const { enqueueNotifications } = require('./notificationOutboxService');
+const { buildIngestFailedMessage } = require('./notificationService');
+const { needsReview } = require('./parseConfidenceService');
+const { queuePendingTrips } = require('./pendingTripService');
+
+const INBOUND_EMAIL_STATUS = {
+    RECEIVED: 'received',
+    IMPORTED: 'imported',
+    // Parsed, but not confidently enough to track without the user checking it first
+    PENDING_REVIEW: 'pending_review',
+    DUPLICATE: 'duplicate',
+    UNMATCHED: 'unmatched',
+    FAILED: 'failed',
+};
+
+// Failures the user can do something about, and so get told about.
+const FAILURE_REASONS = {
+    UNREADABLE: 'unreadable',
+    PLAN_LIMIT: 'plan_limit',
+};
+
+// Columns for listings; the payload and extracted trips are only returned for a single email.
+const SUMMARY_COLUMNS = `inbound_email_id, user_id, from_address, subject, status, parser, parse_source, error,
+    flight_id, attempts, failure_notified_at, received_at, processed_at`;
+
+/**
+ * Stores an inbound email as received, before any parsing, so nothing is lost if parsing
+ * or saving fails. Only attachments the parsers can read (PDFs and text files) are kept.
+ * @param {object} parsedEmail - The Inbound Parse form fields.
+ * @param {Array<object>} [files] - The uploaded attachments (multer files).
+ * @returns {Promise<number>} The inbound email ID.
+ */
+const recordInboundEmail = async (parsedEmail, files = []) => {
+    const payload = Object.fromEntries(Object.entries(parsedEmail).filter(([, value]) => typeof value === 'string'));
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query(
+            `INSERT INTO inbound_emails (from_address, subject, payload) VALUES ($1, $2, $3) RETURNING inbound_email_id`,
+            [payload.from || null, payload.subject || null, JSON.stringify(payload)]
+        );
+        const inboundEmailId = rows[0].inbound_email_id;
+        for (const file of files.filter(isReadableAttachment)) {
+            await client.query(
+                `INSERT INTO inbound_email_attachments (inbound_email_id, file_name, mime_type, content) VALUES ($1, $2, $3, $4)`,
+                [inboundEmailId, file.originalname || file.fieldname, file.mimetype, file.buffer]
+            );
+        }
+        await client.query('COMMIT');
+        return inboundEmailId;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Works out how a failed save should be recorded from createTripInDatabase()'s error.
+ * @param {Error} error - The error.
+ * @returns {object} { status, reason } where reason is one of FAILURE_REASONS, or null for
+ * errors that are ours to fix rather than the user's.
+ */
+const classifySaveError = (error) => {
+    if (error.message.includes('already exists')) return { status: INBOUND_EMAIL_STATUS.DUPLICATE, reason: null };
+    if (error.message.includes('limit')) return { status: INBOUND_EMAIL_STATUS.FAILED, reason: FAILURE_REASONS.PLAN_LIMIT };
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+        return { status: INBOUND_EMAIL_STATUS.FAILED, reason: FAILURE_REASONS.UNREADABLE };
+    }
+    return { status: INBOUND_EMAIL_STATUS.FAILED, reason: null };
+};
+
+// An email covering several bookings takes the status of the booking that most needs attention.
+const STATUS_PRIORITY = [
+    INBOUND_EMAIL_STATUS.FAILED,
+    INBOUND_EMAIL_STATUS.PENDING_REVIEW,
+    INBOUND_EMAIL_STATUS.IMPORTED,
+    INBOUND_EMAIL_STATUS.DUPLICATE,
+];
+
+/**
+ * Saves one booking parsed from an inbound email. A booking with a low-confidence
+ * required field isn't saved; it's left for the caller to queue for review.
+ * @param {object} booking - { trip, confidence } from the parser.
+ * @param {object} user - The user the email belongs to.
+ * @param {number} inboundEmailId - The inbound email, recorded on the flight.
+ * @param {Function} saveTrip - Saves a parsed trip and returns the flight (createTripInDatabase).
+ * @returns {Promise<object>} { status, trip, confidence, flightId, error, reason }
+ */
+const importBooking = async ({ trip, confidence }, user, inboundEmailId, saveTrip) => {
+    const result = { trip, confidence, flightId: null, error: null, reason: null };
+    if (needsReview(confidence)) {
+        return { ...result, status: INBOUND_EMAIL_STATUS.PENDING_REVIEW, error: `Low confidence in: ${confidence.lowConfidenceFields.join(', ')}` };
+    }
+    try {
+        const flight = await saveTrip({ ...trip, userId: user.user_id, email: user.email, inboundEmailId });
+        return { ...result, status: INBOUND_EMAIL_STATUS.IMPORTED, flightId: flight.flight_id };
+    } catch (error) {
+        return { ...result, ...classifySaveError(error), error: error.message };
+    }
+};
+
+/**
+ * Runs a stored email through the parsers and saves each booking in it as its own trip,
+ * recording the outcome.
+ * @param {object} inboundEmail - The inbound_emails row.
+ * @param {Function} saveTrip - Saves a parsed trip and returns the flight (createTripInDatabase).
+ * @returns {Promise<object>} { status, user, parser, source, bookings, extracted, flightId, error, reason }
+ * where bookings is importBooking()'s result for each booking and the rest sum them up.
+ */
+const runInboundEmail = async (inboundEmail, saveTrip) => {
+    const { rows: attachments } = await pool.query(
+        'SELECT file_name, mime_type, content FROM inbound_email_attachments WHERE inbound_email_id = $1 ORDER BY attachment_id',
+        [inboundEmail.inbound_email_id]
+    );
+    const files = attachments.map(attachment => ({
+        originalname: attachment.file_name,
+        mimetype: attachment.mime_type,
+        buffer: Buffer.from(attachment.content),
+    }));
+    const outcome = { user: null, parser: null, source: null, bookings: [], extracted: null, flightId: null, error: null, reason: null };
+
+    const user = await findInboundUser(inboundEmail.payload);
+    if (!user) {
+        // Unknown senders get no reply: it would mostly be backscatter to spoofed addresses
+        return { ...outcome, status: INBOUND_EMAIL_STATUS.UNMATCHED, error: `User not found for email: ${inboundEmail.payload.from}` };
+    }
+    outcome.user = user;
+
+    let parsed;
+    try {
+        parsed = await parseInboundEmail(inboundEmail.payload, files);
+    } catch (error) {
+        return { ...outcome, status: INBOUND_EMAIL_STATUS.FAILED, error: error.message, reason: FAILURE_REASONS.UNREADABLE };
+    }
+
+    const bookings = [];
+    for (const booking of parsed.bookings) {
+        bookings.push(await importBooking(booking, user, inboundEmail.inbound_email_id, saveTrip));
+    }
+    const errors = bookings.filter(booking => booking.error);
+    const imported = bookings.find(booking => booking.flightId);
+    const failure = bookings.find(booking => booking.reason);
+    return {
+        ...outcome,
+        parser: parsed.parser,
+        source: parsed.source,
+        bookings,
+        extracted: bookings.map(booking => booking.trip),
+        status: STATUS_PRIORITY.find(status => bookings.some(booking => booking.status === status)),
+        flightId: imported ? imported.flightId : null,
+        error: errors.length === 0 ? null : errors
+            .map(booking => (bookings.length > 1 ? `${booking.trip.bookingReference}: ${booking.error}` : booking.error))
+            .join('; '),
+        reason: failure ? failure.reason : null,
+    };
+};
+
+/**
+ * Parses a stored inbound email and saves its trips, one per booking, recording the outcome
+ * on the email. Trips the parser isn't confident of go to the user's pending trips instead
+ * (replacing those from an earlier attempt at the same email that are still pending).
+ * Used on arrival and again by admins after a parser fix. When notifyOnFailure is set and
+ * the failure is one the user can act on, they are emailed once (per inbound email) to
+ * say the booking couldn't be read.
+ * @param {number} inboundEmailId - The inbound email.
+ * @param {object} options - { saveTrip, notifyOnFailure } where saveTrip saves a parsed trip
+ * and returns the flight (createTripInDatabase, which lives with the trip routes).
+ * @returns {Promise<object|null>} The updated email (summary columns), or null if there is none with that ID.
+ * @throws An error if the email's trip was already imported.
+ */
+const processInboundEmailRecord = async (inboundEmailId, { saveTrip, notifyOnFailure = false }) => {
+    const { rows } = await pool.query('SELECT * FROM inbound_emails WHERE inbound_email_id = $1', [inboundEmailId]);
+    const inboundEmail = rows[0];
+    if (!inboundEmail) return null;
+    if (inboundEmail.status === INBOUND_EMAIL_STATUS.IMPORTED) {
+        throw new Error(`Trip from inbound email ${inboundEmailId} already exists (flight ${inboundEmail.flight_id}).`);
+    }
+
+    const outcome = await runInboundEmail(inboundEmail, saveTrip);
+    const shouldNotify = notifyOnFailure && outcome.reason && outcome.user && outcome.user.email && !inboundEmail.failure_notified_at;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: updated } = await client.query(`
+            UPDATE inbound_emails
+            SET status = $2, user_id = $3, parser = $4, parse_source = $5, extracted = $6, error = $7, flight_id = $8,
+                attempts = attempts + 1, processed_at = NOW(),
+                failure_notified_at = CASE WHEN $9::boolean THEN NOW() ELSE failure_notified_at END
+            WHERE inbound_email_id = $1
+            RETURNING ${SUMMARY_COLUMNS}
+        `, [
+            inboundEmailId, outcome.status, outcome.user ? outcome.user.user_id : null, outcome.parser, outcome.source,
+            outcome.extracted ? JSON.stringify(outcome.extracted) : null, outcome.error, outcome.flightId, Boolean(shouldNotify),
+        ]);
+
+        // A failed reparse leaves any trips already waiting for review alone
+        if (outcome.user && outcome.parser) {
+            await queuePendingTrips(client, {
+                userId: outcome.user.user_id,
+                inboundEmailId,
+                parser: outcome.parser,
+                bookings: outcome.bookings.filter(booking => booking.status === INBOUND_EMAIL_STATUS.PENDING_REVIEW),
+            });
+        }
+
+        if (shouldNotify) {
+            await enqueueNotifications(client, {
+                userId: outcome.user.user_id,
+                flightId: null,
+                dedupeKey: `ingest-failed:${inboundEmailId}`,
+                message: buildIngestFailedMessage({
+                    inboundEmailId,
+                    emailSubject: inboundEmail.subject,
+                    reason: outcome.reason,
+                    locale: outcome.user.locale,
+                }),
+                // Always the account address: the sender may be a travel agent
+                channels: [{ preference_id: null, channel: 'email', destination: outcome.user.email, config: {} }],
+            });
+        }
+        await client.query('COMMIT');
+        return updated[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Lists inbound emails, newest first, for debugging parse failures.
+ * @param {object} options - { status, userId, limit } where status is one of INBOUND_EMAIL_STATUS.
+ * @returns {Promise<object>} { counts, emails } with counts by status across all emails.
+ * @throws An error if the status filter is invalid.
+ */
+const listInboundEmails = async ({ status, userId, limit = 50 } = {}) => {
+    if (status && !Object.values(INBOUND_EMAIL_STATUS).includes(status)) {
+        throw new Error(`Invalid status "${status}". Use one of: ${Object.values(INBOUND_EMAIL_STATUS).join(', ')}.`);
+    }
+
+    const conditions = [];
+    const params = [];
+    if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+    if (userId) {
+        params.push(userId);
+        conditions.push(`user_id = $${params.length}`);
+    }
+    params.push(Math.min(parseInt(limit, 10) || 50, 500));
+
+    const [countsResult, emailsResult] = await Promise.all([
+        pool.query('SELECT status, COUNT(*) as count FROM inbound_emails GROUP BY status'),
+        pool.query(`
+            SELECT ${SUMMARY_COLUMNS}
+            FROM inbound_emails
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY received_at DESC
+            LIMIT $${params.length}
+        `, params),
+    ]);
+
+    const counts = Object.fromEntries(Object.values(INBOUND_EMAIL_STATUS).map(value => [value, 0]));
+    for (const row of countsResult.rows) {
+        counts[row.status] = parseInt(row.count, 10);
+    }
+    return { counts, emails: emailsResult.rows };
+};
+
+/**
+ * Gets an inbound email with its raw payload, extracted trips, attachment list and the
+ * trips imported from it.
+ * @param {number} inboundEmailId - The inbound email.
+ * @returns {Promise<object|null>} The email, or null if there is none with that ID.
+ */
+const getInboundEmail = async (inboundEmailId) => {
+    const [emailResult, attachmentsResult, flightsResult] = await Promise.all([
+        pool.query(`SELECT ${SUMMARY_COLUMNS}, payload, extracted FROM inbound_emails WHERE inbound_email_id = $1`, [inboundEmailId]),
+        pool.query(
+            `SELECT attachment_id, file_name, mime_type, octet_length(content) as size_bytes
+             FROM inbound_email_attachments WHERE inbound_email_id = $1 ORDER BY attachment_id`,
+            [inboundEmailId]
+        ),
+        pool.query(
+            'SELECT flight_id, booking_reference, passenger_count, is_active FROM flights WHERE inbound_email_id = $1 ORDER BY flight_id',
+            [inboundEmailId]
+        ),
+    ]);
+    if (emailResult.rows.length === 0) return null;
+    return { ...emailResult.rows[0], attachments: attachmentsResult.rows, flights: flightsResult.rows };
+};
+
+module.exports = {
+    INBOUND_EMAIL_STATUS,
+    recordInboundEmail,
+    processInboundEmailRecord,
+    listInboundEmails,
+    getInboundEmail,
+};
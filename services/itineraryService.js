@@ -0,0 +1,298 @@
+const { pool } = require('../database');
+const { validateAirportCode, toInstant } = require('./airportService');
+
+// Layovers longer than this start a new journey (e.g. the return of a round trip).
+const MAX_CONNECTION_HOURS = 24;
+
+const ITINERARY_TYPES = {
+    ONE_WAY: 'one_way',
+    ROUND_TRIP: 'round_trip',
+    OPEN_JAW: 'open_jaw',
+    MULTI_CITY: 'multi_city',
+};
+
+/**
+ * Combines a local date ("YYYY-MM-DD") and optional time ("HH:MM") into a sortable
+ * millisecond value. Only used to compare times on the same itinerary, so it ignores
+ * timezones and treats a missing time as midnight.
+ */
+const toLocalMillis = (date, time) => {
+    if (!date) return null;
+    const millis = Date.parse(`${date}T${time || '00:00'}:00Z`);
+    return isNaN(millis) ? null : millis;
+};
+
+/**
+ * Normalises a segment from the API/parser shape into a consistent object.
+ * @param {object} segment - { carrierCode, flightNumber, origin, destination, departureDate, departureTime, arrivalDate, arrivalTime, cabin, journeyIndex }
+ * @returns {object} The cleaned-up segment.
+ */
+const normalizeSegment = (segment) => ({
+    carrierCode: segment.carrierCode ? String(segment.carrierCode).trim().toUpperCase() : null,
+    flightNumber: segment.flightNumber ? String(segment.flightNumber).trim().toUpperCase() : null,
+    origin: segment.origin ? String(segment.origin).trim().toUpperCase() : null,
+    destination: segment.destination ? String(segment.destination).trim().toUpperCase() : null,
+    departureDate: segment.departureDate || null,
+    departureTime: segment.departureTime || null,
+    arrivalDate: segment.arrivalDate || null,
+    arrivalTime: segment.arrivalTime || null,
+    cabin: segment.cabin || null,
+    journeyIndex: Number.isInteger(segment.journeyIndex) ? segment.journeyIndex : null,
+});
+
+/**
+ * Groups ordered segments into journeys where the parser didn't say. A new journey
+ * starts when a segment doesn't leave from where the previous one landed (open-jaw,
+ * multi-city) or after a stop longer than MAX_CONNECTION_HOURS.
+ * @param {Array<object>} segments - Normalised segments in travel order.
+ * @returns {Array<object>} The same segments with journeyIndex filled in.
+ */
+const assignJourneys = (segments) => {
+    let journeyIndex = 0;
+    return segments.map((segment, index) => {
+        if (segment.journeyIndex !== null) {
+            journeyIndex = segment.journeyIndex;
+            return segment;
+        }
+        if (index > 0) {
+            const previous = segments[index - 1];
+            const previousArrival = toLocalMillis(previous.arrivalDate || previous.departureDate, previous.arrivalTime || previous.departureTime);
+            const departure = toLocalMillis(segment.departureDate, segment.departureTime);
+            const isDisconnected = previous.destination !== segment.origin;
+            const isLongStop = previousArrival !== null && departure !== null
+                && departure - previousArrival > MAX_CONNECTION_HOURS * 60 * 60 * 1000;
+            if (isDisconnected || isLongStop) {
+                journeyIndex++;
+            }
+        }
+        return { ...segment, journeyIndex };
+    });
+};
+
+/**
+ * Builds segments for trips that only have the flattened legacy fields: the booked
+ * route on the first date, plus the reverse route on the second date if there is one.
+ * @param {object} flightData - Trip data with departureAirport, arrivalAirport, allDates, allTimes, etc.
+ * @returns {Array<object>} Normalised segments.
+ */
+const segmentsFromLegacyFields = (flightData) => {
+    const { departureAirport, arrivalAirport, departureDate, departureTime, returnTime,
+        allDates, allTimes, airlineIataCode, flightNumber, amadeusTravelClass } = flightData;
+    if (!departureAirport || !arrivalAirport) {
+        return [];
+    }
+    const dates = Array.isArray(allDates) ? allDates : [];
+    const times = Array.isArray(allTimes) ? allTimes : [];
+
+    const segments = [normalizeSegment({
+        carrierCode: airlineIataCode,
+        flightNumber,
+        origin: departureAirport,
+        destination: arrivalAirport,
+        departureDate: departureDate || dates[0],
+        departureTime: departureTime || times[0],
+        cabin: amadeusTravelClass,
+        journeyIndex: 0,
+    })];
+
+    if (dates.length > 1) {
+        segments.push(normalizeSegment({
+            carrierCode: airlineIataCode,
+            origin: arrivalAirport,
+            destination: departureAirport,
+            departureDate: dates[1],
+            departureTime: returnTime || times[1],
+            cabin: amadeusTravelClass,
+            journeyIndex: 1,
+        }));
+    }
+    return segments;
+};
+
+/**
+ * Groups segments into journeys (one per origin-destination pair the traveller booked).
+ * @param {Array<object>} segments - Segments with journeyIndex set, in travel order.
+ * @returns {Array<object>} [{ journeyIndex, origin, destination, departureDate, departureTime, segments }]
+ */
+const buildJourneys = (segments) => {
+    const journeys = new Map();
+    for (const segment of segments) {
+        if (!journeys.has(segment.journeyIndex)) {
+            journeys.set(segment.journeyIndex, []);
+        }
+        journeys.get(segment.journeyIndex).push(segment);
+    }
+    return [...journeys.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([journeyIndex, journeySegments]) => ({
+            journeyIndex,
+            origin: journeySegments[0].origin,
+            destination: journeySegments[journeySegments.length - 1].destination,
+            departureDate: journeySegments[0].departureDate,
+            departureTime: journeySegments[0].departureTime,
+            segments: journeySegments,
+        }));
+};
+
+/**
+ * Classifies an itinerary from its journeys.
+ * @param {Array<object>} journeys - The result of buildJourneys().
+ * @returns {string|null} One of ITINERARY_TYPES, or null for an empty itinerary.
+ */
+const getItineraryType = (journeys) => {
+    if (journeys.length === 0) return null;
+    if (journeys.length === 1) return ITINERARY_TYPES.ONE_WAY;
+    if (journeys.length === 2) {
+        const [outbound, inbound] = journeys;
+        if (outbound.origin === inbound.destination && outbound.destination === inbound.origin) {
+            return ITINERARY_TYPES.ROUND_TRIP;
+        }
+        // Flies into one airport and home from another, or returns to a different airport
+        if (outbound.origin === inbound.destination || outbound.destination === inbound.origin) {
+            return ITINERARY_TYPES.OPEN_JAW;
+        }
+    }
+    return ITINERARY_TYPES.MULTI_CITY;
+};
+
+/**
+ * Resolves the segments for a new trip and fills any missing legacy columns from them,
+ * so callers can send either `segments` or the flattened fields.
+ * @param {object} flightData - Trip data from the API or a parser.
+ * @returns {object} The trip data with `segments`, the legacy route/date fields and the
+ *   departureDateTime/arrivalDateTime instants populated.
+ * @throws An error if a supplied segment is missing its airports or has an unknown airport code.
+ */
+const applyItinerary = (flightData) => {
+    const hasSegments = Array.isArray(flightData.segments) && flightData.segments.length > 0;
+    // Legacy fields are validated by createTripInDatabase itself
+    const segments = hasSegments
+        ? assignJourneys(flightData.segments.map(normalizeSegment))
+        : segmentsFromLegacyFields(flightData);
+
+    if (hasSegments) {
+        for (const segment of segments) {
+            if (!segment.origin || !segment.destination) throw new Error('Origin and destination are required for each segment.');
+            validateAirportCode(segment.origin, `origin of segment ${segment.origin}-${segment.destination}`);
+            validateAirportCode(segment.destination, `destination of segment ${segment.origin}-${segment.destination}`);
+        }
+    }
+
+    const journeys = buildJourneys(segments);
+    if (journeys.length === 0) {
+        return { ...flightData, segments };
+    }
+
+    const [outbound, inbound] = journeys;
+    const firstSegment = segments[0];
+    const lastOutboundSegment = outbound.segments[outbound.segments.length - 1];
+    return {
+        ...flightData,
+        segments,
+        departureAirport: flightData.departureAirport || outbound.origin,
+        arrivalAirport: flightData.arrivalAirport || outbound.destination,
+        departureDate: flightData.departureDate || outbound.departureDate,
+        departureTime: flightData.departureTime || outbound.departureTime,
+        returnTime: flightData.returnTime || (inbound ? inbound.departureTime : null),
+        airlineIataCode: flightData.airlineIataCode || firstSegment.carrierCode,
+        flightNumber: flightData.flightNumber || firstSegment.flightNumber,
+        amadeusTravelClass: flightData.amadeusTravelClass || firstSegment.cabin,
+        allDates: flightData.allDates || journeys.map(journey => journey.departureDate).filter(Boolean),
+        allTimes: flightData.allTimes || journeys.map(journey => journey.departureTime).filter(Boolean),
+        routeText: flightData.routeText || journeys.map(journey => `${journey.origin} → ${journey.destination}`).join(', '),
+        // Local times are only meaningful with the airport's timezone, so also keep the instants
+        departureDateTime: toInstant(outbound.departureDate, outbound.departureTime, outbound.origin),
+        arrivalDateTime: toInstant(lastOutboundSegment.arrivalDate, lastOutboundSegment.arrivalTime, lastOutboundSegment.destination),
+    };
+};
+
+/**
+ * Writes a trip's segments, inside the caller's transaction.
+ * @param {object} client - A pg client inside a transaction.
+ * @param {number} flightId - The trip.
+ * @param {Array<object>} segments - Normalised segments with journeyIndex set.
+ */
+const saveSegments = async (client, flightId, segments) => {
+    await client.query('DELETE FROM flight_segments WHERE flight_id = $1', [flightId]);
+    for (const [segmentIndex, segment] of segments.entries()) {
+        await client.query(`
+            INSERT INTO flight_segments (
+                flight_id, segment_index, journey_index, carrier_code, flight_number, origin, destination,
+                departure_date, departure_time, arrival_date, arrival_time, cabin
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        `, [
+            flightId, segmentIndex, segment.journeyIndex, segment.carrierCode, segment.flightNumber,
+            segment.origin, segment.destination, segment.departureDate, segment.departureTime,
+            segment.arrivalDate, segment.arrivalTime, segment.cabin,
+        ]);
+    }
+};
+
+/**
+ * Maps a flight_segments row to the segment shape used across services.
+ * @param {object} row - A flight_segments row.
+ * @returns {object} The segment.
+ */
+const fromRow = (row) => ({
+    segmentIndex: row.segment_index,
+    journeyIndex: row.journey_index,
+    carrierCode: row.carrier_code,
+    flightNumber: row.flight_number,
+    origin: row.origin,
+    destination: row.destination,
+    departureDate: row.departure_date,
+    departureTime: row.departure_time,
+    arrivalDate: row.arrival_date,
+    arrivalTime: row.arrival_time,
+    cabin: row.cabin,
+});
+
+/**
+ * Loads a trip's segments in travel order.
+ * @param {number} flightId - The trip.
+ * @returns {Array<object>} The segments.
+ */
+const getSegments = async (flightId) => {
+    const { rows } = await pool.query(
+        'SELECT * FROM flight_segments WHERE flight_id = $1 ORDER BY segment_index',
+        [flightId]
+    );
+    return rows.map(fromRow);
+};
+
+/**
+ * Loads a trip's itinerary: segments grouped into journeys, plus its type.
+ * Falls back to the legacy columns for trips that have no segment rows yet.
+ * @param {object} flight - The flights row.
+ * @returns {object} { type, journeys, segments }
+ */
+const getItinerary = async (flight) => {
+    let segments = await getSegments(flight.flight_id);
+    if (segments.length === 0) {
+        segments = segmentsFromLegacyFields({
+            departureAirport: flight.departure_airport,
+            arrivalAirport: flight.arrival_airport,
+            departureDate: flight.departure_date,
+            departureTime: flight.departure_time,
+            returnTime: flight.return_time,
+            allDates: flight.all_dates,
+            allTimes: flight.all_times,
+            airlineIataCode: flight.airline_iata_code,
+            flightNumber: flight.flight_number,
+            amadeusTravelClass: flight.amadeus_travel_class,
+        });
+    }
+    const journeys = buildJourneys(segments);
+    return { type: getItineraryType(journeys), journeys, segments };
+};
+
+module.exports = {
+    ITINERARY_TYPES,
+    assignJourneys,
+    buildJourneys,
+    getItineraryType,
+    applyItinerary,
+    saveSegments,
+    getSegments,
+    getItinerary,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { toPriceResult } = require('./amadeusService');
+const { matchOffer } = require('./offerMatchingService');
+
+// Fixture file of canned offers. Override with MOCK_FARE_FIXTURES to replay a different scenario.
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'fares', 'default.json');
+
+let fixtureCache = null;
+// How many times each fixture entry has been replayed, so consecutive checks can walk a price sequence.
+const replayCounts = new Map();
+
+/**
+ * Loads the fixture file once per process.
+ * @returns {Array<object>} The fixture route entries.
+ */
+const loadFixtures = () => {
+    if (fixtureCache) {
+        return fixtureCache;
+    }
+    const fixturePath = process.env.MOCK_FARE_FIXTURES || DEFAULT_FIXTURE_PATH;
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    fixtureCache = fixture.routes || [];
+    console.log(`Mock fare provider loaded ${fixtureCache.length} routes from ${fixturePath}`);
+    return fixtureCache;
+};
+
+/**
+ * Finds the fixture entry for a search. An entry with a matching departureDate is
+ * preferred over a route-only entry that applies to any date.
+ * @param {object} flightDetails - The search criteria.
+ * @returns {object|undefined} The matching fixture entry.
+ */
+const findFixture = (flightDetails) => {
+    const { departureAirport, arrivalAirport, departureDate } = flightDetails;
+    const routeEntries = loadFixtures().filter(entry =>
+        entry.departureAirport === departureAirport && entry.arrivalAirport === arrivalAirport
+    );
+    return routeEntries.find(entry => entry.departureDate === departureDate)
+        || routeEntries.find(entry => !entry.departureDate);
+};
+
+/**
+ * Replays canned Amadeus-shaped offers instead of calling the network. Each call for
+ * the same fixture entry returns the next response in its `responses` list and then
+ * keeps returning the last one, which makes it easy to script a price drop. A response
+ * may also be an object such as { "errorStatus": 503 } to simulate a provider failure.
+ * Fixture prices are for one adult; like a real search, the result is the total for
+ * every seated traveler (adults and children), with lap infants free.
+ * @param {object} flightDetails - The same search criteria the Amadeus provider accepts.
+ * @returns {object} A price result, or { status: 'no_offers' } when no fixture offer exists.
+ * @throws An error shaped like the Amadeus provider's for simulated failures.
+ */
+const getFlightPrice = async (flightDetails) => {
+    const { departureAirport, arrivalAirport, departureDate, airline, flightNumber, travelClass, departureTime, returnTime, journeys } = flightDetails;
+    console.log(`[Mock] Searching for flights: ${departureAirport} -> ${arrivalAirport} on ${departureDate}`);
+
+    const fixture = findFixture(flightDetails);
+    if (!fixture || !fixture.responses || fixture.responses.length === 0) {
+        console.log(`[Mock] No fixture for ${departureAirport}-${arrivalAirport}.`);
+        return { status: 'no_offers' };
+    }
+
+    const replayCount = replayCounts.get(fixture) || 0;
+    replayCounts.set(fixture, replayCount + 1);
+    const response = fixture.responses[Math.min(replayCount, fixture.responses.length - 1)];
+
+    if (response.errorStatus) {
+        const error = new Error(`[Mock] Simulated provider failure: ${response.errorStatus}`);
+        error.status = response.errorStatus;
+        error.retryable = response.errorStatus === 429 || response.errorStatus >= 500;
+        throw error;
+    }
+
+    const match = matchOffer(response, { airline, flightNumber, travelClass, departureTime, returnTime, journeys });
+    if (!match) {
+        return { status: 'no_offers' };
+    }
+    const { adults = 1, children = 0 } = flightDetails.travelers || {};
+    const result = toPriceResult(match, 'mock');
+    return { ...result, currentPrice: Math.round(result.currentPrice * (adults + children) * 100) / 100 };
+};
+
+/**
+ * Clears the fixture cache and replay positions, e.g. between scenarios.
+ */
+const resetMockFares = () => {
+    fixtureCache = null;
+    replayCounts.clear();
+};
+
+module.exports = {
+    name: 'mock',
+    getFlightPrice,
+    resetMockFares,
+};
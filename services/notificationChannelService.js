@@ -0,0 +1,109 @@
+const emailChannel = require('./emailChannel');
+const smsChannel = require('./smsChannel');
+const webPushChannel = require('./webPushChannel');
+const webhookChannel = require('./webhookChannel');
+
+// How deliveries leave the process. 'stub' records them in memory instead of calling
+// SendGrid, the SMS API, push services or webhooks, so alerts can be exercised offline.
+const TRANSPORTS = {
+    LIVE: 'live',
+    STUB: 'stub',
+};
+
+// Registered channels, keyed by name. Each channel exposes validate(destination, config),
+// which may be async, format(message) and send(destination, payload, config).
+const channels = new Map();
+// Deliveries captured by the stub transport, oldest first. Only the most recent are kept so a
+// long-running stub process doesn't grow without bound.
+const MAX_STUB_DELIVERIES = parseInt(process.env.MAX_STUB_DELIVERIES, 10) || 1000;
+const stubDeliveries = [];
+
+/**
+ * Registers a notification channel so users can enable it.
+ * @param {object} channel - An object with name, validate(), format() and send().
+ */
+const registerChannel = (channel) => {
+    if (!channel || !channel.name || ['validate', 'format', 'send'].some(method => typeof channel[method] !== 'function')) {
+        throw new Error(`Notification channel "${channel && channel.name}" must implement validate(), format() and send().`);
+    }
+    channels.set(channel.name, channel);
+};
+
+/**
+ * Looks up a registered channel.
+ * @param {string} name - The channel name.
+ * @returns {object} The channel.
+ * @throws An error if no channel is registered under that name.
+ */
+const getChannel = (name) => {
+    const channel = channels.get(name);
+    if (!channel) {
+        throw new Error(`Invalid channel "${name}". Use one of: ${[...channels.keys()].join(', ')}.`);
+    }
+    return channel;
+};
+
+/**
+ * @returns {Array<string>} The names of every registered channel.
+ */
+const listChannelNames = () => [...channels.keys()];
+
+/**
+ * Decides which transport deliveries use, from NOTIFICATION_TRANSPORT (default live).
+ * @returns {string} One of TRANSPORTS.
+ */
+const resolveTransport = () => (process.env.NOTIFICATION_TRANSPORT === TRANSPORTS.STUB ? TRANSPORTS.STUB : TRANSPORTS.LIVE);
+
+/**
+ * Formats a notification for a channel and sends it through the active transport.
+ * @param {string} channelName - The channel to use.
+ * @param {string} destination - Where to deliver (email address, phone number, endpoint or URL).
+ * @param {object|null} config - Channel-specific settings stored with the preference.
+ * @param {object} message - { type, subject, title, html, text, url, data }
+ * @returns {object} { channel, destination, transport }
+ * @throws An error if the channel rejects the delivery.
+ */
+const deliver = async (channelName, destination, config, message) => {
+    const channel = getChannel(channelName);
+    const payload = channel.format(message);
+    const transport = resolveTransport();
+
+    if (transport === TRANSPORTS.STUB) {
+        stubDeliveries.push({ channel: channelName, destination, config: config || {}, payload, deliveredAt: new Date().toISOString() });
+        if (stubDeliveries.length > MAX_STUB_DELIVERIES) {
+            stubDeliveries.splice(0, stubDeliveries.length - MAX_STUB_DELIVERIES);
+        }
+        console.log(`[Stub ${channelName}] Delivered "${message.type}" to ${destination}.`);
+    } else {
+        await channel.send(destination, payload, config || {});
+        console.log(`Delivered "${message.type}" via ${channelName} to ${destination}.`);
+    }
+    return { channel: channelName, destination, transport };
+};
+
+/**
+ * @returns {Array<object>} A copy of the most recent deliveries captured by the stub transport, oldest first.
+ */
+const getStubDeliveries = () => [...stubDeliveries];
+
+/**
+ * Clears the captured stub deliveries, e.g. between scenarios.
+ */
+const resetStubDeliveries = () => {
+    stubDeliveries.length = 0;
+};
+
+registerChannel(emailChannel);
+registerChannel(smsChannel);
+registerChannel(webPushChannel);
+registerChannel(webhookChannel);
+
+module.exports = {
+    TRANSPORTS,
+    registerChannel,
+    getChannel,
+    listChannelNames,
+    deliver,
+    getStubDeliveries,
+    resetStubDeliveries,
+};
@@ -0,0 +1,253 @@
+const { pool } = require('../database');
+const { deliver } = require('./notificationChannelService');
+const { recordDeliveryResult } = require('./notificationPreferenceService');
+const { runWithConcurrency } = require('./workerPool');
+const { getDeliverySettings, getQuietHoursEnd } = require('./notificationSettingsService');
+const { getSuppressions, normalizeEmail } = require('./emailSuppressionService');
+
+const OUTBOX_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    SENT: 'sent',
+    SUPPRESSED: 'suppressed',
+    DEAD: 'dead',
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const DISPATCH_BATCH_SIZE = parseInt(process.env.NOTIFICATION_DISPATCH_BATCH_SIZE, 10) || 100;
+const DISPATCH_CONCURRENCY = parseInt(process.env.NOTIFICATION_DISPATCH_CONCURRENCY, 10) || 5;
+// A message still 'processing' after this long belonged to a dispatcher that died; it is picked up again.
+const LOCK_MINUTES = 5;
+// Retry delays double from the base up to the cap: 1 min, 2 min, 4 min, ... 6 h.
+const RETRY_BASE_DELAY_SECONDS = 60;
+const RETRY_MAX_DELAY_SECONDS = 6 * 60 * 60;
+
+/**
+ * Queues a notification for each channel, inside the caller's transaction, so the
+ * message exists if and only if the change that caused it commits. A dedupe key that
+ * was already queued is skipped, so re-running the same alert never double-sends.
+ * @param {object} client - A pg client inside a transaction.
+ * @param {object} notification - { userId, flightId, dedupeKey, message, channels }
+ *   where channels come from notificationPreferenceService.getEnabledChannels().
+ * @returns {number} How many messages were queued.
+ */
+const enqueueNotifications = async (client, { userId, flightId, dedupeKey, message, channels }) => {
+    let queued = 0;
+    for (const channel of channels) {
+        const result = await client.query(`
+            INSERT INTO notification_outbox (dedupe_key, user_id, flight_id, preference_id, channel, destination, config, message, max_attempts)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (dedupe_key) DO NOTHING
+        `, [
+            `${dedupeKey}:${channel.channel}:${channel.destination}`, userId, flightId, channel.preference_id,
+            channel.channel, channel.destination, JSON.stringify(channel.config || {}), JSON.stringify(message), MAX_ATTEMPTS,
+        ]);
+        queued += result.rowCount;
+    }
+    return queued;
+};
+
+/**
+ * Leases a batch of messages that are due, including ones abandoned mid-delivery.
+ * @returns {Array<object>} The claimed notification_outbox rows, with attempts already incremented.
+ */
+const claimDueMessages = async () => {
+    const { rows } = await pool.query(`
+        WITH claimable AS (
+            SELECT outbox_id
+            FROM notification_outbox
+            WHERE (status = 'pending' AND next_attempt_at <= NOW())
+            OR (status = 'processing' AND locked_until < NOW())
+            ORDER BY next_attempt_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        UPDATE notification_outbox o
+        SET status = 'processing', locked_until = NOW() + make_interval(mins => $2), attempts = o.attempts + 1, updated_at = NOW()
+        FROM claimable
+        WHERE o.outbox_id = claimable.outbox_id
+        RETURNING o.*
+    `, [DISPATCH_BATCH_SIZE, LOCK_MINUTES]);
+    return rows;
+};
+
+/**
+ * How long to wait before retrying a message, doubling with each failed attempt up to the cap.
+ * @param {number} attempts - How many attempts have failed so far (1 after the first).
+ * @returns {number} The delay in seconds.
+ */
+const getRetryDelaySeconds = (attempts) => Math.min(RETRY_MAX_DELAY_SECONDS, RETRY_BASE_DELAY_SECONDS * 2 ** (attempts - 1));
+
+/**
+ * Records a failed attempt: schedules a retry with exponential backoff, or dead-letters
+ * the message once it is out of attempts or the destination is permanently gone.
+ * @param {object} message - The notification_outbox row.
+ * @param {Error} error - Why delivery failed.
+ * @returns {string} The message's new status.
+ */
+const recordFailure = async (message, error) => {
+    const isDead = message.attempts >= message.max_attempts || Boolean(error.expired);
+    const delaySeconds = getRetryDelaySeconds(message.attempts);
+    await pool.query(`
+        UPDATE notification_outbox
+        SET status = $1, last_error = $2, locked_until = NULL, updated_at = NOW(),
+            next_attempt_at = CASE WHEN $3 THEN next_attempt_at ELSE NOW() + make_interval(secs => $4) END
+        WHERE outbox_id = $5
+    `, [isDead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING, error.message, isDead, delaySeconds, message.outbox_id]);
+    return isDead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING;
+};
+
+/**
+ * Decides whether a message may go out now. Settings are checked at delivery rather than
+ * when queueing, so an unsubscribe or bounce that arrives in between still counts.
+ * @param {object} message - The notification_outbox row.
+ * @param {object|undefined} settings - The user's { mutedTypes, quietHours }.
+ * @param {Map<string, object>} suppressions - Suppressed email addresses.
+ * @returns {object|null} { suppressedBecause } or { deferUntil }, or null to deliver now.
+ */
+const getDeliveryHold = (message, settings, suppressions) => {
+    const type = message.message && message.message.type;
+    if (settings && settings.mutedTypes.includes(type)) {
+        return { suppressedBecause: `User unsubscribed from ${type} notifications.` };
+    }
+    if (message.channel === 'email') {
+        const suppression = suppressions.get(normalizeEmail(message.destination));
+        if (suppression) {
+            return { suppressedBecause: `Address is suppressed after a SendGrid ${suppression.reason} event.` };
+        }
+    }
+    const quietHoursEnd = getQuietHoursEnd(settings && settings.quietHours, message.channel);
+    return quietHoursEnd ? { deferUntil: quietHoursEnd } : null;
+};
+
+/**
+ * Delivers due outbox messages. Called after each price check run and by the
+ * dispatch-notifications script; safe to run from several processes at once.
+ * @returns {object} Counts: { claimed, sent, retrying, dead, suppressed, deferred }.
+ */
+const dispatchOutbox = async () => {
+    const summary = { claimed: 0, sent: 0, retrying: 0, dead: 0, suppressed: 0, deferred: 0 };
+    const messages = await claimDueMessages();
+    summary.claimed = messages.length;
+    if (messages.length === 0) {
+        return summary;
+    }
+
+    const [settingsByUser, suppressions] = await Promise.all([
+        getDeliverySettings([...new Set(messages.map(message => message.user_id).filter(Boolean))]),
+        getSuppressions(messages.filter(message => message.channel === 'email').map(message => message.destination)),
+    ]);
+
+    await runWithConcurrency(messages, DISPATCH_CONCURRENCY, async (message) => {
+        const hold = getDeliveryHold(message, settingsByUser.get(message.user_id), suppressions);
+        if (hold && hold.suppressedBecause) {
+            await pool.query(
+                `UPDATE notification_outbox SET status = 'suppressed', last_error = $1, locked_until = NULL, updated_at = NOW() WHERE outbox_id = $2`,
+                [hold.suppressedBecause, message.outbox_id]
+            );
+            summary.suppressed++;
+            return;
+        }
+        if (hold && hold.deferUntil) {
+            // Waiting out quiet hours isn't a failed attempt
+            await pool.query(
+                `UPDATE notification_outbox SET status = 'pending', attempts = attempts - 1, next_attempt_at = $1, locked_until = NULL, updated_at = NOW() WHERE outbox_id = $2`,
+                [hold.deferUntil, message.outbox_id]
+            );
+            summary.deferred++;
+            return;
+        }
+
+        try {
+            await deliver(message.channel, message.destination, message.config, message.message);
+            await pool.query(
+                `UPDATE notification_outbox SET status = 'sent', sent_at = NOW(), locked_until = NULL, last_error = NULL, updated_at = NOW() WHERE outbox_id = $1`,
+                [message.outbox_id]
+            );
+            summary.sent++;
+        } catch (error) {
+            console.error(`Delivery attempt ${message.attempts} of outbox message ${message.outbox_id} (${message.channel}) failed:`, error.message);
+            const status = await recordFailure(message, error);
+            if (status === OUTBOX_STATUS.DEAD) {
+                summary.dead++;
+                console.error(`Outbox message ${message.outbox_id} dead-lettered after ${message.attempts} attempts.`);
+            } else {
+                summary.retrying++;
+            }
+            await recordDeliveryResult(message.preference_id, error)
+                .catch(recordError => console.warn(`Could not record delivery failure for outbox message ${message.outbox_id}:`, recordError.message));
+            return;
+        }
+        await recordDeliveryResult(message.preference_id, null)
+            .catch(recordError => console.warn(`Could not record delivery for outbox message ${message.outbox_id}:`, recordError.message));
+    });
+
+    console.log(`Outbox dispatch: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.dead} dead-lettered, ${summary.suppressed} suppressed, ${summary.deferred} deferred of ${summary.claimed} claimed.`);
+    return summary;
+};
+
+/**
+ * Summarises the outbox for operators: counts per status and the messages that need
+ * attention. 'stuck' lists messages still 'processing' after their lease expired.
+ * @param {object} options - { status, limit } where status is one of OUTBOX_STATUS or 'stuck'.
+ * @returns {object} { counts, stuck, messages }
+ * @throws An error if the status filter is invalid.
+ */
+const getOutboxOverview = async ({ status = OUTBOX_STATUS.DEAD, limit = 50 } = {}) => {
+    const filters = {
+        ...Object.fromEntries(Object.values(OUTBOX_STATUS).map(value => [value, `status = '${value}'`])),
+        stuck: `status = 'processing' AND locked_until < NOW()`,
+    };
+    if (!Object.prototype.hasOwnProperty.call(filters, status)) {
+        throw new Error(`Invalid status "${status}". Use one of: ${Object.keys(filters).join(', ')}.`);
+    }
+
+    const [countsResult, messagesResult] = await Promise.all([
+        pool.query(`
+            SELECT status, COUNT(*) as count,
+                COUNT(*) FILTER (WHERE status = 'processing' AND locked_until < NOW()) as stuck
+            FROM notification_outbox
+            GROUP BY status
+        `),
+        pool.query(`
+            SELECT outbox_id, dedupe_key, user_id, flight_id, channel, destination, status, attempts, max_attempts,
+                next_attempt_at, locked_until, last_error, created_at, updated_at, sent_at
+            FROM notification_outbox
+            WHERE ${filters[status]}
+            ORDER BY updated_at DESC
+            LIMIT $1
+        `, [Math.min(parseInt(limit, 10) || 50, 500)]),
+    ]);
+
+    const counts = Object.fromEntries(Object.values(OUTBOX_STATUS).map(value => [value, 0]));
+    let stuck = 0;
+    for (const row of countsResult.rows) {
+        counts[row.status] = parseInt(row.count, 10);
+        stuck += parseInt(row.stuck, 10);
+    }
+    return { counts, stuck, messages: messagesResult.rows };
+};
+
+/**
+ * Puts a dead-lettered message back in the queue with a fresh set of attempts.
+ * @param {number} outboxId - The message.
+ * @returns {object|null} The requeued message, or null if there is no dead message with that ID.
+ */
+const requeueMessage = async (outboxId) => {
+    const { rows } = await pool.query(`
+        UPDATE notification_outbox
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_until = NULL, updated_at = NOW()
+        WHERE outbox_id = $1 AND status = 'dead'
+        RETURNING outbox_id, status, channel, destination
+    `, [outboxId]);
+    return rows[0] || null;
+};
+
+module.exports = {
+    OUTBOX_STATUS,
+    getRetryDelaySeconds,
+    enqueueNotifications,
+    dispatchOutbox,
+    getOutboxOverview,
+    requeueMessage,
+};
@@ -0,0 +1,142 @@
+const { pool } = require('../database');
+const { getChannel } = require('./notificationChannelService');
+
+/**
+ * Validates and normalises a channel preference from an API request body.
+ * @param {object} input - { channel, destination, config, isEnabled }
+ * @param {object} existing - The current preference when updating, so omitted fields are kept.
+ * @returns {object} Column values for notification_preferences.
+ * @throws An error if the preference is incomplete or invalid.
+ */
+const normalizePreferenceInput = async (input, existing = {}) => {
+    const preference = {
+        channel: input.channel ?? existing.channel,
+        destination: input.destination !== undefined ? String(input.destination).trim() : existing.destination,
+        config: input.config !== undefined ? input.config : existing.config || {},
+        is_enabled: input.isEnabled ?? existing.is_enabled ?? true,
+    };
+
+    if (!preference.channel) throw new Error('channel is required.');
+    if (!preference.destination) throw new Error('destination is required.');
+    if (preference.config === null || typeof preference.config !== 'object' || Array.isArray(preference.config)) {
+        throw new Error('Invalid config: an object is required.');
+    }
+    if (typeof preference.is_enabled !== 'boolean') throw new Error('Invalid isEnabled: a boolean is required.');
+
+    await getChannel(preference.channel).validate(preference.destination, preference.config);
+    return preference;
+};
+
+/**
+ * Loads where a user wants alerts delivered. Users who haven't configured any channel
+ * get email to their account address, as before channels existed.
+ * @param {string} userId - The user.
+ * @param {string} fallbackEmail - The account email address.
+ * @returns {Array<object>} [{ preference_id, channel, destination, config }]; preference_id is null for the fallback.
+ */
+const getEnabledChannels = async (userId, fallbackEmail) => {
+    const { rows } = await pool.query(
+        'SELECT preference_id, channel, destination, config, is_enabled FROM notification_preferences WHERE user_id = $1 ORDER BY preference_id',
+        [userId]
+    );
+    if (rows.length === 0) {
+        return fallbackEmail ? [{ preference_id: null, channel: 'email', destination: fallbackEmail, config: {} }] : [];
+    }
+    return rows.filter(row => row.is_enabled);
+};
+
+/**
+ * Records the outcome of a delivery on its preference. Subscriptions the push service
+ * reports as gone are disabled so they aren't retried on every alert.
+ * @param {number|null} preferenceId - The preference, or null for the fallback email.
+ * @param {Error|null} error - The delivery error, or null on success.
+ */
+const recordDeliveryResult = async (preferenceId, error) => {
+    if (!preferenceId) return;
+    if (!error) {
+        await pool.query('UPDATE notification_preferences SET last_delivered_at = NOW(), last_error = NULL WHERE preference_id = $1', [preferenceId]);
+        return;
+    }
+    await pool.query(
+        'UPDATE notification_preferences SET last_error = $1, is_enabled = CASE WHEN $2 THEN FALSE ELSE is_enabled END, updated_at = NOW() WHERE preference_id = $3',
+        [error.message, Boolean(error.expired), preferenceId]
+    );
+};
+
+/**
+ * Lists a user's channel preferences.
+ * @returns {Array<object>} The preferences.
+ */
+const listPreferences = async (userId) => {
+    const { rows } = await pool.query('SELECT * FROM notification_preferences WHERE user_id = $1 ORDER BY preference_id', [userId]);
+    return rows;
+};
+
+/**
+ * Adds a channel preference for a user.
+ * @returns {object} The new preference.
+ * @throws An error if the preference is invalid or already exists.
+ */
+const createPreference = async (userId, input) => {
+    const preference = await normalizePreferenceInput(input);
+    try {
+        const { rows } = await pool.query(`
+            INSERT INTO notification_preferences (user_id, channel, destination, config, is_enabled)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [userId, preference.channel, preference.destination, JSON.stringify(preference.config), preference.is_enabled]);
+        return rows[0];
+    } catch (error) {
+        if (error.code === '23505') throw new Error(`A ${preference.channel} channel for that destination already exists.`);
+        if (error.code === '23503') throw new Error('Invalid userId: user not found.');
+        throw error;
+    }
+};
+
+/**
+ * Updates one of a user's channel preferences. Omitted fields keep their current values.
+ * @returns {object|null} The updated preference, or null if it doesn't exist for this user.
+ * @throws An error if the resulting preference is invalid.
+ */
+const updatePreference = async (preferenceId, userId, input) => {
+    const { rows: existingRows } = await pool.query(
+        'SELECT * FROM notification_preferences WHERE preference_id = $1 AND user_id = $2',
+        [preferenceId, userId]
+    );
+    if (existingRows.length === 0) return null;
+
+    const preference = await normalizePreferenceInput(input, existingRows[0]);
+    try {
+        const { rows } = await pool.query(`
+            UPDATE notification_preferences
+            SET channel = $1, destination = $2, config = $3, is_enabled = $4, updated_at = NOW()
+            WHERE preference_id = $5
+            RETURNING *
+        `, [preference.channel, preference.destination, JSON.stringify(preference.config), preference.is_enabled, preferenceId]);
+        return rows[0];
+    } catch (error) {
+        if (error.code === '23505') throw new Error(`A ${preference.channel} channel for that destination already exists.`);
+        throw error;
+    }
+};
+
+/**
+ * Removes one of a user's channel preferences.
+ * @returns {boolean} True if a preference was deleted.
+ */
+const deletePreference = async (preferenceId, userId) => {
+    const result = await pool.query(
+        'DELETE FROM notification_preferences WHERE preference_id = $1 AND user_id = $2',
+        [preferenceId, userId]
+    );
+    return result.rowCount > 0;
+};
+
+module.exports = {
+    getEnabledChannels,
+    recordDeliveryResult,
+    listPreferences,
+    createPreference,
+    updatePreference,
+    deletePreference,
+};
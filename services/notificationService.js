@@ -1,100 +1,136 @@
-const sgMail = require('@sendgrid/mail');
+const { formatLocalDate } = require('./airportService');
+const { renderEmail, translate, formatCurrency } = require('./templateService');
+const { NOTIFICATION_TYPES, buildUnsubscribeUrl } = require('./notificationSettingsService');
 
-// Set the API key from environment variables
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
-const FROM_EMAIL = process.env.SENDGRID_FROM_EMAIL;
 const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
 
 /**
- * Sends a professionally formatted price drop alert email.
- * @param {object} emailData - The data needed to build the email.
+ * Builds a price drop notification that every channel can render: the HTML email
+ * and its plain-text part, a one-line summary for SMS and push, and structured data
+ * for webhooks. Prices use the flight's currency and everything follows the user's locale.
+ * @param {object} alertData - { flightDetails, newPrice, savingsThisDrop, fareTrend, locale, userId }
+ * @returns {object} { type, subject, title, html, text, summary, url, unsubscribeUrl, data }
  */
-const sendPriceDropEmail = async (emailData) => {
+const buildPriceDropMessage = (alertData) => {
     const {
-        userEmail,
-        flightDetails, // e.g., { departureAirport, arrivalAirport, airline, departureDate }
+        flightDetails, // e.g., { flightId, departureAirport, arrivalAirport, airline, departureDate, departureDateTime, currency }
+        newPrice,
+        savingsThisDrop,
+        fareTrend, // Optional buy/wait signal from fareTrendService
+        locale,
+        userId, // The recipient, for the unsubscribe link
+    } = alertData;
+    const currency = flightDetails.currency || 'USD';
+    const unsubscribeUrl = buildUnsubscribeUrl(userId, NOTIFICATION_TYPES.PRICE_DROP);
+
+    const { subject, html, text } = renderEmail('priceDrop', {
+        flight: flightDetails,
         newPrice,
-        savingsThisDrop
-    } = emailData;
+        savingsThisDrop,
+        currency,
+        fareTrend,
+        unsubscribeUrl,
+    }, { locale });
+
+    const summary = translate(locale, 'priceDrop.short', {
+        route: `${flightDetails.departureAirport} → ${flightDetails.arrivalAirport}`,
+        date: formatLocalDate(flightDetails, locale),
+        price: formatCurrency(newPrice, currency, locale),
+        savings: formatCurrency(savingsThisDrop, currency, locale),
+    });
+    const trendText = fareTrend ? ` ${translate(locale, `trend.${fareTrend.signal}`)}` : '';
 
-    const subject = `💰 Price Drop Alert! Your flight to ${flightDetails.arrivalAirport} is now cheaper!`;
+    return {
+        type: 'price_drop',
+        subject,
+        title: translate(locale, 'priceDrop.title'),
+        html,
+        text,
+        summary: `${summary}${trendText}`,
+        url: `${CLIENT_URL}/dashboard`,
+        unsubscribeUrl,
+        data: {
+            flight_id: flightDetails.flightId || null,
+            departure_airport: flightDetails.departureAirport,
+            arrival_airport: flightDetails.arrivalAirport,
+            airline: flightDetails.airline,
+            departure_date: flightDetails.departureDate,
+            currency,
+            new_price: newPrice,
+            savings: savingsThisDrop,
+            fare_trend: fareTrend ? { signal: fareTrend.signal, confidence: fareTrend.confidence } : null,
+        },
+    };
+};
 
-    // Professional HTML Email Template
-    const htmlContent = `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <style>
-                body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f7; }
-                .container { max-width: 600px; margin: 20px auto; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
-                .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 40px; text-align: center; }
-                .header h1 { margin: 0; font-size: 28px; }
-                .content { padding: 30px 40px; color: #333; line-height: 1.6; }
-                .flight-info { background-color: #f8f9fa; border: 1px solid #e9ecef; border-radius: 6px; padding: 20px; margin-bottom: 20px; text-align: center; }
-                .flight-info h2 { margin: 0 0 10px 0; font-size: 22px; color: #343a40; }
-                .price-box { border: 2px solid #28a745; border-radius: 6px; padding: 20px; text-align: center; }
-                .price-box .label { font-size: 16px; color: #6c757d; margin-bottom: 5px; }
-                .price-box .price { font-size: 36px; font-weight: bold; color: #28a745; margin-bottom: 5px; }
-                .price-box .savings { font-size: 18px; color: #28a745; font-weight: 500; }
-                .button { display: inline-block; background-color: #667eea; color: #ffffff; padding: 12px 25px; border-radius: 5px; text-decoration: none; font-weight: bold; margin-top: 25px; }
-                .footer { background-color: #f8f9fa; padding: 20px; text-align: center; font-size: 12px; color: #6c757d; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>Great News!</h1>
-                </div>
-                <div class="content">
-                    <p>We found a significant price drop for your upcoming trip:</p>
-                    <div class="flight-info">
-                        <h2>${flightDetails.departureAirport} → ${flightDetails.arrivalAirport}</h2>
-                        <p style="margin:0; color: #495057;">${flightDetails.airline} - ${new Date(flightDetails.departureDate).toDateString()}</p>
-                    </div>
-                    <div class="price-box">
-                        <div class="label">New Lower Price</div>
-                        <div class="price">$${newPrice.toFixed(2)}</div>
-                        <div class="savings">That's a new saving of $${savingsThisDrop.toFixed(2)}!</div>
-                    </div>
-                    <p style="text-align:center;">You can claim this difference from the airline. Log in to your dashboard to see more details and manage your trips.</p>
-                    <div style="text-align: center;">
-                        <a href="${CLIENT_URL}/dashboard" class="button">View My Dashboard</a>
-                    </div>
-                </div>
-                <div class="footer">
-                    <p>You are receiving this email because you are tracking this flight on FareAware.</p>
-                    <p>&copy; ${new Date().getFullYear()} FareAware. All rights reserved.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-    `;
+/**
+ * Builds the periodic digest email summarising all of a user's tracked trips.
+ * @param {object} digestData - { digest, locale, userId } where digest comes from digestService.buildDigest().
+ * @returns {object} { type, subject, title, html, text, summary, url, unsubscribeUrl, data }
+ */
+const buildDigestMessage = ({ digest, locale, userId }) => {
+    const unsubscribeUrl = buildUnsubscribeUrl(userId, NOTIFICATION_TYPES.DIGEST);
+    const { subject, html, text } = renderEmail('digest', { ...digest, unsubscribeUrl }, { locale });
 
-    const msg = {
-        to: userEmail,
-        from: {
-            name: 'FareAware Alerts',
-            email: FROM_EMAIL,
+    return {
+        type: 'digest',
+        subject,
+        title: translate(locale, 'digest.title'),
+        html,
+        text,
+        summary: translate(locale, 'digest.short', {
+            count: digest.tripCount,
+            savings: digest.lifetimeSavings.map(({ amount, currency }) => formatCurrency(amount, currency, locale)).join(', '),
+        }),
+        url: `${CLIENT_URL}/dashboard`,
+        unsubscribeUrl,
+        data: {
+            frequency: digest.frequency,
+            lifetime_savings: digest.lifetimeSavings,
+            trips: digest.trips.map(trip => ({
+                flight_id: trip.flight.flightId,
+                departure_airport: trip.flight.departureAirport,
+                arrival_airport: trip.flight.arrivalAirport,
+                departure_date: trip.flight.departureDate,
+                currency: trip.currency,
+                paid_price: trip.paidPrice,
+                current_price: trip.currentPrice,
+            })),
+            biggest_mover_flight_id: digest.biggestMover ? digest.biggestMover.flight.flightId : null,
         },
-        subject: subject,
-        html: htmlContent,
     };
+};
 
-    try {
-        await sgMail.send(msg);
-        console.log(`Price drop email sent successfully to ${userEmail} for flight to ${flightDetails.arrivalAirport}.`);
-    } catch (error) {
-        console.error(`Error sending email via SendGrid to ${userEmail}:`, error);
-        if (error.response) {
-            // Log detailed error from SendGrid
-            console.error(JSON.stringify(error.response.body, null, 2));
-        }
-    }
+/**
+ * Builds the reply sent when a forwarded booking email couldn't be turned into a trip.
+ * It answers something the user just did, so it has no unsubscribe link.
+ * @param {object} failure - { inboundEmailId, emailSubject, reason, locale } where reason is
+ * 'unreadable' or 'plan_limit'.
+ * @returns {object} { type, subject, title, html, text, summary, url, unsubscribeUrl, data }
+ */
+const buildIngestFailedMessage = ({ inboundEmailId, emailSubject, reason, locale }) => {
+    const subjectLine = emailSubject || '(no subject)';
+    const { subject, html, text } = renderEmail('ingestFailed', {
+        emailSubject: subjectLine,
+        reason,
+        showTips: reason === 'unreadable',
+    }, { locale });
+
+    return {
+        type: 'ingest_failed',
+        subject,
+        title: translate(locale, 'ingestFailed.title'),
+        html,
+        text,
+        summary: translate(locale, 'ingestFailed.short', { subject: subjectLine }),
+        url: `${CLIENT_URL}/dashboard`,
+        unsubscribeUrl: null,
+        data: { inbound_email_id: inboundEmailId, reason },
+    };
 };
 
 module.exports = {
-    sendPriceDropEmail,
+    buildPriceDropMessage,
+    buildDigestMessage,
+    buildIngestFailedMessage,
 };
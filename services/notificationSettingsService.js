@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { pool } = require('../database');
+
+const NOTIFICATION_TYPES = {
+    PRICE_DROP: 'price_drop',
+    DIGEST: 'digest',
+};
+// An unsubscribe link for 'all' mutes every notification type at once.
+const ALL_TYPES = 'all';
+
+const DIGEST_FREQUENCIES = {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    OFF: 'off',
+};
+
+// Quiet hours hold back channels that buzz a phone; email and webhooks go out as normal.
+const QUIET_HOURS_CHANNELS = ['sms', 'web_push'];
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const API_BASE_URL = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+const UNSUBSCRIBE_TOKEN_SECRET = process.env.UNSUBSCRIBE_TOKEN_SECRET;
+
+/**
+ * Checks a digest frequency a user picked.
+ * @param {string} frequency - One of DIGEST_FREQUENCIES.
+ * @returns {string} The frequency, lower-cased.
+ * @throws An error if the frequency is missing or unknown.
+ */
+const validateDigestFrequency = (frequency) => {
+    const normalized = typeof frequency === 'string' ? frequency.trim().toLowerCase() : '';
+    if (!Object.values(DIGEST_FREQUENCIES).includes(normalized)) {
+        throw new Error(`Invalid digest frequency "${frequency}". Use one of: ${Object.values(DIGEST_FREQUENCIES).join(', ')}.`);
+    }
+    return normalized;
+};
+
+/**
+ * Signs a user ID and notification type so an unsubscribe link can't be forged or
+ * pointed at someone else's account. Tokens don't expire: old emails must keep working.
+ * @param {string} userId - The recipient.
+ * @param {string} type - One of NOTIFICATION_TYPES, or 'all'.
+ * @returns {string} The token.
+ * @throws An error if UNSUBSCRIBE_TOKEN_SECRET is not set.
+ */
+const createUnsubscribeToken = (userId, type) => {
+    if (!UNSUBSCRIBE_TOKEN_SECRET) {
+        throw new Error('UNSUBSCRIBE_TOKEN_SECRET is not set in environment variables.');
+    }
+    const payload = Buffer.from(JSON.stringify({ u: userId, t: type })).toString('base64url');
+    const signature = crypto.createHmac('sha256', UNSUBSCRIBE_TOKEN_SECRET).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+};
+
+/**
+ * Checks an unsubscribe token's signature and reads it.
+ * @param {string} token - A token from createUnsubscribeToken().
+ * @returns {object} { userId, type }
+ * @throws An error if the token is missing, malformed or not signed by us.
+ */
+const verifyUnsubscribeToken = (token) => {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !UNSUBSCRIBE_TOKEN_SECRET) {
+        throw new Error('Invalid unsubscribe token.');
+    }
+    const expected = crypto.createHmac('sha256', UNSUBSCRIBE_TOKEN_SECRET).update(payload).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new Error('Invalid unsubscribe token.');
+    }
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid unsubscribe token.');
+    }
+    return { userId: decoded.u, type: decoded.t };
+};
+
+/**
+ * Builds the one-click unsubscribe link for an email.
+ * @param {string} userId - The recipient.
+ * @param {string} type - The notification type the email belongs to.
+ * @returns {string|null} The URL, or null when unsubscribe tokens aren't configured.
+ */
+const buildUnsubscribeUrl = (userId, type) => {
+    if (!userId || !UNSUBSCRIBE_TOKEN_SECRET) {
+        return null;
+    }
+    return `${API_BASE_URL}/api/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(userId, type))}`;
+};
+
+/**
+ * Shapes a users row into the settings the API exposes.
+ * @param {object} row - { muted_notification_types, digest_frequency, quiet_hours_start, quiet_hours_end, timezone }
+ * @returns {object} { notificationTypes, digestFrequency, quietHours }
+ */
+const toSettings = (row) => {
+    const muted = row.muted_notification_types || [];
+    return {
+        notificationTypes: Object.fromEntries(Object.values(NOTIFICATION_TYPES).map(type => [type, !muted.includes(type)])),
+        digestFrequency: row.digest_frequency,
+        quietHours: row.quiet_hours_start && row.quiet_hours_end
+            ? { start: row.quiet_hours_start, end: row.quiet_hours_end, timezone: row.timezone }
+            : null,
+    };
+};
+
+/**
+ * Loads a user's notification settings.
+ * @param {string} userId - The user.
+ * @returns {object|null} { notificationTypes, digestFrequency, quietHours } or null if the user doesn't exist.
+ */
+const getNotificationSettings = async (userId) => {
+    const { rows } = await pool.query(
+        'SELECT muted_notification_types, digest_frequency, quiet_hours_start, quiet_hours_end, timezone FROM users WHERE user_id = $1',
+        [userId]
+    );
+    return rows.length > 0 ? toSettings(rows[0]) : null;
+};
+
+/**
+ * Checks quiet hours input.
+ * @param {object|null} quietHours - { start, end, timezone } with 24-hour "HH:MM" times, or null to turn them off.
+ * @returns {object} { start, end, timezone }, all null when turned off.
+ * @throws An error if a time or the timezone is invalid.
+ */
+const normalizeQuietHours = (quietHours) => {
+    if (quietHours === null) {
+        return { start: null, end: null, timezone: null };
+    }
+    const { start, end, timezone } = quietHours || {};
+    if (!TIME_REGEX.test(start || '') || !TIME_REGEX.test(end || '')) {
+        throw new Error('Invalid quiet hours: start and end are required as 24-hour HH:MM times.');
+    }
+    if (start === end) {
+        throw new Error('Invalid quiet hours: start and end must differ.');
+    }
+    if (!timezone) {
+        throw new Error('Invalid quiet hours: timezone is required.');
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new Error(`Invalid quiet hours timezone "${timezone}". Use an IANA timezone such as Europe/London.`);
+    }
+    return { start, end, timezone };
+};
+
+/**
+ * Updates a user's notification settings. Omitted fields keep their current values.
+ * @param {string} userId - The user.
+ * @param {object} input - { notificationTypes: { price_drop: false, ... }, digestFrequency, quietHours }
+ * @returns {object|null} The updated settings, or null if the user doesn't exist.
+ * @throws An error if any setting is invalid.
+ */
+const updateNotificationSettings = async (userId, input = {}) => {
+    const { rows } = await pool.query('SELECT muted_notification_types FROM users WHERE user_id = $1', [userId]);
+    if (rows.length === 0) return null;
+
+    const updates = {};
+    if (input.notificationTypes !== undefined) {
+        const muted = new Set(rows[0].muted_notification_types || []);
+        for (const [type, enabled] of Object.entries(input.notificationTypes || {})) {
+            if (!Object.values(NOTIFICATION_TYPES).includes(type)) {
+                throw new Error(`Invalid notification type "${type}". Use one of: ${Object.values(NOTIFICATION_TYPES).join(', ')}.`);
+            }
+            if (typeof enabled !== 'boolean') {
+                throw new Error(`Invalid value for ${type}: use true or false.`);
+            }
+            if (enabled) muted.delete(type);
+            else muted.add(type);
+        }
+        updates.muted_notification_types = [...muted];
+    }
+    if (input.digestFrequency !== undefined) {
+        updates.digest_frequency = validateDigestFrequency(input.digestFrequency);
+    }
+    if (input.quietHours !== undefined) {
+        const quietHours = normalizeQuietHours(input.quietHours);
+        updates.quiet_hours_start = quietHours.start;
+        updates.quiet_hours_end = quietHours.end;
+        updates.timezone = quietHours.timezone;
+    }
+    if (Object.keys(updates).length === 0) {
+        throw new Error('At least one of notificationTypes, digestFrequency or quietHours is required.');
+    }
+
+    const columns = Object.keys(updates);
+    const { rows: updatedRows } = await pool.query(`
+        UPDATE users
+        SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = NOW()
+        WHERE user_id = $${columns.length + 1}
+        RETURNING muted_notification_types, digest_frequency, quiet_hours_start, quiet_hours_end, timezone
+    `, [...Object.values(updates), userId]);
+    return toSettings(updatedRows[0]);
+};
+
+/**
+ * Applies a one-click unsubscribe: mutes the notification type the link was for.
+ * @param {string} token - The token from the link.
+ * @returns {object} { userId, type, settings }
+ * @throws An error if the token is invalid or its user no longer exists.
+ */
+const unsubscribeWithToken = async (token) => {
+    const { userId, type } = verifyUnsubscribeToken(token);
+    const types = type === ALL_TYPES ? Object.values(NOTIFICATION_TYPES) : [type];
+    if (!types.every(value => Object.values(NOTIFICATION_TYPES).includes(value))) {
+        throw new Error('Invalid unsubscribe token.');
+    }
+    const settings = await updateNotificationSettings(userId, {
+        notificationTypes: Object.fromEntries(types.map(value => [value, false])),
+    });
+    if (!settings) {
+        throw new Error('User not found for this unsubscribe link.');
+    }
+    return { userId, type, settings };
+};
+
+/**
+ * Loads what the dispatcher needs to know about several users at once.
+ * @param {Array<string>} userIds - The users.
+ * @returns {Map<string, object>} User ID to { mutedTypes, quietHours }.
+ */
+const getDeliverySettings = async (userIds) => {
+    if (userIds.length === 0) {
+        return new Map();
+    }
+    const { rows } = await pool.query(`
+        SELECT user_id, muted_notification_types, quiet_hours_start, quiet_hours_end, timezone
+        FROM users
+        WHERE user_id = ANY($1)
+    `, [userIds]);
+    return new Map(rows.map(row => [row.user_id, {
+        mutedTypes: row.muted_notification_types || [],
+        quietHours: toSettings(row).quietHours,
+    }]));
+};
+
+/**
+ * Works out whether a delivery falls in the user's quiet hours.
+ * @param {object|null} quietHours - { start, end, timezone }
+ * @param {string} channel - The channel the message goes out on.
+ * @param {Date} now - The time to check.
+ * @returns {Date|null} When quiet hours end, or null if the message can go now.
+ */
+const getQuietHoursEnd = (quietHours, channel, now = new Date()) => {
+    if (!quietHours || !QUIET_HOURS_CHANNELS.includes(channel)) {
+        return null;
+    }
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: quietHours.timezone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit',
+    }).formatToParts(now);
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    const current = value('hour') * 60 + value('minute');
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    // A window like 22:00-07:00 wraps past midnight
+    const isQuiet = start < end ? current >= start && current < end : current >= start || current < end;
+    if (!isQuiet) {
+        return null;
+    }
+    const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+    return new Date(Math.floor(now.getTime() / 60000) * 60000 + minutesLeft * 60000);
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    DIGEST_FREQUENCIES,
+    validateDigestFrequency,
+    createUnsubscribeToken,
+    verifyUnsubscribeToken,
+    buildUnsubscribeUrl,
+    getNotificationSettings,
+    updateNotificationSettings,
+    unsubscribeWithToken,
+    getDeliverySettings,
+    getQuietHoursEnd,
+};
@@ -0,0 +1,199 @@
+// How much each criterion contributes to a match score. Only criteria we actually
+// know for the booked flight take part, and the score is normalised over those.
+const MATCH_WEIGHTS = {
+    carrier: 0.35,
+    flightNumber: 0.25,
+    cabin: 0.15,
+    outboundTime: 0.15,
+    returnTime: 0.10,
+};
+
+// A departure this far (or further) from the booked time scores zero for time.
+const MAX_TIME_DIFF_MINUTES = 180;
+
+// Score given when we know nothing about the booked itinerary to compare against.
+const NO_CRITERIA_SCORE = 0.5;
+
+/**
+ * Converts "HH:MM" (or the time part of an ISO timestamp) into minutes after midnight.
+ * @param {string} time - The time string.
+ * @returns {number|null} Minutes after midnight, or null if it can't be parsed.
+ */
+const toMinutes = (time) => {
+    if (!time) return null;
+    const timePart = time.includes('T') ? time.split('T')[1] : time;
+    const [hours, minutes] = timePart.split(':').map(part => parseInt(part, 10));
+    if (isNaN(hours) || isNaN(minutes)) return null;
+    return hours * 60 + minutes;
+};
+
+/**
+ * Splits a stored flight number such as "DL 423", "DL0423" or "423" into carrier and number.
+ * @param {string} flightNumber - The stored flight number.
+ * @returns {object|null} { carrier, number } with leading zeros stripped, or null.
+ */
+const parseFlightNumber = (flightNumber) => {
+    if (!flightNumber) return null;
+    const match = String(flightNumber).toUpperCase().replace(/\s+/g, '').match(/^([A-Z]{2,3}|[A-Z]\d|\d[A-Z])?(\d{1,4})[A-Z]?$/);
+    if (!match) return null;
+    return { carrier: match[1] || null, number: String(parseInt(match[2], 10)) };
+};
+
+/**
+ * Scores a 0-1 closeness between a booked time and an offer departure time.
+ * @param {string} bookedTime - The booked "HH:MM" time.
+ * @param {string} offerDepartureAt - The offer segment's ISO departure timestamp.
+ * @returns {number|null} The score, or null if either time is unusable.
+ */
+const scoreTime = (bookedTime, offerDepartureAt) => {
+    const booked = toMinutes(bookedTime);
+    const offered = toMinutes(offerDepartureAt);
+    if (booked === null || offered === null) return null;
+    const diff = Math.abs(booked - offered);
+    return Math.max(0, 1 - diff / MAX_TIME_DIFF_MINUTES);
+};
+
+/**
+ * Scores how many of the booked segments' flight numbers appear in the matching offer
+ * itinerary (journey N is compared with offer itinerary N).
+ * @param {object} offer - An Amadeus-shaped flight offer.
+ * @param {Array<object>} journeys - Booked journeys, each with its `segments`.
+ * @returns {number|null} The matched fraction, or null if no segment has a flight number.
+ */
+const scoreSegmentFlightNumbers = (offer, journeys) => {
+    let known = 0;
+    let matched = 0;
+    journeys.forEach((journey, index) => {
+        const offerSegments = (offer.itineraries && offer.itineraries[index] && offer.itineraries[index].segments) || [];
+        for (const segment of journey.segments || []) {
+            const booked = parseFlightNumber(segment.flightNumber);
+            if (!booked) continue;
+            const carrier = booked.carrier || segment.carrierCode;
+            known++;
+            if (offerSegments.some(offerSegment =>
+                String(parseInt(offerSegment.number, 10)) === booked.number &&
+                (!carrier || offerSegment.carrierCode === carrier)
+            )) {
+                matched++;
+            }
+        }
+    });
+    return known === 0 ? null : matched / known;
+};
+
+/**
+ * Scores the departure times of every journey after the first (the return of a round
+ * trip, or the later legs of an open-jaw or multi-city trip).
+ * @param {object} offer - An Amadeus-shaped flight offer.
+ * @param {Array<object>} journeys - Booked journeys with departureTime.
+ * @returns {number|null} The average 0-1 time score, or null if no later journey has a time.
+ */
+const scoreLaterJourneyTimes = (offer, journeys) => {
+    const scores = journeys.slice(1)
+        .map((journey, index) => {
+            if (!journey.departureTime) return null;
+            const offerSegments = (offer.itineraries && offer.itineraries[index + 1] && offer.itineraries[index + 1].segments) || [];
+            return offerSegments.length > 0 ? (scoreTime(journey.departureTime, offerSegments[0].departure.at) || 0) : 0;
+        })
+        .filter(score => score !== null);
+    return scores.length === 0 ? null : scores.reduce((sum, score) => sum + score, 0) / scores.length;
+};
+
+/**
+ * Scores a single Amadeus flight offer against the booked itinerary.
+ * When `journeys` is given, flight numbers are checked for every booked segment and
+ * return times for every later journey, instead of the first flight and return only.
+ * @param {object} offer - An Amadeus-shaped flight offer.
+ * @param {object} criteria - { airline, flightNumber, travelClass, departureTime, returnTime, journeys }
+ * @returns {object} { score, breakdown } where breakdown holds the 0-1 score for each known criterion.
+ */
+const scoreOffer = (offer, criteria) => {
+    const { airline, flightNumber, travelClass, departureTime, returnTime, journeys } = criteria;
+    const outboundSegments = (offer.itineraries && offer.itineraries[0] && offer.itineraries[0].segments) || [];
+    const returnSegments = (offer.itineraries && offer.itineraries[1] && offer.itineraries[1].segments) || [];
+    const firstOutbound = outboundSegments[0];
+    const breakdown = {};
+
+    if (airline) {
+        const carrier = airline.toUpperCase();
+        if (outboundSegments.some(segment => segment.carrierCode === carrier)) {
+            breakdown.carrier = 1;
+        } else if ((offer.validatingAirlineCodes || []).includes(carrier)) {
+            breakdown.carrier = 0.5; // Sold by the booked airline but flown by a partner
+        } else {
+            breakdown.carrier = 0;
+        }
+    }
+
+    const bookedFlightNumber = parseFlightNumber(flightNumber);
+    const segmentNumberScore = Array.isArray(journeys) ? scoreSegmentFlightNumbers(offer, journeys) : null;
+    if (segmentNumberScore !== null) {
+        breakdown.flightNumber = segmentNumberScore;
+    } else if (bookedFlightNumber) {
+        const matchesNumber = outboundSegments.some(segment =>
+            String(parseInt(segment.number, 10)) === bookedFlightNumber.number &&
+            (!bookedFlightNumber.carrier || segment.carrierCode === bookedFlightNumber.carrier)
+        );
+        breakdown.flightNumber = matchesNumber ? 1 : 0;
+    }
+
+    if (travelClass) {
+        const fareDetails = (offer.travelerPricings && offer.travelerPricings[0] && offer.travelerPricings[0].fareDetailsBySegment) || [];
+        if (fareDetails.length > 0) {
+            breakdown.cabin = fareDetails[0].cabin === travelClass.toUpperCase() ? 1 : 0;
+        }
+    }
+
+    if (departureTime && firstOutbound) {
+        const timeScore = scoreTime(departureTime, firstOutbound.departure.at);
+        if (timeScore !== null) breakdown.outboundTime = timeScore;
+    }
+
+    const laterJourneyScore = Array.isArray(journeys) && journeys.length > 1 ? scoreLaterJourneyTimes(offer, journeys) : null;
+    if (laterJourneyScore !== null) {
+        breakdown.returnTime = laterJourneyScore;
+    } else if (returnTime) {
+        // A booked return with no return itinerary in the offer is a mismatch, not unknown
+        breakdown.returnTime = returnSegments.length > 0 ? (scoreTime(returnTime, returnSegments[0].departure.at) || 0) : 0;
+    }
+
+    const knownCriteria = Object.keys(breakdown);
+    if (knownCriteria.length === 0) {
+        return { score: NO_CRITERIA_SCORE, breakdown };
+    }
+
+    const totalWeight = knownCriteria.reduce((sum, key) => sum + MATCH_WEIGHTS[key], 0);
+    const earnedWeight = knownCriteria.reduce((sum, key) => sum + MATCH_WEIGHTS[key] * breakdown[key], 0);
+    return { score: Math.round((earnedWeight / totalWeight) * 1000) / 1000, breakdown };
+};
+
+/**
+ * Picks the offer that best matches the booked itinerary. Ties go to the cheaper
+ * offer, which is the earlier one in Amadeus' price-sorted results.
+ * @param {Array<object>} offers - Amadeus-shaped flight offers.
+ * @param {object} criteria - { airline, flightNumber, travelClass, departureTime, returnTime, journeys }
+ * @returns {object|null} { offer, score, breakdown } or null if there are no offers.
+ */
+const matchOffer = (offers, criteria) => {
+    if (!offers || offers.length === 0) {
+        return null;
+    }
+
+    let bestMatch = null;
+    for (const offer of offers) {
+        const { score, breakdown } = scoreOffer(offer, criteria);
+        if (!bestMatch || score > bestMatch.score) {
+            bestMatch = { offer, score, breakdown };
+        }
+    }
+
+    const segment = bestMatch.offer.itineraries[0].segments[0];
+    console.log(`Best matching offer: ${segment.carrierCode}${segment.number} at ${segment.departure.at} (score ${bestMatch.score})`);
+    return bestMatch;
+};
+
+module.exports = {
+    scoreOffer,
+    matchOffer,
+    parseFlightNumber,
+};
@@ -0,0 +1,113 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+// Addresses user-supplied URLs may not reach: loopback, private networks, link-local
+// (including the cloud metadata service at 169.254.169.254) and other reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges.
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6'],
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_SUBNETS) {
+    blockList.addSubnet(address, prefix, family);
+}
+
+/**
+ * Checks whether an IP address is one user-supplied URLs may not reach.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses, and anything that isn't an IP.
+ */
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Resolves a host name to every address it points at.
+ * @param {string} hostname - The host, or an IP literal.
+ * @returns {Promise<Array<object>>} [{ address, family }]
+ */
+const resolveHost = (hostname) => dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+/**
+ * Checks that a user-supplied URL is https and that its host only resolves to public addresses.
+ * Run it when the URL is saved and again before each request, since DNS can change in between.
+ * @param {string} destination - The URL.
+ * @param {string} label - What the URL is for, used in error messages.
+ * @returns {Promise<URL>} The parsed URL.
+ * @throws An error if the URL isn't https, can't be resolved or points at a blocked address.
+ */
+const assertPublicHttpsUrl = async (destination, label = 'URL') => {
+    let url;
+    try {
+        url = new URL(destination);
+    } catch (error) {
+        url = null;
+    }
+    if (!url || url.protocol !== 'https:') {
+        throw new Error(`Invalid destination: the ${label} must be an https URL.`);
+    }
+    if (url.username || url.password) {
+        throw new Error(`Invalid destination: the ${label} must not contain credentials.`);
+    }
+
+    // URL keeps the brackets around IPv6 literals
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+        addresses = await resolveHost(hostname);
+    } catch (error) {
+        throw new Error(`Invalid destination: the ${label} host ${hostname} could not be resolved.`);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new Error(`Invalid destination: the ${label} host ${hostname} resolves to a private or reserved address.`);
+    }
+    return url;
+};
+
+/**
+ * A dns.lookup replacement for outbound sockets that refuses blocked addresses, so the
+ * address a request connects to is the one that was checked.
+ */
+const guardedLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked || addresses.length === 0) {
+            const blockedError = new Error(`${hostname} resolves to a private or reserved address.`);
+            blockedError.code = 'EBLOCKEDADDRESS';
+            return callback(blockedError);
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Agent for requests to user-supplied URLs. IP literals skip the lookup, which is why
+// callers also run assertPublicHttpsUrl() before each request.
+const publicHttpsAgent = new https.Agent({ lookup: guardedLookup });
+
+module.exports = {
+    isBlockedAddress,
+    assertPublicHttpsUrl,
+    publicHttpsAgent,
+};
@@ -0,0 +1,80 @@
+const { getAirport } = require('./airportService');
+
+// Trips whose required fields all score at least this are tracked straight away;
+// anything lower waits in the pending-trip queue for the user to review.
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.PARSE_CONFIDENCE_THRESHOLD) || 0.8;
+// Parsers that don't say how reliable they are get this.
+const DEFAULT_PARSER_CONFIDENCE = 0.8;
+
+// How each scored field is checked. A field that fails its check scores 0.
+const FIELD_CHECKS = {
+    bookingReference: (trip) => /^[A-Z0-9]{5,}$/.test(trip.bookingReference || ''),
+    route: (trip) => Boolean(getAirport(trip.departureAirport) && getAirport(trip.arrivalAirport))
+        && trip.departureAirport !== trip.arrivalAirport,
+    departureDate: (trip) => /^\d{4}-\d{2}-\d{2}$/.test(trip.departureDate || '') && !isNaN(Date.parse(trip.departureDate)),
+    departureTime: (trip) => /^([01]\d|2[0-3]):[0-5]\d$/.test(trip.departureTime || ''),
+    flightNumber: (trip) => /^[A-Z0-9]{2}\d{1,4}$/.test(trip.flightNumber || ''),
+    totalPrice: (trip) => Number(trip.totalPrice) > 0 && /^[A-Z]{3}$/.test(trip.currency || ''),
+    passengerInfo: (trip) => Boolean(trip.passengerInfo),
+};
+// Fields a trip can't be tracked properly without; the rest are nice to have.
+const REQUIRED_FIELDS = ['bookingReference', 'route', 'departureDate', 'totalPrice'];
+
+/**
+ * Works out the overall score and the fields needing review from per-field scores.
+ * @param {object} fields - Field name to 0-1.
+ * @returns {object} { fields, overall, lowConfidenceFields }
+ */
+const summarizeConfidence = (fields) => ({
+    fields,
+    overall: Math.min(...REQUIRED_FIELDS.map(field => fields[field] ?? 0)),
+    lowConfidenceFields: REQUIRED_FIELDS.filter(field => (fields[field] ?? 0) < CONFIDENCE_THRESHOLD),
+});
+
+/**
+ * Scores how much each field of a parsed trip can be trusted, from 0 (missing or
+ * malformed) to 1. A present, well-formed field scores the parser's own confidence,
+ * lowered by any per-field confidence the parser reported (e.g. a route it inferred
+ * rather than read).
+ * @param {object} trip - The normalized trip from buildParsedTrip().
+ * @param {object} options - { parserConfidence, fieldConfidence } where fieldConfidence maps
+ * field names to 0-1.
+ * @returns {object} { fields, overall, lowConfidenceFields } where overall is the lowest
+ * required field's score and lowConfidenceFields lists the required fields under the threshold.
+ */
+const scoreParsedTrip = (trip, { parserConfidence = DEFAULT_PARSER_CONFIDENCE, fieldConfidence = {} } = {}) => {
+    const fields = Object.fromEntries(Object.entries(FIELD_CHECKS).map(([field, check]) => {
+        const score = check(trip) ? Math.min(parserConfidence, fieldConfidence[field] ?? 1) : 0;
+        return [field, Math.round(score * 100) / 100];
+    }));
+    return summarizeConfidence(fields);
+};
+
+/**
+ * Rescores a trip after the user corrected some of it. Fields they corrected score 1 if
+ * they now pass their check (0 if not); the rest keep the parser's scores.
+ * @param {object} trip - The corrected trip.
+ * @param {object} confidence - The trip's confidence before the correction.
+ * @param {Array<string>} correctedFields - The scored fields the correction touched.
+ * @returns {object} { fields, overall, lowConfidenceFields }
+ */
+const rescoreCorrectedTrip = (trip, confidence, correctedFields) => {
+    const fields = { ...confidence.fields };
+    for (const field of correctedFields) {
+        fields[field] = FIELD_CHECKS[field](trip) ? 1 : 0;
+    }
+    return summarizeConfidence(fields);
+};
+
+/**
+ * @param {object} confidence - From scoreParsedTrip().
+ * @returns {boolean} True if the trip should be reviewed by the user before it's tracked.
+ */
+const needsReview = (confidence) => confidence.lowConfidenceFields.length > 0;
+
+module.exports = {
+    CONFIDENCE_THRESHOLD,
+    scoreParsedTrip,
+    rescoreCorrectedTrip,
+    needsReview,
+};
@@ -0,0 +1,71 @@
+// Passenger types, as fare searches price them. Infants are lap infants without a seat.
+const PASSENGER_TYPES = {
+    ADULT: 'adult',
+    CHILD: 'child',
+    INFANT: 'infant',
+};
+
+// Fare searches allow at most this many seated passengers on one booking.
+const MAX_SEATED_PASSENGERS = 9;
+
+/**
+ * Counts a booking's passengers by type.
+ * @param {Array<object>} passengers - [{ name, type }] where type is one of PASSENGER_TYPES.
+ * @returns {object|null} { adults, children, infants }, or null if there are no passengers.
+ */
+const countPassengerTypes = (passengers = []) => {
+    if (passengers.length === 0) return null;
+    const countOf = (type) => passengers.filter(passenger => passenger.type === type).length;
+    return { adults: countOf(PASSENGER_TYPES.ADULT), children: countOf(PASSENGER_TYPES.CHILD), infants: countOf(PASSENGER_TYPES.INFANT) };
+};
+
+/**
+ * Resolves a trip's passenger mix from whichever of passengerTypes and passengerCount it
+ * has. A bare count is taken to be all adults; a trip with neither is one adult.
+ * @param {object} trip - { passengerCount, passengerTypes } where passengerTypes is
+ * { adults, children, infants }.
+ * @returns {object} { passengerCount, passengerTypes }
+ * @throws An error if the mix isn't one a fare search can price.
+ */
+const normalizePassengerMix = ({ passengerCount, passengerTypes } = {}) => {
+    const toCount = (value) => (value === undefined || value === null || value === '' ? 0 : Number(value));
+    const types = passengerTypes
+        ? { adults: toCount(passengerTypes.adults), children: toCount(passengerTypes.children), infants: toCount(passengerTypes.infants) }
+        : { adults: passengerCount === undefined || passengerCount === null ? 1 : Number(passengerCount), children: 0, infants: 0 };
+
+    if (!Object.values(types).every(Number.isInteger) || Object.values(types).some(count => count < 0)) {
+        throw new Error('Invalid passenger counts: adults, children and infants must be whole numbers.');
+    }
+    if (types.adults < 1) throw new Error('Invalid passenger counts: at least one adult is required.');
+    if (types.infants > types.adults) throw new Error('Invalid passenger counts: each infant must travel with an adult.');
+    if (types.adults + types.children > MAX_SEATED_PASSENGERS) {
+        throw new Error(`Invalid passenger counts: at most ${MAX_SEATED_PASSENGERS} seated passengers can be tracked on one trip.`);
+    }
+
+    const total = types.adults + types.children + types.infants;
+    if (passengerTypes && passengerCount !== undefined && passengerCount !== null && Number(passengerCount) !== total) {
+        throw new Error(`Invalid passenger count: ${passengerCount} doesn't match the ${total} passengers by type.`);
+    }
+    return { passengerCount: total, passengerTypes: types };
+};
+
+/**
+ * Reads the passenger mix a stored flight is priced for. Flights saved before passenger
+ * types were recorded only have passenger_count, which is taken to be all adults.
+ * @param {object} flight - The flights row.
+ * @returns {object} { adults, children, infants }
+ */
+const getFlightTravelers = (flight) => {
+    const types = flight.passenger_types;
+    if (types && types.adults) {
+        return { adults: types.adults, children: types.children || 0, infants: types.infants || 0 };
+    }
+    return { adults: Math.max(parseInt(flight.passenger_count, 10) || 1, 1), children: 0, infants: 0 };
+};
+
+module.exports = {
+    PASSENGER_TYPES,
+    countPassengerTypes,
+    normalizePassengerMix,
+    getFlightTravelers,
+};
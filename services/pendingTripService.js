@@ -0,0 +1,348 @@
+const { pool } = require('../database');
+const { buildParsedTrip } = require('./emailParserRegistry');
+const { rescoreCorrectedTrip } = require('./parseConfidenceService');
+const { validateAirportCode } = require('./airportService');
+const { normalizePassengerMix } = require('./passengerService');
+
+const PENDING_TRIP_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    DISCARDED: 'discarded',
+};
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Which confidence score each correctable field settles.
+const CORRECTED_FIELD_SCORES = {
+    bookingReference: ['bookingReference'],
+    airline: [],
+    passengerInfo: ['passengerInfo'],
+    passengerTypes: [],
+    totalPrice: ['totalPrice'],
+    currency: ['totalPrice'],
+    departureAirport: ['route'],
+    arrivalAirport: ['route'],
+    departureDate: ['departureDate'],
+    departureTime: ['departureTime'],
+    returnDate: [],
+    returnTime: [],
+    segments: ['route', 'departureDate', 'departureTime', 'flightNumber'],
+};
+
+/**
+ * Queues the bookings from an inbound email that need the user's review, inside the
+ * caller's transaction. Trips from an earlier attempt at the same email that are still
+ * pending are replaced, so reprocessing an email doesn't queue its bookings twice.
+ * @param {object} client - A pg client inside a transaction.
+ * @param {object} options - { userId, inboundEmailId, parser, bookings } where bookings is [{ trip, confidence }].
+ * @returns {Promise<Array<object>>} The new pending_trips rows.
+ */
+const queuePendingTrips = async (client, { userId, inboundEmailId, parser = null, bookings }) => {
+    await client.query('DELETE FROM pending_trips WHERE inbound_email_id = $1 AND status = $2', [inboundEmailId, PENDING_TRIP_STATUS.PENDING]);
+    const pendingTrips = [];
+    for (const { trip, confidence } of bookings) {
+        const { rows } = await client.query(`
+            INSERT INTO pending_trips (user_id, inbound_email_id, parser, trip, confidence)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [userId, inboundEmailId, parser, JSON.stringify(trip), JSON.stringify(confidence)]);
+        pendingTrips.push(rows[0]);
+    }
+    return pendingTrips;
+};
+
+/**
+ * Lists a user's pending trips, newest first.
+ * @param {string} userId - The user.
+ * @param {object} [options] - { status } where status is one of PENDING_TRIP_STATUS (default pending).
+ * @returns {Promise<Array<object>>} The pending_trips rows.
+ * @throws An error if the status filter is invalid.
+ */
+const listPendingTrips = async (userId, { status = PENDING_TRIP_STATUS.PENDING } = {}) => {
+    if (!Object.values(PENDING_TRIP_STATUS).includes(status)) {
+        throw new Error(`Invalid status "${status}". Use one of: ${Object.values(PENDING_TRIP_STATUS).join(', ')}.`);
+    }
+    const { rows } = await pool.query(
+        'SELECT * FROM pending_trips WHERE user_id = $1 AND status = $2 ORDER BY created_at DESC',
+        [userId, status]
+    );
+    return rows;
+};
+
+/**
+ * Gets one of a user's pending trips.
+ * @param {number} pendingTripId - The pending trip.
+ * @param {string} userId - The user it must belong to.
+ * @returns {Promise<object|null>} The row, or null if the user has no pending trip with that ID.
+ */
+const getPendingTrip = async (pendingTripId, userId) => {
+    const { rows } = await pool.query('SELECT * FROM pending_trips WHERE pending_trip_id = $1 AND user_id = $2', [pendingTripId, userId]);
+    return rows[0] || null;
+};
+
+/**
+ * Checks a date and time correction, leaving unset values alone.
+ * @param {string} date - "YYYY-MM-DD", if being corrected.
+ * @param {string} time - "HH:MM", if being corrected.
+ * @param {string} label - How to refer to them in the error, e.g. 'departure'.
+ * @throws An error if either is malformed.
+ */
+const validateDateTime = (date, time, label) => {
+    if (date !== undefined && (!DATE_REGEX.test(date) || isNaN(Date.parse(date)))) {
+        throw new Error(`Invalid ${label} date. Use YYYY-MM-DD.`);
+    }
+    if (time !== undefined && time !== null && !TIME_REGEX.test(time)) {
+        throw new Error(`Invalid ${label} time. Use HH:MM (24-hour).`);
+    }
+};
+
+/**
+ * Reads replacement segments from a correction.
+ * @param {Array<object>} segments - [{ carrierCode, flightNumber, origin, destination, departureDate, departureTime, arrivalDate, arrivalTime, cabin }]
+ * @returns {Array<object>} The segments, codes upper-cased.
+ * @throws An error if there are none or one is malformed.
+ */
+const readSegments = (segments) => {
+    if (!Array.isArray(segments) || segments.length === 0) throw new Error('Invalid segments: at least one segment is required.');
+    return segments.map((segment, index) => {
+        const upper = (value) => (value ? String(value).trim().toUpperCase() : null);
+        const corrected = {
+            carrierCode: upper(segment.carrierCode),
+            flightNumber: upper(segment.flightNumber),
+            origin: upper(segment.origin),
+            destination: upper(segment.destination),
+            departureDate: segment.departureDate || null,
+            departureTime: segment.departureTime || null,
+            arrivalDate: segment.arrivalDate || null,
+            arrivalTime: segment.arrivalTime || null,
+            cabin: upper(segment.cabin),
+        };
+        validateAirportCode(corrected.origin, `origin of segment ${index + 1}`);
+        validateAirportCode(corrected.destination, `destination of segment ${index + 1}`);
+        validateDateTime(corrected.departureDate || undefined, corrected.departureTime, `segment ${index + 1} departure`);
+        validateDateTime(corrected.arrivalDate || undefined, corrected.arrivalTime, `segment ${index + 1} arrival`);
+        return corrected;
+    });
+};
+
+/**
+ * Applies route and schedule corrections to a trip's parsed segments: the outbound
+ * journey's ends and first departure, and the return's first departure. Connections in
+ * between are kept. A return date on a one-way trip adds the reverse flight.
+ * @param {Array<object>} segments - The trip's segments, journeyIndex set.
+ * @param {object} corrections - Any of departureAirport, arrivalAirport, departureDate,
+ * departureTime, returnDate, returnTime.
+ * @returns {Array<object>} The corrected segments.
+ */
+const correctSchedule = (segments, corrections) => {
+    const corrected = segments.map(segment => ({ ...segment }));
+    const outbound = corrected.filter(segment => segment.journeyIndex === 0);
+    const first = outbound[0];
+    const last = outbound[outbound.length - 1];
+    if (corrections.departureAirport !== undefined) first.origin = corrections.departureAirport;
+    if (corrections.arrivalAirport !== undefined) last.destination = corrections.arrivalAirport;
+    if (corrections.departureDate !== undefined) first.departureDate = corrections.departureDate;
+    if (corrections.departureTime !== undefined) first.departureTime = corrections.departureTime;
+
+    if (corrections.returnDate !== undefined || corrections.returnTime !== undefined) {
+        let returnLeg = corrected.find(segment => segment.journeyIndex === 1);
+        if (!returnLeg) {
+            if (corrections.returnDate === undefined) throw new Error('Invalid correction: returnDate is required to add a return flight.');
+            returnLeg = { origin: last.destination, destination: first.origin, carrierCode: first.carrierCode, journeyIndex: 1 };
+            corrected.push(returnLeg);
+        }
+        if (corrections.returnDate !== undefined) returnLeg.departureDate = corrections.returnDate;
+        if (corrections.returnTime !== undefined) returnLeg.departureTime = corrections.returnTime;
+    }
+    return corrected;
+};
+
+/**
+ * Applies a user's corrections to a parsed trip and rescores it. Corrected fields are
+ * trusted (score 1) as long as they are well formed.
+ * @param {object} trip - The parsed trip.
+ * @param {object} confidence - Its confidence.
+ * @param {object} corrections - Any of the keys of CORRECTED_FIELD_SCORES.
+ * @returns {object} { trip, confidence }
+ * @throws An error if a correction is malformed.
+ */
+const applyCorrections = (trip, confidence, corrections) => {
+    const fields = Object.keys(CORRECTED_FIELD_SCORES).filter(field => corrections[field] !== undefined);
+    const values = Object.fromEntries(fields.map(field => [field, corrections[field]]));
+
+    if (values.bookingReference !== undefined) {
+        values.bookingReference = String(values.bookingReference).trim().toUpperCase();
+        if (!/^[A-Z0-9]{5,13}$/.test(values.bookingReference)) throw new Error('Invalid booking reference.');
+    }
+    if (values.totalPrice !== undefined) {
+        values.totalPrice = Number(values.totalPrice);
+        if (!Number.isFinite(values.totalPrice) || values.totalPrice < 0) throw new Error('Invalid total price.');
+    }
+    if (values.currency !== undefined) {
+        values.currency = String(values.currency).trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(values.currency)) throw new Error('Invalid currency. Use a 3-letter ISO code.');
+    }
+    for (const field of ['departureAirport', 'arrivalAirport']) {
+        if (values[field] === undefined) continue;
+        values[field] = String(values[field]).trim().toUpperCase();
+        validateAirportCode(values[field], field === 'departureAirport' ? 'departure airport' : 'arrival airport');
+    }
+    if (values.passengerTypes !== undefined) {
+        values.passengerTypes = normalizePassengerMix({ passengerTypes: values.passengerTypes || {} }).passengerTypes;
+    }
+    validateDateTime(values.departureDate, values.departureTime, 'departure');
+    validateDateTime(values.returnDate, values.returnTime, 'return');
+
+    const segments = values.segments !== undefined
+        ? readSegments(values.segments)
+        : correctSchedule(trip.segments || [], values);
+    const { bookingReference, airline, passengerInfo, passengerTypes, totalPrice, currency } = { ...trip, ...values };
+    const correctedTrip = buildParsedTrip({
+        bookingReference, airline, passengerInfo, passengerTypes, totalPrice, currency,
+        airlineIataCode: values.segments !== undefined ? null : trip.airlineIataCode,
+        segments,
+    });
+
+    const correctedScores = [...new Set(fields.flatMap(field => CORRECTED_FIELD_SCORES[field]))];
+    return { trip: correctedTrip, confidence: rescoreCorrectedTrip(correctedTrip, confidence, correctedScores) };
+};
+
+/**
+ * Saves a user's corrections to a pending trip.
+ * @param {number} pendingTripId - The pending trip.
+ * @param {string} userId - The user it must belong to.
+ * @param {object} corrections - Any of bookingReference, airline, passengerInfo, passengerTypes
+ * ({ adults, children, infants }), totalPrice, currency, departureAirport, arrivalAirport,
+ * departureDate, departureTime, returnDate, returnTime, or segments to replace the parsed
+ * flights outright.
+ * @returns {Promise<object|null>} The updated row, or null if the user has no pending trip with that ID.
+ * @throws An error if nothing or something malformed was sent, or the trip was already confirmed or discarded.
+ */
+const updatePendingTrip = async (pendingTripId, userId, corrections) => {
+    if (!Object.keys(CORRECTED_FIELD_SCORES).some(field => corrections[field] !== undefined)) {
+        throw new Error(`At least one field to correct is required: ${Object.keys(CORRECTED_FIELD_SCORES).join(', ')}.`);
+    }
+    const pendingTrip = await getPendingTrip(pendingTripId, userId);
+    if (!pendingTrip) return null;
+    if (pendingTrip.status !== PENDING_TRIP_STATUS.PENDING) {
+        throw new Error(`Pending trip ${pendingTripId} was already ${pendingTrip.status}.`);
+    }
+
+    const { trip, confidence } = applyCorrections(pendingTrip.trip, pendingTrip.confidence, corrections);
+    const { rows } = await pool.query(`
+        UPDATE pending_trips SET trip = $3, confidence = $4, updated_at = NOW()
+        WHERE pending_trip_id = $1 AND user_id = $2 AND status = $5
+        RETURNING *
+    `, [pendingTripId, userId, JSON.stringify(trip), JSON.stringify(confidence), PENDING_TRIP_STATUS.PENDING]);
+    if (rows.length === 0) throw new Error(`Pending trip ${pendingTripId} was already resolved.`);
+    return rows[0];
+};
+
+/**
+ * Marks an inbound email imported once none of its bookings are left waiting for review
+ * and at least one was confirmed. Its flight_id is the first trip imported from it.
+ * @param {object} client - A pg client or the pool.
+ * @param {number|null} inboundEmailId - The email the pending trip came from, if any.
+ */
+const settleInboundEmail = async (client, inboundEmailId) => {
+    if (!inboundEmailId) return;
+    await client.query(`
+        UPDATE inbound_emails SET status = 'imported', flight_id = COALESCE(flight_id, (
+            SELECT flight_id FROM pending_trips WHERE inbound_email_id = $1 AND status = $3 ORDER BY resolved_at LIMIT 1
+        ))
+        WHERE inbound_email_id = $1 AND status = 'pending_review'
+        AND NOT EXISTS (SELECT 1 FROM pending_trips WHERE inbound_email_id = $1 AND status = $2)
+        AND EXISTS (SELECT 1 FROM pending_trips WHERE inbound_email_id = $1 AND status = $3)
+    `, [inboundEmailId, PENDING_TRIP_STATUS.PENDING, PENDING_TRIP_STATUS.CONFIRMED]);
+};
+
+/**
+ * Confirms a pending trip: saves it as a tracked flight and, once none of its bookings
+ * are left to review, marks the email it came from as imported. Corrections sent with
+ * the confirmation are applied first. The row is claimed in the same transaction the
+ * flight is saved in, so two confirmations of one trip can't both save a flight.
+ * @param {number} pendingTripId - The pending trip.
+ * @param {string} userId - The user it must belong to.
+ * @param {object} options - { saveTrip, corrections } where saveTrip(trip, { client }) saves a parsed trip
+ * within the given client's transaction and returns the flight (createTripInDatabase, which lives with the trip routes).
+ * @returns {Promise<object|null>} { pendingTrip, flight }, or null if the user has no pending trip with that ID.
+ * @throws An error if the trip was already confirmed or discarded, or saving it fails.
+ */
+const confirmPendingTrip = async (pendingTripId, userId, { saveTrip, corrections = {} }) => {
+    const hasCorrections = Object.keys(CORRECTED_FIELD_SCORES).some(field => corrections[field] !== undefined);
+    if (hasCorrections && !(await updatePendingTrip(pendingTripId, userId, corrections))) return null;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Concurrent confirmations wait on the row lock, then find it no longer pending
+        const { rows: claimed } = await client.query(`
+            UPDATE pending_trips SET status = $3, resolved_at = NOW(), updated_at = NOW()
+            WHERE pending_trip_id = $1 AND user_id = $2 AND status = $4
+            RETURNING *
+        `, [pendingTripId, userId, PENDING_TRIP_STATUS.CONFIRMED, PENDING_TRIP_STATUS.PENDING]);
+        if (claimed.length === 0) {
+            await client.query('ROLLBACK');
+            const pendingTrip = await getPendingTrip(pendingTripId, userId);
+            if (!pendingTrip) return null;
+            throw new Error(`Pending trip ${pendingTripId} was already ${pendingTrip.status}.`);
+        }
+        const pendingTrip = claimed[0];
+
+        const { rows: users } = await client.query('SELECT email FROM users WHERE user_id = $1', [userId]);
+        const flight = await saveTrip({
+            ...pendingTrip.trip,
+            userId,
+            email: users[0] ? users[0].email : null,
+            inboundEmailId: pendingTrip.inbound_email_id,
+        }, { client });
+
+        const { rows } = await client.query(
+            'UPDATE pending_trips SET flight_id = $2 WHERE pending_trip_id = $1 RETURNING *',
+            [pendingTripId, flight.flight_id]
+        );
+        await settleInboundEmail(client, pendingTrip.inbound_email_id);
+        await client.query('COMMIT');
+        return { pendingTrip: rows[0], flight };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Discards a pending trip the user doesn't want tracked.
+ * @param {number} pendingTripId - The pending trip.
+ * @param {string} userId - The user it must belong to.
+ * @returns {Promise<object|null>} The updated row, or null if the user has no pending trip with that ID.
+ * @throws An error if the trip was already confirmed or discarded.
+ */
+const discardPendingTrip = async (pendingTripId, userId) => {
+    const { rows } = await pool.query(`
+        UPDATE pending_trips SET status = $3, resolved_at = NOW(), updated_at = NOW()
+        WHERE pending_trip_id = $1 AND user_id = $2 AND status = $4
+        RETURNING *
+    `, [pendingTripId, userId, PENDING_TRIP_STATUS.DISCARDED, PENDING_TRIP_STATUS.PENDING]);
+    if (rows.length > 0) {
+        await settleInboundEmail(pool, rows[0].inbound_email_id);
+        return rows[0];
+    }
+
+    const pendingTrip = await getPendingTrip(pendingTripId, userId);
+    if (!pendingTrip) return null;
+    throw new Error(`Pending trip ${pendingTripId} was already ${pendingTrip.status}.`);
+};
+
+module.exports = {
+    PENDING_TRIP_STATUS,
+    applyCorrections,
+    queuePendingTrips,
+    listPendingTrips,
+    getPendingTrip,
+    updatePendingTrip,
+    confirmPendingTrip,
+    discardPendingTrip,
+};
@@ -0,0 +1,148 @@
+const { cleanText, parseDate, parseTime, parsePrice, readPassenger, parsePassengerCounts } = require('./emailParseHelpers');
+const { getAirport } = require('./airportService');
+
+const PNR_REGEX = /\b(?:booking\s+(?:reference|ref\.?|code)|confirmation\s+(?:code|number|no\.?|#)|record\s+locator|reservation\s+(?:code|number)|airline\s+reference|PNR)\s*(?:is|:|#)?\s*([A-Z0-9]{6})\b/i;
+const FARE_REGEX = /\b(?:grand\s+total|total\s+(?:fare|price|paid|amount|cost)|amount\s+(?:paid|charged)|total)\b\s*:?\s*([^\n]*\d[^\n]*)/i;
+const PASSENGER_REGEX = /\b(?:passengers?|travell?ers?)(?:\s+names?)?\s*:\s*([^\n]+)/i;
+// Carrier code then number, e.g. "BA 117" or "U2 8021"; the code must contain a letter
+const FLIGHT_NUMBER_REGEX = /\b([A-Z][A-Z0-9]|[0-9][A-Z])\s?0*(\d{1,4})\b/;
+// Details for a route line may be spread over the lines after it, as in PDF itineraries
+const SEGMENT_DETAIL_LINES = 3;
+
+/**
+ * Lists the known airport codes on a line in order, whether bare ("JFK - LHR") or in
+ * parentheses ("New York (JFK) to London (LHR)"). Only codes in the airport dataset
+ * count, so words like "THE" and currency codes don't, and a code repeated straight
+ * after itself ("New York JFK (JFK)") counts once.
+ * @param {string} line - The line.
+ * @returns {Array<string>} The airport codes.
+ */
+const findAirportCodes = (line) => [...line.matchAll(/\b([A-Z]{3})\b/g)]
+    .map(match => match[1])
+    .filter(code => getAirport(code))
+    .filter((code, index, codes) => code !== codes[index - 1]);
+
+/**
+ * Reads the booking reference. It must contain a letter, which rules out six-digit
+ * ticket and order numbers printed under similar labels.
+ * @param {string} text - The email text.
+ * @returns {string|null} The reference.
+ */
+const findBookingReference = (text) => {
+    const pattern = new RegExp(PNR_REGEX.source, 'gi');
+    for (const match of text.matchAll(pattern)) {
+        if (/^[A-Z0-9]{6}$/.test(match[1]) && /[A-Z]/.test(match[1])) return match[1];
+    }
+    return null;
+};
+
+/**
+ * Reads the fare: the first total that names its currency, which skips lines like
+ * "Total travel time 7h 30m".
+ * @param {string} text - The email text.
+ * @returns {object|null} { amount, currency }
+ */
+const findFare = (text) => {
+    const pattern = new RegExp(FARE_REGEX.source, 'gi');
+    for (const match of text.matchAll(pattern)) {
+        const price = parsePrice(match[1]);
+        if (price && price.currency) return price;
+    }
+    return null;
+};
+
+/**
+ * Finds the clock times on a line.
+ * @param {string} line - The line.
+ * @returns {Array<string>} The times as "HH:MM".
+ */
+const findTimes = (line) => [...line.matchAll(/\b\d{1,2}[:.]\d{2}(?:\s*[AaPp]\.?[Mm]\.?)?/g)]
+    .map(match => parseTime(match[0]))
+    .filter(Boolean);
+
+/**
+ * Reads the flight segments. A segment is a line with two known airport codes; its flight
+ * number and times come from that line or the few lines after it. The departure date is
+ * on the route line or in a date heading above it, and a later date in the details is
+ * the arrival date.
+ * @param {Array<string>} lines - The email's lines.
+ * @returns {Array<object>} The segments.
+ */
+const findSegments = (lines) => {
+    const segments = [];
+    let lastDate = null;
+
+    lines.forEach((line, index) => {
+        const codes = findAirportCodes(line);
+        if (codes.length < 2) {
+            lastDate = parseDate(line) || lastDate;
+            return;
+        }
+
+        // The details run until the next route line or date heading
+        const details = [line];
+        for (let next = index + 1; next < lines.length && details.length <= SEGMENT_DETAIL_LINES; next++) {
+            const isDateHeading = parseDate(lines[next]) && findTimes(lines[next]).length === 0;
+            if (findAirportCodes(lines[next]).length >= 2 || isDateHeading) break;
+            details.push(lines[next]);
+        }
+        const laterDates = details.slice(1).map(parseDate).filter(Boolean);
+        const times = details.flatMap(findTimes);
+        const flightMatch = details.map(detail => detail.replace(/\b[A-Z]{3}\b/g, ' ').match(FLIGHT_NUMBER_REGEX)).find(Boolean);
+        const departureDate = parseDate(line) || lastDate || laterDates[0] || null;
+        lastDate = departureDate;
+
+        segments.push({
+            carrierCode: flightMatch ? flightMatch[1] : null,
+            flightNumber: flightMatch ? `${flightMatch[1]}${flightMatch[2]}` : null,
+            origin: codes[0],
+            destination: codes[1],
+            departureDate,
+            departureTime: times[0] || null,
+            arrivalDate: laterDates.find(date => date > departureDate) || departureDate,
+            arrivalTime: times[1] || null,
+            cabin: null,
+        });
+    });
+    return segments;
+};
+
+/**
+ * Parser for confirmations with no HTML layout to scrape: plain-text bodies and the text
+ * of PDF e-tickets. Regexes pick out the booking reference, route lines (pairs of IATA
+ * codes), dates, times and the fare, so it works for any carrier but reads less than a
+ * layout parser would.
+ * Fixtures: fixtures/emails/plain-text.
+ * @param {string} text - The email or attachment text.
+ * @returns {object} What was extracted, in the shape the layout parsers return.
+ */
+const parse = (text) => {
+    const lines = String(text || '').split(/\r?\n/).map(cleanText).filter(Boolean);
+    const body = lines.join('\n');
+    const segments = findSegments(lines);
+    const price = findFare(body);
+    // "Passengers: DOE/JANE MS, DOE/TOM MSTR" lists names; "Travellers: 2 adults" only counts them
+    const passengerLines = [...body.matchAll(new RegExp(PASSENGER_REGEX.source, 'gi'))].map(match => cleanText(match[1]));
+    const namesLine = passengerLines.find(line => !parsePassengerCounts(line));
+    const passengerNames = namesLine ? namesLine.split(/\s*[,;]\s*|\s+and\s+/i).map(cleanText).filter(Boolean) : [];
+    const carriers = [...new Set(segments.map(segment => segment.carrierCode).filter(Boolean))];
+
+    return {
+        bookingReference: findBookingReference(body),
+        airline: null,
+        airlineIataCode: carriers.length === 1 ? carriers[0] : null,
+        segments,
+        totalPrice: price ? price.amount : 0,
+        currency: price ? price.currency : 'USD',
+        passengerInfo: namesLine || passengerLines[0] || null,
+        passengers: passengerNames.map(readPassenger),
+        passengerTypes: parsePassengerCounts(body),
+    };
+};
+
+module.exports = {
+    name: 'plain-text',
+    // Regexes over free text misread often enough that these trips are always reviewed
+    confidence: 0.6,
+    parse,
+};
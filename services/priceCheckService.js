@@ -1,187 +1,408 @@
+const os = require('os');
 const { pool } = require('../database');
-const { getFlightPrice } = require('./amadeusService');
+const { getFlightPrice, PRICE_RESULT } = require('./fareProviderService');
 const notificationService = require('./notificationService');
+const { runWithConcurrency } = require('./workerPool');
+const { evaluateAlertRules, getActiveRulesForFlight, markRulesTriggered } = require('./alertRuleService');
+const { getFareTrend } = require('./fareTrendService');
+const { getItinerary, ITINERARY_TYPES } = require('./itineraryService');
+const { getFlightTravelers } = require('./passengerService');
+const { getEnabledChannels } = require('./notificationPreferenceService');
+const { enqueueNotifications, dispatchOutbox } = require('./notificationOutboxService');
+
+// How many flights are checked at once. The fare provider's own rate limit still applies.
+const PRICE_CHECK_CONCURRENCY = parseInt(process.env.PRICE_CHECK_CONCURRENCY, 10) || 5;
+
+// How many due flights one run claims, and how long its claim lasts before another runner may take them over.
+const PRICE_CHECK_BATCH_SIZE = parseInt(process.env.PRICE_CHECK_BATCH_SIZE, 10) || 500;
+const PRICE_CHECK_LEASE_MINUTES = parseInt(process.env.PRICE_CHECK_LEASE_MINUTES, 10) || 15;
+
+// Offers that match the booked itinerary worse than this are never used to fire an alert.
+// 0 turns the check off, so only a missing or non-numeric value falls back to the default.
+const parsedMinAlertMatchScore = parseFloat(process.env.MIN_ALERT_MATCH_SCORE);
+const MIN_ALERT_MATCH_SCORE = Number.isNaN(parsedMinAlertMatchScore) ? 0.6 : parsedMinAlertMatchScore;
+
+// price_history.availability_status values. Only AVAILABLE rows are prices for the booked itinerary.
+const AVAILABILITY = {
+    AVAILABLE: 'available',
+    NO_OFFERS: 'no_offers',
+    LOW_CONFIDENCE: 'low_confidence_match',
+};
+
+/**
+ * Appends a price_history row for one check and keeps the flight's current and
+ * lowest price in step with it. Only prices for the booked itinerary update the
+ * flight; unmatched or missing offers just mark it as checked.
+ * @param {object} client - A pg client (inside the caller's transaction) or the pool.
+ * @param {object} flight - The flight row being checked.
+ * @param {object} priceData - The fare provider result.
+ * @param {string} availabilityStatus - One of AVAILABILITY.
+ */
+const recordPriceObservation = async (client, flight, priceData, availabilityStatus) => {
+    const hasPrice = priceData.status === PRICE_RESULT.OK;
+    const matchDetails = priceData.matchDetails || {};
+    const notes = hasPrice
+        ? `Matched ${matchDetails.carrier}${matchDetails.flightNumber} departing ${matchDetails.departureAt} (score ${priceData.matchScore})`
+        : null;
+
+    await client.query(`
+        INSERT INTO price_history (flight_id, price, currency, source, checked_at, availability_status, fare_class, notes)
+        VALUES ($1, $2, $3, $4, NOW(), $5, $6, $7)
+    `, [
+        flight.flight_id,
+        hasPrice ? priceData.currentPrice : null,
+        priceData.currency || flight.currency || 'USD',
+        priceData.source,
+        availabilityStatus,
+        matchDetails.cabin || flight.amadeus_travel_class || null,
+        notes,
+    ]);
+
+    if (availabilityStatus === AVAILABILITY.AVAILABLE) {
+        await client.query(`
+            UPDATE flights
+            SET current_price = $1, last_checked_price = $1,
+                lowest_price_seen = LEAST(COALESCE(lowest_price_seen, $1), $1),
+                last_checked_at = NOW()
+            WHERE flight_id = $2
+        `, [priceData.currentPrice, flight.flight_id]);
+    } else {
+        await client.query('UPDATE flights SET last_checked_at = NOW() WHERE flight_id = $1', [flight.flight_id]);
+    }
+};
+
+/**
+ * Records a price observation in its own transaction, for checks that don't alert.
+ * @param {object} flight - The flight row being checked.
+ * @param {object} priceData - The fare provider result.
+ * @param {string} availabilityStatus - One of AVAILABILITY.
+ */
+const saveObservation = async (flight, priceData, availabilityStatus) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await recordPriceObservation(client, flight, priceData, availabilityStatus);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
 
 /**
  * Processes a single flight, checks its price, and triggers alerts if necessary.
  * @param {object} flight - A flight object from the database.
+ * @returns {string} The price lookup outcome, 'ok' or 'no_offers'.
+ * @throws An error if the fare provider failed, so the flight stays due for the next run.
  */
 const checkFlightPrice = async (flight) => {
-    // <<< MODIFIED FOR DEBUGGING: Log the entire flight object >>>
-    // This will print all the data from the database for the flight being checked.
-    console.log('--- Full Flight Data for ID:', flight.flight_id, '---');
-    console.log(flight);
-    console.log('------------------------------------------');
-    
     console.log(`Checking price for flight ID: ${flight.flight_id} (${flight.departure_airport} to ${flight.arrival_airport})`);
 
-    // A flight is considered round-trip if the 'all_dates' JSON array contains more than one date.
-    const isRoundTrip = Array.isArray(flight.all_dates) && flight.all_dates.length > 1;
+    // Search from the stored segments so connections, open-jaw and multi-city trips price correctly
+    const itinerary = await getItinerary(flight);
+    const [outbound, inbound] = itinerary.journeys;
+    const firstSegment = itinerary.segments[0] || {};
+    const isRoundTrip = itinerary.type === ITINERARY_TYPES.ROUND_TRIP;
+    const needsMultiCitySearch = itinerary.type === ITINERARY_TYPES.OPEN_JAW || itinerary.type === ITINERARY_TYPES.MULTI_CITY;
 
     const priceData = await getFlightPrice({
-        departureAirport: flight.departure_airport,
-        arrivalAirport: flight.arrival_airport,
-        departureDate: flight.departure_date,
-        returnDate: isRoundTrip ? flight.all_dates[1] : null, // Use the second date as the return date
-        airline: flight.airline_iata_code, // This column should be populated by the scraper/form
+        departureAirport: outbound ? outbound.origin : flight.departure_airport,
+        arrivalAirport: outbound ? outbound.destination : flight.arrival_airport,
+        departureDate: outbound ? outbound.departureDate : flight.departure_date,
+        returnDate: isRoundTrip ? inbound.departureDate : null,
+        journeys: itinerary.journeys,
+        multiCity: needsMultiCitySearch,
+        airline: firstSegment.carrierCode || flight.airline_iata_code, // This column should be populated by the scraper/form
+        flightNumber: firstSegment.flightNumber || flight.flight_number,
         departureTime: flight.departure_time,
         returnTime: flight.return_time,
-        travelClass: flight.amadeus_travel_class,
+        travelClass: firstSegment.cabin || flight.amadeus_travel_class,
+        // Prices are totals for everyone on the booking, like original_price
+        travelers: getFlightTravelers(flight),
+        provider: flight.fare_provider, // Falls back to FARE_PROVIDER, then Amadeus, when unset
     });
 
-    if (!priceData) {
+    if (priceData.status === PRICE_RESULT.ERROR) {
+        throw new Error(`Fare provider error for flight ID ${flight.flight_id}: ${priceData.error}`);
+    }
+
+    if (priceData.status === PRICE_RESULT.NO_OFFERS) {
         console.log(`No current price found for flight ID: ${flight.flight_id}. Skipping.`);
-        await pool.query('UPDATE flights SET last_checked_at = NOW() WHERE flight_id = $1', [flight.flight_id]);
-        return;
+        await saveObservation(flight, priceData, AVAILABILITY.NO_OFFERS);
+        return priceData.status;
     }
 
-    const { currentPrice } = priceData;
-    const { original_price, last_alerted_price, user_id, flight_id } = flight;
+    const { currentPrice, matchScore } = priceData;
+    const { original_price, user_id, flight_id } = flight;
 
-    let shouldAlert = false;
-    let priceThreshold = 0;
+    // The cheapest offer for a different carrier or flight says nothing about the booked fare
+    if (matchScore < MIN_ALERT_MATCH_SCORE) {
+        console.warn(`Low-confidence offer match for flight ID ${flight_id} (score ${matchScore}, minimum ${MIN_ALERT_MATCH_SCORE}). Skipping alert check.`);
+        await saveObservation(flight, priceData, AVAILABILITY.LOW_CONFIDENCE);
+        return priceData.status;
+    }
 
     // Ensure original_price is a valid number before doing calculations
     if (original_price === null || isNaN(original_price)) {
         console.warn(`Flight ID ${flight_id} has an invalid original price. Skipping alert check.`);
-        await pool.query('UPDATE flights SET last_checked_price = $1, last_checked_at = NOW() WHERE flight_id = $2', [currentPrice, flight_id]);
-        return;
+        await saveObservation(flight, priceData, AVAILABILITY.AVAILABLE);
+        return priceData.status;
     }
 
-    if (last_alerted_price === null) {
-        priceThreshold = original_price * 0.90; // 10% drop from original
-        if (currentPrice < priceThreshold) {
-            shouldAlert = true;
-            console.log(`ALERT TRIGGER (Initial): Flight ${flight_id} dropped from $${original_price} to $${currentPrice}.`);
-        }
-    } else {
-        priceThreshold = last_alerted_price * 0.90; // 10% drop from last alert
-        if (currentPrice < priceThreshold) {
-            shouldAlert = true;
-            console.log(`ALERT TRIGGER (Subsequent): Flight ${flight_id} dropped from $${last_alerted_price} to $${currentPrice}.`);
-        }
-    }
+    const rules = await getActiveRulesForFlight(flight_id);
+    const { triggeredRules, referencePrice, usedPlanDefault } = evaluateAlertRules(flight, currentPrice, rules);
 
-    if (shouldAlert) {
-        const previousPrice = last_alerted_price || original_price;
-        const savingsThisDrop = previousPrice - currentPrice;
+    if (triggeredRules.length > 0) {
+        const ruleNames = triggeredRules.map(rule => rule.alert_type).join(', ');
+        console.log(`ALERT TRIGGER (${usedPlanDefault ? 'plan default' : ruleNames}): Flight ${flight_id} dropped from $${referencePrice} to $${currentPrice}.`);
+        const savingsThisDrop = referencePrice - currentPrice;
         
         await triggerPriceDropAlert({
             flight_id,
             user_id,
             currentPrice,
             savingsThisDrop,
+            priceData,
+            triggeredRules,
             flightDetails: flight, // Pass full flight object for email content
         });
     } else {
-        await pool.query(
-            'UPDATE flights SET last_checked_price = $1, last_checked_at = NOW() WHERE flight_id = $2',
-            [currentPrice, flight_id]
-        );
+        await saveObservation(flight, priceData, AVAILABILITY.AVAILABLE);
         console.log(`No significant price drop for flight ${flight_id}. Current price: $${currentPrice}`);
     }
+    return priceData.status;
+};
+
+/**
+ * Builds the dedupe key for a price drop alert: the same flight, price and triggered
+ * rules always produce the same key, so a retried or overlapping check never re-alerts.
+ * @returns {string} e.g. "price_drop:42:389.40:rules-7,9" or "price_drop:42:389.40:plan-percent_drop".
+ */
+const buildAlertDedupeKey = (flight_id, currentPrice, triggeredRules) => {
+    const ruleIds = triggeredRules.filter(rule => rule.alert_id).map(rule => rule.alert_id).sort((a, b) => a - b);
+    const ruleKey = ruleIds.length > 0
+        ? `rules-${ruleIds.join(',')}`
+        : `plan-${triggeredRules.map(rule => rule.alert_type).join(',')}`;
+    return `price_drop:${flight_id}:${Number(currentPrice).toFixed(2)}:${ruleKey}`;
 };
 
 /**
  * Handles the database updates and notification triggers for a price drop.
+ * The price observation, the savings credit and the queued notifications are written
+ * in one transaction, and the outbox dispatcher delivers them afterwards with retries.
  * @param {object} alertData - Data required to process the alert.
+ * @throws An error if the transaction fails; nothing is written and nothing is queued.
  */
 const triggerPriceDropAlert = async (alertData) => {
-    const { flight_id, user_id, currentPrice, savingsThisDrop, flightDetails } = alertData;
+    const { flight_id, user_id, currentPrice, savingsThisDrop, priceData, triggeredRules, flightDetails } = alertData;
+
+    // Work out what to send before the transaction; none of it depends on the update below
+    const userResult = await pool.query('SELECT email, locale FROM users WHERE user_id = $1', [user_id]);
+    const userEmail = userResult.rows.length > 0 ? userResult.rows[0].email : null;
+    const locale = userResult.rows.length > 0 ? userResult.rows[0].locale : null;
+    const channels = await getEnabledChannels(user_id, userEmail);
+    // The outlook is a nice-to-have; never let it hold up the alert itself
+    const fareTrend = await getFareTrend(flightDetails).catch(error => {
+        console.warn(`Could not compute fare trend for flight ${flight_id}:`, error.message);
+        return null;
+    });
+    const message = notificationService.buildPriceDropMessage({
+        flightDetails: {
+            flightId: flight_id,
+            departureAirport: flightDetails.departure_airport,
+            arrivalAirport: flightDetails.arrival_airport,
+            airline: flightDetails.airline,
+            departureDate: flightDetails.departure_date,
+            departureDateTime: flightDetails.departure_date_time,
+            currency: priceData.currency || flightDetails.currency,
+        },
+        newPrice: currentPrice,
+        savingsThisDrop,
+        fareTrend,
+        locale,
+        userId: user_id,
+    });
+
     const client = await pool.connect();
 
     try {
         await client.query('BEGIN');
 
+        await recordPriceObservation(client, flightDetails, priceData, AVAILABILITY.AVAILABLE);
+
         const flightUpdateQuery = `
             UPDATE flights 
-            SET last_checked_price = $1, last_alerted_price = $1, last_checked_at = NOW() 
+            SET last_alerted_price = $1
             WHERE flight_id = $2
         `;
         await client.query(flightUpdateQuery, [currentPrice, flight_id]);
 
+        // Plan default rules have no price_alerts row to stamp
+        await markRulesTriggered(client, triggeredRules.filter(rule => rule.alert_id).map(rule => rule.alert_id));
+
+        // lifetime_savings mixes currencies; savings_by_currency keeps each one apart for display
         const userUpdateQuery = `
             UPDATE users 
-            SET lifetime_savings = lifetime_savings + $1 
+            SET lifetime_savings = lifetime_savings + $1,
+                savings_by_currency = COALESCE(savings_by_currency, '{}') || jsonb_build_object(
+                    $3::text, COALESCE((savings_by_currency->>$3)::numeric, 0) + $1
+                )
             WHERE user_id = $2
         `;
-        await client.query(userUpdateQuery, [savingsThisDrop, user_id]);
+        await client.query(userUpdateQuery, [savingsThisDrop, user_id, priceData.currency || flightDetails.currency || 'USD']);
+
+        const queued = await enqueueNotifications(client, {
+            userId: user_id,
+            flightId: flight_id,
+            dedupeKey: buildAlertDedupeKey(flight_id, currentPrice, triggeredRules),
+            message,
+            channels,
+        });
 
         await client.query('COMMIT');
-        console.log(`SUCCESS: Database updated for flight ${flight_id} and user ${user_id}. Savings of $${savingsThisDrop.toFixed(2)} added.`);
-
-        const userEmailResult = await pool.query('SELECT email FROM users WHERE user_id = $1', [user_id]);
-        if (userEmailResult.rows.length > 0) {
-            const userEmail = userEmailResult.rows[0].email;
-            await notificationService.sendPriceDropEmail({
-                userEmail,
-                flightDetails: {
-                    departureAirport: flightDetails.departure_airport,
-                    arrivalAirport: flightDetails.arrival_airport,
-                    airline: flightDetails.airline,
-                    departureDate: flightDetails.departure_date,
-                },
-                newPrice: currentPrice,
-                savingsThisDrop,
-            });
-        }
+        console.log(`SUCCESS: Database updated for flight ${flight_id} and user ${user_id}. Savings of $${savingsThisDrop.toFixed(2)} added, ${queued} notifications queued.`);
 
     } catch (error) {
         await client.query('ROLLBACK');
         console.error(`DATABASE ERROR during alert trigger for flight ${flight_id}:`, error);
+        // Fail the check so the flight stays due and the alert is retried next run
+        throw error;
     } finally {
         client.release();
     }
 };
 
 /**
- * The main function to be called by a cron job.
- * It fetches all active, due flights and processes them.
+ * Records the start of a price check run.
+ * @returns {number} The new run_id.
  */
-const processAllDueFlights = async () => {
-    console.log('--- Starting scheduled flight price check process ---');
-    const client = await pool.connect();
+const startRun = async () => {
+    const runnerId = `${os.hostname()}:${process.pid}`;
+    const { rows } = await pool.query(
+        'INSERT INTO price_check_runs (runner_id) VALUES ($1) RETURNING run_id',
+        [runnerId]
+    );
+    console.log(`Started price check run ${rows[0].run_id} on ${runnerId}.`);
+    return rows[0].run_id;
+};
 
-    try {
-        const dueFlightsResult = await client.query(`
-            SELECT f.*, u.subscription_plan 
+/**
+ * Records the outcome of a price check run.
+ * @param {number} runId - The run to close.
+ * @param {object} summary - The run counts.
+ * @param {Array<object>} failures - { flight_id, error } for each flight that failed.
+ * @param {Error|null} runError - The error that aborted the run, if any.
+ */
+const finishRun = async (runId, summary, failures, runError) => {
+    await pool.query(`
+        UPDATE price_check_runs
+        SET status = $2, finished_at = NOW(), flights_claimed = $3, flights_checked = $4,
+            flights_no_offers = $5, flights_failed = $6, failures = $7, error = $8
+        WHERE run_id = $1
+    `, [
+        runId, runError ? 'failed' : 'completed', summary.due, summary.checked,
+        summary.noOffers, summary.failed, JSON.stringify(failures), runError ? runError.message : null,
+    ]);
+};
+
+/**
+ * Atomically leases due flights to a run. Rows locked by a concurrent claim are
+ * skipped, and rows still leased to another run are ignored until the lease expires,
+ * so overlapping runners never check (or alert on) the same flight.
+ * @param {number} runId - The run taking the lease.
+ * @param {object} options - { force } where force also claims flights whose next check isn't due yet.
+ * @returns {Array<object>} The claimed flights, with the owner's subscription_plan.
+ */
+const claimDueFlights = async (runId, { force = false } = {}) => {
+    const { rows } = await pool.query(`
+        WITH claimable AS (
+            SELECT f.flight_id
             FROM flights f
-            JOIN users u ON f.user_id = u.user_id
             WHERE f.is_active = TRUE 
-            AND f.departure_date::date > NOW()
-            -- <<< MODIFIED FOR TESTING: The following line is commented out to ignore the delay >>>
-            -- AND f.next_check_at <= NOW() 
-        `);
+            -- Departure instants are timezone-correct; older rows without one fall back to the stored date
+            AND COALESCE(f.departure_date_time, f.departure_date::date) > NOW()
+            AND ($4 OR f.next_check_at <= NOW())
+            AND (f.lease_expires_at IS NULL OR f.lease_expires_at < NOW())
+            ORDER BY f.next_check_at
+            LIMIT $3
+            FOR UPDATE SKIP LOCKED
+        )
+        UPDATE flights f
+        SET lease_run_id = $1, lease_expires_at = NOW() + make_interval(mins => $2)
+        FROM claimable, users u
+        WHERE f.flight_id = claimable.flight_id AND u.user_id = f.user_id
+        RETURNING f.*, u.subscription_plan
+    `, [runId, PRICE_CHECK_LEASE_MINUTES, PRICE_CHECK_BATCH_SIZE, force]);
+    return rows;
+};
+
+/**
+ * The main function to be called by a cron job.
+ * It leases the active, due flights, checks them with bounded concurrency and
+ * records what happened in price_check_runs.
+ * @param {object} options - { force } where force checks every active flight, due or not,
+ * e.g. when trying out a fare provider.
+ * @returns {object} Counts for the run: { runId, due, checked, noOffers, failed }.
+ */
+const processAllDueFlights = async ({ force = false } = {}) => {
+    console.log('--- Starting scheduled flight price check process ---');
+    const summary = { runId: null, due: 0, checked: 0, noOffers: 0, failed: 0 };
+    const failures = [];
+    let runError = null;
 
-        const dueFlights = dueFlightsResult.rows;
-        console.log(`Found ${dueFlights.length} flights to check (TESTING MODE).`);
+    try {
+        summary.runId = await startRun();
 
-        if (dueFlights.length === 0) {
-            return;
-        }
+        const dueFlights = await claimDueFlights(summary.runId, { force });
+        summary.due = dueFlights.length;
+        console.log(`Claimed ${dueFlights.length} flights to check${force ? ' (forced: next_check_at ignored)' : ''}.`);
 
-        for (const flight of dueFlights) {
+        await runWithConcurrency(dueFlights, PRICE_CHECK_CONCURRENCY, async (flight) => {
             try {
-                await checkFlightPrice(flight);
-                
-                // Use the check_frequency_hours stored with the flight
-                await client.query(
-                    `UPDATE flights SET next_check_at = NOW() + INTERVAL '${flight.check_frequency_hours || 24} hours' WHERE flight_id = $1`,
-                    [flight.flight_id]
+                const status = await checkFlightPrice(flight);
+                if (status === PRICE_RESULT.NO_OFFERS) {
+                    summary.noOffers++;
+                } else {
+                    summary.checked++;
+                }
+
+                // Use the check_frequency_hours stored with the flight, and hand the lease back
+                await pool.query(
+                    `UPDATE flights SET next_check_at = NOW() + INTERVAL '${flight.check_frequency_hours || 24} hours', lease_run_id = NULL, lease_expires_at = NULL WHERE flight_id = $1 AND lease_run_id = $2`,
+                    [flight.flight_id, summary.runId]
                 );
             } catch (error) {
+                // next_check_at is left untouched so the flight is picked up again next run
+                summary.failed++;
+                failures.push({ flight_id: flight.flight_id, error: error.message });
                 console.error(`Failed to process flight ID ${flight.flight_id}. Error:`, error.message);
+                await pool.query(
+                    'UPDATE flights SET lease_run_id = NULL, lease_expires_at = NULL WHERE flight_id = $1 AND lease_run_id = $2',
+                    [flight.flight_id, summary.runId]
+                ).catch(releaseError => console.error(`Failed to release lease on flight ID ${flight.flight_id}:`, releaseError.message));
             }
-        }
+        });
+
+        // Deliver the alerts this run queued (and any retries that have come due)
+        await dispatchOutbox().catch(error => console.error('Notification outbox dispatch failed:', error.message));
 
     } catch (error) {
+        runError = error;
         console.error('CRITICAL ERROR in flight processing job:', error);
     } finally {
-        client.release();
+        if (summary.runId) {
+            await finishRun(summary.runId, summary, failures, runError)
+                .catch(error => console.error(`Failed to record price check run ${summary.runId}:`, error.message));
+        }
+        console.log(`Checked ${summary.checked}, no offers ${summary.noOffers}, failed ${summary.failed} of ${summary.due} due flights.`);
         console.log('--- Finished scheduled flight price check process ---');
     }
+    return summary;
 };
 
 module.exports = {
+    checkFlightPrice,
     processAllDueFlights,
 };
@@ -0,0 +1,182 @@
+const { pool } = require('../database');
+
+// Rows that are real prices for the booked itinerary. NULL covers rows written before
+// availability_status was recorded on every check.
+const PRICED_ROWS_CONDITION = `price IS NOT NULL AND (availability_status IN ('available', 'booked') OR availability_status IS NULL)`;
+
+const INTERVALS = ['raw', 'day'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Builds the WHERE clause shared by the history and summary queries.
+ * @param {number} flightId - The flight to read.
+ * @param {Date|null} from - Inclusive lower bound on checked_at.
+ * @param {Date|null} to - Inclusive upper bound on checked_at.
+ * @returns {object} { whereClause, params }
+ */
+const buildRangeFilter = (flightId, from, to) => {
+    const conditions = ['flight_id = $1', PRICED_ROWS_CONDITION];
+    const params = [flightId];
+    if (from) {
+        params.push(from);
+        conditions.push(`checked_at >= $${params.length}`);
+    }
+    if (to) {
+        params.push(to);
+        conditions.push(`checked_at <= $${params.length}`);
+    }
+    return { whereClause: conditions.join(' AND '), params };
+};
+
+/**
+ * Loads the price series for a flight, either every observation or downsampled to
+ * one point per day with the day's min, max and closing (last observed) price.
+ * @param {number} flightId - The flight to read.
+ * @param {object} options - { from, to, interval } where interval is 'raw' or 'day'.
+ * @returns {Array<object>} The series, oldest first.
+ */
+const getPriceSeries = async (flightId, { from, to, interval }) => {
+    const { whereClause, params } = buildRangeFilter(flightId, from, to);
+
+    if (interval === 'raw') {
+        const { rows } = await pool.query(`
+            SELECT checked_at, price, currency, source, availability_status, fare_class
+            FROM price_history
+            WHERE ${whereClause}
+            ORDER BY checked_at ASC
+        `, params);
+        return rows.map(row => ({ ...row, price: toNumber(row.price) }));
+    }
+
+    const { rows } = await pool.query(`
+        SELECT
+            DATE_TRUNC('day', checked_at) as date,
+            MIN(price) as min_price,
+            MAX(price) as max_price,
+            (ARRAY_AGG(price ORDER BY checked_at DESC))[1] as close_price,
+            COUNT(*) as observations
+        FROM price_history
+        WHERE ${whereClause}
+        GROUP BY DATE_TRUNC('day', checked_at)
+        ORDER BY date ASC
+    `, params);
+
+    return rows.map(row => ({
+        date: row.date,
+        min_price: toNumber(row.min_price),
+        max_price: toNumber(row.max_price),
+        close_price: toNumber(row.close_price),
+        observations: parseInt(row.observations, 10),
+    }));
+};
+
+/**
+ * Summarises how a fare has moved since booking.
+ * @param {object} flight - The flight row (original, lowest and current price, last check).
+ * @returns {object} Original vs lowest vs current price, number of drops and time since last check.
+ */
+const getPriceSummary = async (flight) => {
+    const { rows } = await pool.query(`
+        SELECT
+            COUNT(*) FILTER (WHERE price < previous_price) as number_of_drops,
+            MIN(price) as lowest_observed,
+            COUNT(*) as observations
+        FROM (
+            SELECT price, LAG(price) OVER (ORDER BY checked_at) as previous_price
+            FROM price_history
+            WHERE flight_id = $1 AND ${PRICED_ROWS_CONDITION}
+        ) observed
+    `, [flight.flight_id]);
+
+    const originalPrice = toNumber(flight.original_price);
+    const currentPrice = toNumber(flight.current_price) ?? toNumber(flight.last_checked_price) ?? originalPrice;
+    const lowestPrice = toNumber(flight.lowest_price_seen) ?? toNumber(rows[0].lowest_observed);
+    const lastCheckedAt = flight.last_checked_at ? new Date(flight.last_checked_at) : null;
+
+    return {
+        original_price: originalPrice,
+        lowest_price: lowestPrice,
+        current_price: currentPrice,
+        change_since_booking: originalPrice !== null && currentPrice !== null
+            ? Math.round((currentPrice - originalPrice) * 100) / 100
+            : null,
+        number_of_drops: parseInt(rows[0].number_of_drops, 10),
+        observations: parseInt(rows[0].observations, 10),
+        last_checked_at: lastCheckedAt,
+        seconds_since_last_check: lastCheckedAt ? Math.round((Date.now() - lastCheckedAt.getTime()) / 1000) : null,
+    };
+};
+
+/**
+ * Loads the price history and trend summary for one of a user's trips.
+ * @param {number} flightId - The flight to read.
+ * @param {string} userId - The owner; other users' flights are treated as missing.
+ * @param {object} options - { from, to, interval }
+ * @returns {object|null} { flight_id, currency, interval, points, summary } or null if not found.
+ * @throws An error if the interval or date range is invalid.
+ */
+const getTripPriceHistory = async (flightId, userId, { from, to, interval = 'day' } = {}) => {
+    if (!/^\d+$/.test(String(flightId))) {
+        throw new Error('Invalid flight ID.');
+    }
+    if (!INTERVALS.includes(interval)) {
+        throw new Error(`Invalid interval "${interval}". Use one of: ${INTERVALS.join(', ')}.`);
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        throw new Error('Invalid from/to date. Use ISO 8601 dates, e.g. 2025-06-01.');
+    }
+
+    const flightResult = await pool.query(`
+        SELECT flight_id, currency, original_price, current_price, last_checked_price, lowest_price_seen, last_checked_at
+        FROM flights
+        WHERE flight_id = $1 AND user_id = $2
+    `, [flightId, userId]);
+
+    const flight = flightResult.rows[0];
+    if (!flight) {
+        return null;
+    }
+
+    const [points, summary] = await Promise.all([
+        getPriceSeries(flight.flight_id, { from: fromDate, to: toDate, interval }),
+        getPriceSummary(flight),
+    ]);
+
+    return {
+        flight_id: flight.flight_id,
+        currency: flight.currency || 'USD',
+        interval,
+        from: fromDate,
+        to: toDate,
+        points,
+        summary,
+    };
+};
+
+/**
+ * Looks up what each flight cost at a point in time: its last priced observation at or
+ * before that moment.
+ * @param {Array<number>} flightIds - The flights to read.
+ * @param {Date} at - The moment to look back from.
+ * @returns {Map<number, number>} Flight ID to price; flights not yet checked by then are left out.
+ */
+const getPricesAt = async (flightIds, at) => {
+    if (flightIds.length === 0) {
+        return new Map();
+    }
+    const { rows } = await pool.query(`
+        SELECT DISTINCT ON (flight_id) flight_id, price
+        FROM price_history
+        WHERE flight_id = ANY($1::int[]) AND checked_at <= $2 AND ${PRICED_ROWS_CONDITION}
+        ORDER BY flight_id, checked_at DESC
+    `, [flightIds, at]);
+    return new Map(rows.map(row => [row.flight_id, toNumber(row.price)]));
+};
+
+module.exports = {
+    getTripPriceHistory,
+    getPricesAt,
+};
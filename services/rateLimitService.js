@@ -0,0 +1,165 @@
+const { pool } = require('../database');
+
+// Separate counters for separate kinds of traffic. A request can count against several,
+// e.g. creating a trip uses both the user's API and trip-creation buckets.
+const RATE_LIMIT_BUCKETS = {
+    IP: 'ip', // Every request, by client IP, before anything else runs
+    API: 'api', // Requests from a signed-in user
+    ADMIN: 'admin', // Requests with an admin API key
+    TRIP_CREATE: 'trip_create', // Saving a trip: the booking checks and price monitoring it starts
+    EMAIL_INGEST: 'email_ingest', // Inbound emails, per recipient address
+};
+
+// Requests allowed per window. Signed-in users' limits come from their subscription_plan;
+// plans not listed get the free plan's.
+const RATE_LIMITS = {
+    [RATE_LIMIT_BUCKETS.IP]: { windowMs: 60 * 1000, limit: parseInt(process.env.RATE_LIMIT_IP_PER_MINUTE, 10) || 300 },
+    [RATE_LIMIT_BUCKETS.API]: { windowMs: 60 * 1000, plans: { free: 60, pro: 300, max: 600 } },
+    [RATE_LIMIT_BUCKETS.ADMIN]: { windowMs: 60 * 1000, limit: 600 },
+    [RATE_LIMIT_BUCKETS.TRIP_CREATE]: { windowMs: 60 * 60 * 1000, plans: { free: 10, pro: 60, max: 120 } },
+    [RATE_LIMIT_BUCKETS.EMAIL_INGEST]: { windowMs: 60 * 60 * 1000, limit: 60 },
+};
+const DEFAULT_PLAN = 'free';
+
+// How long a user's plan is cached before it is read again, so upgrades apply within this time.
+const PLAN_CACHE_MS = 60 * 1000;
+const MAX_CACHED_PLANS = 10000;
+// How often expired counters are cleared out.
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Counters kept in this process. Limits are per instance and reset on restart, so this
+ * suits a single server or local development.
+ * @param {object} options - { maxKeys } where maxKeys caps how many counters are kept;
+ * the oldest windows are dropped first.
+ * @returns {object} A store: { increment(key, windowMs) } resolving to { count, resetMs }.
+ */
+const createMemoryStore = ({ maxKeys = 100000 } = {}) => {
+    const counters = new Map();
+    let lastSweep = Date.now();
+
+    const sweep = (now) => {
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+        lastSweep = now;
+    };
+
+    const increment = async (key, windowMs) => {
+        const now = Date.now();
+        if (now - lastSweep >= SWEEP_INTERVAL_MS) sweep(now);
+
+        let counter = counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counters.delete(key);
+            if (counters.size >= maxKeys) sweep(now);
+            // Still full of live windows: drop the oldest (Maps iterate in insertion order)
+            if (counters.size >= maxKeys) counters.delete(counters.keys().next().value);
+            counter = { count: 0, resetAt: now + windowMs };
+            counters.set(key, counter);
+        }
+        counter.count += 1;
+        return { count: counter.count, resetMs: counter.resetAt - now };
+    };
+
+    return { name: 'memory', increment };
+};
+
+/**
+ * Counters in the rate_limit_counters table, shared by every instance and kept across
+ * restarts. Each increment is one atomic upsert.
+ * @param {object} db - The pool (or anything with query()).
+ * @returns {object} A store: { increment(key, windowMs) } resolving to { count, resetMs }.
+ */
+const createPostgresStore = (db = pool) => {
+    let lastSweep = Date.now();
+
+    const increment = async (key, windowMs) => {
+        if (Date.now() - lastSweep >= SWEEP_INTERVAL_MS) {
+            lastSweep = Date.now();
+            db.query('DELETE FROM rate_limit_counters WHERE reset_at <= NOW()')
+                .catch(error => console.error('Failed to clear expired rate limit counters:', error.message));
+        }
+        // Ages are computed in the database so app and database clocks needn't agree
+        const { rows } = await db.query(`
+            INSERT INTO rate_limit_counters (bucket_key, count, reset_at)
+            VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+            ON CONFLICT (bucket_key) DO UPDATE SET
+                count = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN 1 ELSE rate_limit_counters.count + 1 END,
+                reset_at = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_counters.reset_at END
+            RETURNING count, EXTRACT(EPOCH FROM (reset_at - NOW())) * 1000 AS reset_ms
+        `, [key, windowMs]);
+        return { count: rows[0].count, resetMs: Math.max(Math.ceil(Number(rows[0].reset_ms)), 0) };
+    };
+
+    return { name: 'postgres', increment };
+};
+
+// The store in use: RATE_LIMIT_STORE=postgres shares limits across instances.
+let store = process.env.RATE_LIMIT_STORE === 'postgres' ? createPostgresStore() : createMemoryStore();
+const planCache = new Map();
+
+/**
+ * Replaces the counter store, e.g. with one backed by Redis.
+ * @param {object} newStore - An object with an async increment(key, windowMs) method
+ * resolving to { count, resetMs } for the window the key is in.
+ */
+const setRateLimitStore = (newStore) => {
+    if (!newStore || typeof newStore.increment !== 'function') {
+        throw new Error('A rate limit store must implement increment(key, windowMs).');
+    }
+    store = newStore;
+};
+
+/**
+ * Reads a user's subscription plan for their rate limits, cached for PLAN_CACHE_MS.
+ * @param {string} userId - The user.
+ * @returns {Promise<string>} The plan; users not saved yet are on the free plan.
+ */
+const getUserPlan = async (userId) => {
+    const cached = planCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) return cached.plan;
+
+    const { rows } = await pool.query('SELECT subscription_plan FROM users WHERE user_id = $1', [userId]);
+    const plan = (rows[0] && rows[0].subscription_plan) || DEFAULT_PLAN;
+    planCache.delete(userId);
+    if (planCache.size >= MAX_CACHED_PLANS) planCache.delete(planCache.keys().next().value);
+    planCache.set(userId, { plan, expiresAt: Date.now() + PLAN_CACHE_MS });
+    return plan;
+};
+
+/**
+ * Looks up a bucket's limit.
+ * @param {string} bucket - One of RATE_LIMIT_BUCKETS.
+ * @param {string} [plan] - The subscription plan, for plan-based buckets.
+ * @returns {object} { limit, windowMs }
+ * @throws An error if the bucket is unknown.
+ */
+const getRateLimit = (bucket, plan) => {
+    const config = RATE_LIMITS[bucket];
+    if (!config) throw new Error(`Unknown rate limit bucket "${bucket}".`);
+    const limit = config.plans ? config.plans[plan] || config.plans[DEFAULT_PLAN] : config.limit;
+    return { limit, windowMs: config.windowMs };
+};
+
+/**
+ * Counts a request against a bucket.
+ * @param {string} bucket - One of RATE_LIMIT_BUCKETS.
+ * @param {object} subject - { key, plan } where key identifies who is limited, e.g. "user:abc".
+ * @returns {Promise<object>} { allowed, limit, remaining, resetMs, windowMs }
+ */
+const consumeRateLimit = async (bucket, { key, plan }) => {
+    const { limit, windowMs } = getRateLimit(bucket, plan);
+    const { count, resetMs } = await store.increment(`${bucket}:${key}`, windowMs);
+    return { allowed: count <= limit, limit, remaining: Math.max(limit - count, 0), resetMs, windowMs };
+};
+
+module.exports = {
+    RATE_LIMIT_BUCKETS,
+    createMemoryStore,
+    createPostgresStore,
+    setRateLimitStore,
+    getUserPlan,
+    getRateLimit,
+    consumeRateLimit,
+};
@@ -0,0 +1,232 @@
+const { cleanText, parsePrice, readPassenger } = require('./emailParseHelpers');
+const { getAirport } = require('./airportService');
+
+const FLIGHT_RESERVATION = 'FlightReservation';
+
+/**
+ * Reads the @type of a schema.org object, ignoring the vocabulary prefix
+ * ("http://schema.org/FlightReservation" and "FlightReservation" are the same).
+ * @param {object} item - The object.
+ * @returns {Array<string>} Its types.
+ */
+const getTypes = (item) => [].concat(item['@type'] || []).map(type => String(type).split('/').pop());
+
+/**
+ * Collects every object in a JSON-LD document, descending into arrays and @graph.
+ * @param {*} node - The parsed JSON-LD.
+ * @returns {Array<object>} The objects.
+ */
+const flattenJsonLd = (node) => {
+    if (Array.isArray(node)) return node.flatMap(flattenJsonLd);
+    if (!node || typeof node !== 'object') return [];
+    return [node, ...flattenJsonLd(node['@graph'])];
+};
+
+/**
+ * Reads the JSON-LD blocks in an email. Blocks that aren't valid JSON are skipped.
+ * @param {object} $ - The email loaded into cheerio.
+ * @returns {Array<object>} Every object found.
+ */
+const readJsonLd = ($) => $('script[type="application/ld+json"]').map((i, script) => {
+    try {
+        return flattenJsonLd(JSON.parse($(script).html()));
+    } catch (error) {
+        return [];
+    }
+}).get();
+
+/**
+ * Reads a microdata item into a plain object like its JSON-LD equivalent.
+ * @param {object} $ - The email loaded into cheerio.
+ * @param {object} element - An element with itemscope.
+ * @returns {object} The item, with '@type' from itemtype.
+ */
+const readMicrodataItem = ($, element) => {
+    const item = { '@type': $(element).attr('itemtype') || null };
+    $(element).find('[itemprop]').each((i, property) => {
+        const $property = $(property);
+        // Properties of nested items belong to those items
+        if ($property.parent().closest('[itemscope]').get(0) !== element) return;
+        const value = $property.is('[itemscope]')
+            ? readMicrodataItem($, property)
+            : $property.attr('content') || $property.attr('datetime') || $property.attr('href') || cleanText($property.text());
+        const name = $property.attr('itemprop');
+        item[name] = item[name] === undefined ? value : [].concat(item[name], value);
+    });
+    return item;
+};
+
+/**
+ * Finds the FlightReservation items in an email, from JSON-LD or microdata.
+ * @param {object} $ - The email loaded into cheerio.
+ * @returns {Array<object>} The reservations, cancelled ones left out.
+ */
+const findFlightReservations = ($) => {
+    const microdata = $('[itemscope][itemtype]')
+        .filter((i, element) => getTypes({ '@type': $(element).attr('itemtype') }).includes(FLIGHT_RESERVATION))
+        .map((i, element) => readMicrodataItem($, element)).get();
+    return [...readJsonLd($), ...microdata]
+        .filter(item => getTypes(item).includes(FLIGHT_RESERVATION))
+        .filter(item => !String(item.reservationStatus || '').endsWith('ReservationCancelled'));
+};
+
+/**
+ * Splits a schema.org DateTime into the local date and time at an airport. Times with
+ * an offset are already local; UTC ("Z") times are converted with the airport's timezone.
+ * @param {string} value - e.g. "2027-03-14T18:30:00-04:00".
+ * @param {string} airportCode - The airport the time is at.
+ * @returns {object} { date, time }, either null if the value can't be read.
+ */
+const toLocalDateTime = (value, airportCode) => {
+    const text = String(value || '');
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?/);
+    if (!match) return { date: null, time: null };
+
+    const airport = getAirport(airportCode);
+    if (/Z$/i.test(text) && airport && match[2]) {
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone: airport.timezone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+        }).formatToParts(new Date(text));
+        const part = (type) => parts.find(entry => entry.type === type).value;
+        return { date: `${part('year')}-${part('month')}-${part('day')}`, time: `${part('hour')}:${part('minute')}` };
+    }
+    return { date: match[1], time: match[2] || null };
+};
+
+/**
+ * Reads an airport or airline reference, which may be an object or a bare code.
+ * @param {object|string} value - e.g. { iataCode: 'JFK' } or 'JFK'.
+ * @returns {string|null} The IATA code.
+ */
+const getIataCode = (value) => {
+    const code = value && typeof value === 'object' ? value.iataCode : value;
+    return code ? cleanText(code).toUpperCase() : null;
+};
+
+/**
+ * Maps one FlightReservation's flight onto a segment.
+ * @param {object} reservation - The FlightReservation.
+ * @returns {object} The segment.
+ */
+const toSegment = (reservation) => {
+    const flight = reservation.reservationFor || {};
+    const carrierCode = getIataCode(flight.airline);
+    const number = cleanText(flight.flightNumber).toUpperCase();
+    const origin = getIataCode(flight.departureAirport);
+    const destination = getIataCode(flight.arrivalAirport);
+    const departure = toLocalDateTime(flight.departureTime, origin);
+    const arrival = toLocalDateTime(flight.arrivalTime, destination);
+    const ticket = reservation.reservedTicket || {};
+    const seatClass = reservation.airplaneSeatClass || (ticket.ticketedSeat && ticket.ticketedSeat.seatingType);
+
+    return {
+        carrierCode,
+        // flightNumber is sometimes just the digits
+        flightNumber: number ? (carrierCode && /^\d/.test(number) ? `${carrierCode}${number}` : number) : null,
+        origin,
+        destination,
+        departureDate: departure.date,
+        departureTime: departure.time,
+        arrivalDate: arrival.date,
+        arrivalTime: arrival.time,
+        cabin: seatClass ? cleanText(typeof seatClass === 'object' ? seatClass.name : seatClass).toUpperCase() || null : null,
+    };
+};
+
+/**
+ * Reads the booking's price: the first reservation (or its ticket) that carries one.
+ * Reservations on one booking usually repeat the booking total rather than split it.
+ * @param {Array<object>} reservations - The FlightReservations.
+ * @returns {object|null} { amount, currency }
+ */
+const findPrice = (reservations) => {
+    for (const reservation of reservations) {
+        const ticket = reservation.reservedTicket || {};
+        const value = reservation.totalPrice ?? reservation.price ?? ticket.totalPrice ?? ticket.price;
+        if (value === undefined || value === null) continue;
+        const amount = typeof value === 'object' ? value.price ?? value.value : value;
+        const parsed = parsePrice(String(amount));
+        if (!parsed) continue;
+        const currency = reservation.priceCurrency || ticket.priceCurrency || (typeof value === 'object' ? value.priceCurrency : null);
+        return { amount: parsed.amount, currency: currency || parsed.currency };
+    }
+    return null;
+};
+
+/**
+ * Builds one booking from its FlightReservations. Emails with several passengers repeat
+ * each flight once per passenger; those collapse into one segment.
+ * @param {Array<object>} reservations - The reservations sharing a reservation number.
+ * @returns {object} What was extracted, in the shape the layout parsers return.
+ */
+const toBooking = (reservations) => {
+    const segments = [];
+    const seen = new Set();
+    for (const reservation of reservations) {
+        const segment = toSegment(reservation);
+        const key = [segment.flightNumber, segment.origin, segment.departureDate, segment.departureTime].join('|');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        segments.push(segment);
+    }
+    segments.sort((a, b) => `${a.departureDate}T${a.departureTime}`.localeCompare(`${b.departureDate}T${b.departureTime}`));
+
+    const airlines = [...new Set(reservations.map(reservation => {
+        const airline = (reservation.reservationFor || {}).airline;
+        return airline && typeof airline === 'object' ? cleanText(airline.name) : null;
+    }).filter(Boolean))];
+    const passengers = [...new Set(reservations.map(reservation => {
+        const person = reservation.underName;
+        return person && typeof person === 'object' ? cleanText(person.name) : cleanText(person);
+    }).filter(Boolean))];
+    const reservationNumber = reservations.map(reservation => cleanText(reservation.reservationNumber)).find(Boolean);
+    const price = findPrice(reservations);
+
+    return {
+        bookingReference: reservationNumber || null,
+        airline: airlines.length === 1 ? airlines[0] : null,
+        airlineIataCode: [...new Set(segments.map(segment => segment.carrierCode).filter(Boolean))].length === 1
+            ? segments.find(segment => segment.carrierCode).carrierCode
+            : null,
+        segments,
+        totalPrice: price ? price.amount : 0,
+        currency: price && price.currency ? price.currency : 'USD',
+        passengerInfo: passengers.length > 0 ? passengers.join(', ') : null,
+        passengers: passengers.map(readPassenger),
+    };
+};
+
+/**
+ * Parser for schema.org FlightReservation markup, the JSON-LD or microdata Gmail uses
+ * for its trip cards. Works for any airline or agency that embeds it, so it is tried
+ * before the layout-specific parsers. Reservations are grouped into bookings by their
+ * reservation number, so an agency email covering two separately ticketed flights gives
+ * two trips; reservations without a number join the first booking.
+ * Fixtures: fixtures/emails/schema-org.
+ */
+const parse = ($) => {
+    const reservations = findFlightReservations($);
+    const numberOf = (reservation) => cleanText(reservation.reservationNumber).toUpperCase();
+    const firstNumber = reservations.map(numberOf).find(Boolean) || '';
+    const bookings = new Map();
+    for (const reservation of reservations) {
+        const key = numberOf(reservation) || firstNumber;
+        if (!bookings.has(key)) bookings.set(key, []);
+        bookings.get(key).push(reservation);
+    }
+    return [...bookings.values()].map(toBooking);
+};
+
+module.exports = {
+    name: 'schema-org',
+    confidence: 0.95,
+    // Structured data is more reliable than scraping, so it is tried before any layout parser
+    tryFirst: true,
+    detect: {
+        senderDomains: [],
+        subjectPatterns: [],
+        domMarkers: ['script[type="application/ld+json"]', '[itemtype*="FlightReservation"]'],
+    },
+    parse,
+};
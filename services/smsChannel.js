@@ -0,0 +1,63 @@
+const fetch = require('node-fetch');
+
+// Twilio-compatible messaging API. Point SMS_API_BASE_URL at another provider that
+// speaks the same Accounts/{sid}/Messages.json protocol to switch vendors.
+const SMS_API_BASE_URL = process.env.SMS_API_BASE_URL || 'https://api.twilio.com';
+const SMS_MAX_LENGTH = 320; // Two concatenated segments
+const E164_REGEX = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Checks that a destination is an E.164 phone number.
+ * @param {string} destination - The phone number, e.g. "+14155550100".
+ * @throws An error if the number is malformed.
+ */
+const validate = (destination) => {
+    if (!E164_REGEX.test(destination || '')) {
+        throw new Error('Invalid destination: an E.164 phone number (e.g. +14155550100) is required for the sms channel.');
+    }
+};
+
+/**
+ * Shapes a notification as a short text message.
+ * @param {object} message - { summary, text, url }; the one-line summary is preferred.
+ * @returns {object} { body }
+ */
+const format = (message) => {
+    const text = message.summary || message.text;
+    const body = message.url ? `${text} ${message.url}` : text;
+    return { body: body.length > SMS_MAX_LENGTH ? `${body.slice(0, SMS_MAX_LENGTH - 1)}…` : body };
+};
+
+/**
+ * Sends a text message through the messaging API.
+ * @param {string} destination - The recipient's phone number.
+ * @param {object} payload - The result of format().
+ * @throws An error if the provider isn't configured or rejects the message.
+ */
+const send = async (destination, payload) => {
+    const { SMS_ACCOUNT_SID, SMS_AUTH_TOKEN, SMS_FROM_NUMBER } = process.env;
+    if (!SMS_ACCOUNT_SID || !SMS_AUTH_TOKEN || !SMS_FROM_NUMBER) {
+        throw new Error('SMS credentials are not set in environment variables.');
+    }
+
+    const response = await fetch(`${SMS_API_BASE_URL}/2010-04-01/Accounts/${SMS_ACCOUNT_SID}/Messages.json`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Basic ${Buffer.from(`${SMS_ACCOUNT_SID}:${SMS_AUTH_TOKEN}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({ To: destination, From: SMS_FROM_NUMBER, Body: payload.body }).toString(),
+    });
+
+    if (!response.ok) {
+        const details = await response.text().catch(() => '');
+        throw new Error(`SMS send failed: ${response.status} ${response.statusText} - ${details}`);
+    }
+};
+
+module.exports = {
+    name: 'sms',
+    validate,
+    format,
+    send,
+};
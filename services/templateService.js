@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const Handlebars = require('handlebars');
+const { formatLocalDate } = require('./airportService');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const EMAIL_TEMPLATES_DIR = path.join(TEMPLATES_DIR, 'email');
+const LOCALES_DIR = path.join(TEMPLATES_DIR, 'locales');
+// Directories under templates/email that hold shared pieces rather than templates.
+const SHARED_DIRS = ['layouts', 'partials'];
+
+const DEFAULT_LOCALE = 'en-US';
+const DEFAULT_CATALOG = 'en';
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+const handlebars = Handlebars.create();
+const catalogs = new Map();
+const compiledTemplates = new Map();
+let partialsRegistered = false;
+
+/**
+ * Loads a locale's message catalog (templates/locales/<name>.json), once per process.
+ * @param {string} name - The catalog name, e.g. 'en' or 'es'.
+ * @returns {object|null} Message key to string, or null if there is no such catalog.
+ */
+const loadCatalog = (name) => {
+    if (!catalogs.has(name)) {
+        const catalogPath = path.join(LOCALES_DIR, `${name}.json`);
+        catalogs.set(name, fs.existsSync(catalogPath) ? JSON.parse(fs.readFileSync(catalogPath, 'utf8')) : null);
+    }
+    return catalogs.get(name);
+};
+
+/**
+ * Checks and canonicalises a locale a user picked, e.g. 'pt-br' becomes 'pt-BR'.
+ * @param {string} locale - A BCP 47 locale.
+ * @returns {string} The canonical locale.
+ * @throws An error if the locale is missing or malformed.
+ */
+const normalizeLocale = (locale) => {
+    if (!locale || typeof locale !== 'string') {
+        throw new Error('Locale is required.');
+    }
+    try {
+        return Intl.getCanonicalLocales(locale.trim())[0];
+    } catch (error) {
+        throw new Error(`Invalid locale "${locale}".`);
+    }
+};
+
+/**
+ * Resolves a user's locale to a formatting locale and the closest message catalog:
+ * 'es-MX' uses an es-MX catalog if there is one, then es, then English.
+ * @param {string|null} locale - A BCP 47 locale such as 'en-GB'.
+ * @returns {object} { locale, catalogName }
+ */
+const resolveLocale = (locale) => {
+    let formattingLocale = DEFAULT_LOCALE;
+    try {
+        formattingLocale = locale ? Intl.getCanonicalLocales(locale)[0] : DEFAULT_LOCALE;
+    } catch (error) {
+        console.warn(`Unsupported locale "${locale}". Falling back to ${DEFAULT_LOCALE}.`);
+    }
+    const catalogName = [formattingLocale, formattingLocale.split('-')[0]].find(name => loadCatalog(name)) || DEFAULT_CATALOG;
+    return { locale: formattingLocale, catalogName };
+};
+
+/**
+ * Looks up a message and fills its {placeholders}. Missing keys fall back to English,
+ * then to the key itself so a gap is visible instead of blank.
+ * @param {string} catalogName - The catalog to read.
+ * @param {string} key - The message key, e.g. 'priceDrop.subject'.
+ * @param {object} params - Placeholder values.
+ * @param {Function} escape - Applied to each value before it's substituted.
+ * @returns {string} The message.
+ */
+const translateWith = (catalogName, key, params = {}, escape = value => value) => {
+    const message = (loadCatalog(catalogName) || {})[key] ?? loadCatalog(DEFAULT_CATALOG)[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : escape(String(params[name]))));
+};
+
+/**
+ * Translates a message outside a template, e.g. for SMS and push text.
+ * @param {string} locale - The user's locale.
+ * @param {string} key - The message key.
+ * @param {object} params - Placeholder values.
+ * @returns {string} The plain-text message.
+ */
+const translate = (locale, key, params) => translateWith(resolveLocale(locale).catalogName, key, params);
+
+/**
+ * Formats an amount in a currency for a locale, e.g. "$319.80" or "319,80 €".
+ * @param {number} amount - The amount.
+ * @param {string} currency - An ISO 4217 code; defaults to USD.
+ * @param {string} locale - The formatting locale.
+ * @returns {string} The formatted amount.
+ */
+const formatCurrency = (amount, currency, locale = DEFAULT_LOCALE) => {
+    const value = Number(amount);
+    try {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: currency || 'USD' }).format(value);
+    } catch (error) {
+        // Unknown currency code: show the code rather than a wrong symbol
+        return `${currency} ${value.toFixed(2)}`;
+    }
+};
+
+handlebars.registerHelper('t', function (key, options) {
+    const { catalogName } = options.data.root;
+    return new Handlebars.SafeString(translateWith(catalogName, key, options.hash, Handlebars.escapeExpression));
+});
+handlebars.registerHelper('formatCurrency', function (amount, currency, options) {
+    return formatCurrency(amount, currency, options.data.root.locale);
+});
+handlebars.registerHelper('formatDate', function (flightDetails, options) {
+    return formatLocalDate(flightDetails || {}, options.data.root.locale);
+});
+handlebars.registerHelper('formatPercent', function (ratio, options) {
+    return new Intl.NumberFormat(options.data.root.locale, { style: 'percent', maximumFractionDigits: 0 }).format(Number(ratio) || 0);
+});
+handlebars.registerHelper('concat', (...args) => args.slice(0, -1).join(''));
+
+/**
+ * Registers every file in templates/email/layouts and templates/email/partials as a
+ * partial, named by its path: 'layouts/main', 'footer', and so on.
+ */
+const registerPartials = () => {
+    if (partialsRegistered) return;
+    for (const dir of SHARED_DIRS) {
+        const dirPath = path.join(EMAIL_TEMPLATES_DIR, dir);
+        for (const file of fs.readdirSync(dirPath).filter(name => name.endsWith('.hbs'))) {
+            const name = path.basename(file, '.hbs');
+            handlebars.registerPartial(dir === 'partials' ? name : `${dir}/${name}`, fs.readFileSync(path.join(dirPath, file), 'utf8'));
+        }
+    }
+    partialsRegistered = true;
+};
+
+/**
+ * @returns {Array<string>} The names of the available email templates.
+ */
+const listTemplates = () => fs.readdirSync(EMAIL_TEMPLATES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !SHARED_DIRS.includes(entry.name))
+    .map(entry => entry.name);
+
+/**
+ * Compiles a template's parts once per process.
+ * @param {string} name - The template name (its directory under templates/email).
+ * @returns {object} { subject, html, text } compiled functions; text is null when the
+ *   plain-text part is derived from the HTML.
+ * @throws An error if the template doesn't exist.
+ */
+const getCompiledTemplate = (name) => {
+    if (compiledTemplates.has(name)) {
+        return compiledTemplates.get(name);
+    }
+    if (!listTemplates().includes(name)) {
+        throw new Error(`Template "${name}" not found. Available templates: ${listTemplates().join(', ')}.`);
+    }
+    registerPartials();
+    const templateDir = path.join(EMAIL_TEMPLATES_DIR, name);
+    const read = (file) => fs.readFileSync(path.join(templateDir, file), 'utf8');
+    const compiled = {
+        subject: handlebars.compile(read('subject.hbs').trim()),
+        html: handlebars.compile(read('html.hbs')),
+        text: fs.existsSync(path.join(templateDir, 'text.hbs')) ? handlebars.compile(read('text.hbs'), { noEscape: true }) : null,
+    };
+    compiledTemplates.set(name, compiled);
+    return compiled;
+};
+
+/**
+ * Converts rendered HTML into a readable plain-text alternative: block elements become
+ * lines, links keep their URL, and styles and markup are dropped.
+ * @param {string} html - The rendered HTML.
+ * @returns {string} The text.
+ */
+const htmlToText = (html) => {
+    const $ = cheerio.load(html);
+    $('head, style, script').remove();
+    $('a').each((i, link) => {
+        const href = $(link).attr('href');
+        const label = $(link).text().trim();
+        if (href && href !== label) {
+            $(link).text(`${label} (${href})`);
+        }
+    });
+    $('br').replaceWith('\n');
+    $('p, div, h1, h2, h3, h4, li, tr').each((i, element) => {
+        $(element).prepend('\n').append('\n');
+    });
+    return $('body').text()
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
+
+/**
+ * Renders an email template for a locale.
+ * @param {string} name - The template name, e.g. 'priceDrop'.
+ * @param {object} data - The template's data (see templates/email/<name>/sample.json).
+ * @param {object} options - { locale }
+ * @returns {object} { subject, html, text }
+ * @throws An error if the template doesn't exist.
+ */
+const renderEmail = (name, data, { locale } = {}) => {
+    const template = getCompiledTemplate(name);
+    const resolved = resolveLocale(locale);
+    const context = { ...data, ...resolved, clientUrl: CLIENT_URL, year: new Date().getFullYear() };
+
+    // The subject is plain text, so undo the HTML escaping applied while rendering it
+    const subject = cheerio.load(template.subject(context), null, false).text();
+    const html = template.html({ ...context, subject });
+    const text = template.text ? template.text({ ...context, subject }) : htmlToText(html);
+    return { subject, html, text };
+};
+
+/**
+ * Loads a template's sample data for previews.
+ * @param {string} name - The template name.
+ * @returns {object} The sample data, or an empty object if the template has none.
+ * @throws An error if the template doesn't exist.
+ */
+const getSampleData = (name) => {
+    getCompiledTemplate(name);
+    const samplePath = path.join(EMAIL_TEMPLATES_DIR, name, 'sample.json');
+    return fs.existsSync(samplePath) ? JSON.parse(fs.readFileSync(samplePath, 'utf8')) : {};
+};
+
+module.exports = {
+    normalizeLocale,
+    listTemplates,
+    renderEmail,
+    getSampleData,
+    translate,
+    formatCurrency,
+    htmlToText,
+};
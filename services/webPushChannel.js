@@ -0,0 +1,111 @@
+const webpush = require('web-push');
+const { publicHttpsAgent } = require('./outboundUrlService');
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+// Hosts browsers' push services hand out subscription endpoints on. Endpoints anywhere else
+// are refused, so a made-up subscription can't point deliveries at an arbitrary server.
+const PUSH_SERVICE_HOSTS = [
+    'fcm.googleapis.com',
+    'updates.push.services.mozilla.com',
+    'web.push.apple.com',
+    /\.notify\.windows\.com$/,
+];
+
+let vapidConfigured = false;
+
+/**
+ * Applies the VAPID keys once, on first send.
+ * @throws An error if the keys aren't set.
+ */
+const configureVapid = () => {
+    if (vapidConfigured) return;
+    const { VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+        throw new Error('VAPID keys are not set in environment variables.');
+    }
+    webpush.setVapidDetails(VAPID_SUBJECT || 'mailto:alerts@fareaware.com', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+    vapidConfigured = true;
+};
+
+/**
+ * Checks whether an endpoint is an https URL on a known push service.
+ * @param {string} destination - The subscription endpoint.
+ * @returns {boolean} True if deliveries may be sent to it.
+ */
+const isPushServiceEndpoint = (destination) => {
+    let url;
+    try {
+        url = new URL(destination);
+    } catch (error) {
+        return false;
+    }
+    if (url.protocol !== 'https:' || url.username || url.password || url.port) return false;
+    return PUSH_SERVICE_HOSTS.some(host => (typeof host === 'string' ? url.hostname === host : host.test(url.hostname)));
+};
+
+/**
+ * Checks that a destination is a push service endpoint with its subscription keys.
+ * @param {string} destination - The PushSubscription endpoint URL.
+ * @param {object} config - { keys: { p256dh, auth } } from the browser's PushSubscription.
+ * @throws An error if the subscription is incomplete or its endpoint isn't on a known push service.
+ */
+const validate = (destination, config = {}) => {
+    if (!isPushServiceEndpoint(destination)) {
+        throw new Error('Invalid destination: an https endpoint from a browser push service is required for the web_push channel.');
+    }
+    if (!config.keys || !config.keys.p256dh || !config.keys.auth) {
+        throw new Error('Invalid config: keys.p256dh and keys.auth from the push subscription are required for the web_push channel.');
+    }
+};
+
+/**
+ * Shapes a notification for the service worker to display.
+ * @param {object} message - { title, summary, text, url, data }; the one-line summary is preferred.
+ * @returns {object} { title, body, url, data }
+ */
+const format = (message) => ({
+    title: message.title,
+    body: message.summary || message.text,
+    url: message.url,
+    data: message.data,
+});
+
+/**
+ * Sends a web push notification.
+ * @param {string} destination - The subscription endpoint.
+ * @param {object} payload - The result of format().
+ * @param {object} config - { keys: { p256dh, auth } }
+ * @throws An error, with `expired` set when the browser has unsubscribed. Errors only describe the
+ * outcome, since they're shown to the user as the channel's last_error.
+ */
+const send = async (destination, payload, config) => {
+    if (!isPushServiceEndpoint(destination)) {
+        throw new Error('Push delivery blocked: the endpoint is not on a known push service.');
+    }
+    configureVapid();
+    try {
+        await webpush.sendNotification(
+            { endpoint: destination, keys: config.keys },
+            JSON.stringify(payload),
+            { TTL: PUSH_TTL_SECONDS, agent: publicHttpsAgent }
+        );
+    } catch (error) {
+        if (!error.statusCode) {
+            console.error(`Push request to ${destination} failed:`, error.message);
+            throw new Error('Push delivery failed: the push service could not be reached.');
+        }
+        const pushError = new Error(`Push delivery failed: the push service answered HTTP ${error.statusCode}.`);
+        // 404/410 mean the subscription is gone for good
+        if (error.statusCode === 404 || error.statusCode === 410) {
+            pushError.expired = true;
+        }
+        throw pushError;
+    }
+};
+
+module.exports = {
+    name: 'web_push',
+    validate,
+    format,
+    send,
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { assertPublicHttpsUrl, publicHttpsAgent } = require('./outboundUrlService');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Checks that a destination is an https URL on a public host.
+ * @param {string} destination - The webhook URL.
+ * @throws An error if the URL is malformed or points at a private or reserved address.
+ */
+const validate = async (destination) => {
+    await assertPublicHttpsUrl(destination, 'webhook URL');
+};
+
+/**
+ * Shapes a notification as a JSON event.
+ * @param {object} message - { type, data }
+ * @returns {object} { event, sent_at, data }
+ */
+const format = (message) => ({
+    event: message.type,
+    sent_at: new Date().toISOString(),
+    data: message.data,
+});
+
+/**
+ * Posts the event to the user's URL. When the channel has a secret, the body is
+ * signed with HMAC-SHA256 in the X-FareAware-Signature header so receivers can verify it.
+ * @param {string} destination - The webhook URL.
+ * @param {object} payload - The result of format().
+ * @param {object} config - { secret }
+ * @throws An error if the URL is no longer public or the receiver doesn't answer with a 2xx status.
+ * Errors only describe the outcome, since they're shown to the user as the channel's last_error.
+ */
+const send = async (destination, payload, config = {}) => {
+    // Checked again on every send: the host's DNS may have changed since the URL was saved
+    try {
+        await assertPublicHttpsUrl(destination, 'webhook URL');
+    } catch (error) {
+        throw new Error('Webhook delivery blocked: the URL no longer resolves to a public https address.');
+    }
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'FareAware-Webhooks/1.0' };
+    if (config.secret) {
+        headers['X-FareAware-Signature'] = `sha256=${crypto.createHmac('sha256', config.secret).update(body).digest('hex')}`;
+    }
+
+    let response;
+    try {
+        // Redirects aren't followed, so a public URL can't bounce the request somewhere internal
+        response = await fetch(destination, {
+            method: 'POST', headers, body, timeout: WEBHOOK_TIMEOUT_MS, redirect: 'manual', agent: publicHttpsAgent,
+        });
+    } catch (error) {
+        console.error(`Webhook request to ${destination} failed:`, error.message);
+        throw new Error('Webhook delivery failed: the receiver could not be reached.');
+    }
+    if (!response.ok) {
+        throw new Error(`Webhook delivery failed: the receiver answered HTTP ${response.status}.`);
+    }
+};
+
+module.exports = {
+    name: 'webhook',
+    validate,
+    format,
+    send,
+};
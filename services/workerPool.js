@@ -0,0 +1,91 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a token-bucket limiter. Each take() waits until a token is available, so
+ * callers are spread out to at most `ratePerSecond` on average with bursts up to `capacity`.
+ * @param {object} options - { ratePerSecond, capacity }
+ * @returns {object} { take } where take() resolves once a token has been consumed.
+ */
+const createTokenBucket = ({ ratePerSecond, capacity = ratePerSecond }) => {
+    let tokens = capacity;
+    let lastRefill = Date.now();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+        lastRefill = now;
+    };
+
+    const take = async () => {
+        for (;;) {
+            refill();
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+        }
+    };
+
+    return { take };
+};
+
+/**
+ * Runs an async function, retrying with exponential backoff and jitter while
+ * shouldRetry(error) says the failure is transient. A `retryAfterMs` on the error
+ * (e.g. from a Retry-After header) is honoured when it is longer than the backoff.
+ * @param {Function} fn - The async function to run. Receives the attempt number (1-based).
+ * @param {object} options - { retries, baseDelayMs, maxDelayMs, shouldRetry }
+ * @returns {Promise<*>} Whatever fn resolves to.
+ * @throws The last error once retries are exhausted or the error is not retryable.
+ */
+const retryWithBackoff = async (fn, { retries = 3, baseDelayMs = 500, maxDelayMs = 10000, shouldRetry = () => true } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt > retries || !shouldRetry(error)) {
+                throw error;
+            }
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+            const delay = Math.max(backoff * (0.5 + Math.random() / 2), error.retryAfterMs || 0);
+            console.warn(`Attempt ${attempt} failed (${error.message}). Retrying in ${Math.round(delay)}ms...`);
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Processes items with at most `concurrency` workers in flight at once.
+ * A failing item never stops the others.
+ * @param {Array<*>} items - The items to process.
+ * @param {number} concurrency - Maximum number of concurrent workers.
+ * @param {Function} worker - Async function called with (item, index).
+ * @returns {Promise<Array<object>>} Settled results in item order, shaped like Promise.allSettled().
+ */
+const runWithConcurrency = async (items, concurrency, worker) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+            }
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runNext));
+    return results;
+};
+
+module.exports = {
+    sleep,
+    createTokenBucket,
+    retryWithBackoff,
+    runWithConcurrency,
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ALERT_TYPES, evaluateAlertRules } = require('../services/alertRuleService');
+
+const flight = { original_price: '400.00', last_alerted_price: null, lowest_price_seen: '380.00', subscription_plan: 'free' };
+const rule = (fields) => ({ alert_id: 1, cooldown_hours: 24, last_triggered: null, ...fields });
+
+test('falls back to the plan default rule when the flight has none', () => {
+    assert.deepEqual(evaluateAlertRules(flight, 370, []).triggeredRules, []);
+
+    const result = evaluateAlertRules(flight, 350, []);
+    assert.equal(result.usedPlanDefault, true);
+    assert.equal(result.referencePrice, 400);
+    assert.deepEqual(result.triggeredRules, [{ alert_type: ALERT_TYPES.PERCENT_DROP, threshold_percent: 10 }]);
+
+    // Max plan users are alerted on smaller drops
+    assert.equal(evaluateAlertRules({ ...flight, subscription_plan: 'max' }, 375, []).triggeredRules.length, 1);
+});
+
+test('measures drops from the last alerted price', () => {
+    const alerted = { ...flight, last_alerted_price: '300.00' };
+    const result = evaluateAlertRules(alerted, 290, [rule({ alert_type: ALERT_TYPES.AMOUNT_DROP, threshold_price: '20' })]);
+    assert.equal(result.referencePrice, 300);
+    assert.deepEqual(result.triggeredRules, []);
+    assert.equal(evaluateAlertRules(alerted, 280, [rule({ alert_type: ALERT_TYPES.AMOUNT_DROP, threshold_price: '20' })]).triggeredRules.length, 1);
+});
+
+test('never fires for a fare that is not below the reference price', () => {
+    const target = rule({ alert_type: ALERT_TYPES.TARGET_PRICE, threshold_price: '500' });
+    assert.deepEqual(evaluateAlertRules(flight, 400, [target]).triggeredRules, []);
+    assert.deepEqual(evaluateAlertRules(flight, 450, [target]).triggeredRules, []);
+    assert.deepEqual(evaluateAlertRules(flight, 399, [target]).triggeredRules, [target]);
+});
+
+test('checks each rule type', () => {
+    const rules = [
+        rule({ alert_id: 1, alert_type: ALERT_TYPES.TARGET_PRICE, threshold_price: '360' }),
+        rule({ alert_id: 2, alert_type: ALERT_TYPES.PERCENT_DROP, threshold_percent: '5' }),
+        rule({ alert_id: 3, alert_type: ALERT_TYPES.AMOUNT_DROP, threshold_price: '50' }),
+        rule({ alert_id: 4, alert_type: ALERT_TYPES.BELOW_LOWEST }),
+    ];
+    const fired = (price) => evaluateAlertRules(flight, price, rules).triggeredRules.map(({ alert_id: id }) => id);
+    assert.deepEqual(fired(379), [2, 4]);
+    assert.deepEqual(fired(350), [1, 2, 3, 4]);
+    assert.deepEqual(fired(385), []);
+});
+
+test('skips rules that are still cooling down', () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const cooling = rule({ alert_type: ALERT_TYPES.BELOW_LOWEST, last_triggered: hoursAgo(2) });
+    const cooled = rule({ alert_type: ALERT_TYPES.BELOW_LOWEST, last_triggered: hoursAgo(2), cooldown_hours: 1 });
+    assert.deepEqual(evaluateAlertRules(flight, 370, [cooling, cooled]).triggeredRules, [cooled]);
+});
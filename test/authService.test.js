@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// authService reads its configuration when it is loaded, so the key set is written first
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fareaware-auth-test-'));
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+fs.writeFileSync(path.join(keyDir, 'jwks.json'), JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-1', alg: 'RS256', use: 'sig' }],
+}));
+Object.assign(process.env, { AUTH_JWKS_FILE: path.join(keyDir, 'jwks.json'), AUTH_ISSUER: 'https://issuer.test', AUTH_AUDIENCE: 'fareaware-test' });
+const { verifyIdToken, authenticateToken } = require('../services/authService');
+
+test.after(() => fs.rmSync(keyDir, { recursive: true, force: true }));
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = Math.floor(Date.now() / 1000);
+const validClaims = { iss: 'https://issuer.test', aud: 'fareaware-test', sub: 'user-1', iat: now, exp: now + 600 };
+
+const sign = (claims, { header = { alg: 'RS256', kid: 'test-1' }, key = privateKey } = {}) => {
+    const signingInput = `${encode(header)}.${encode(claims)}`;
+    return `${signingInput}.${crypto.sign('RSA-SHA256', Buffer.from(signingInput), key).toString('base64url')}`;
+};
+
+const rejects = (token, message) => assert.rejects(verifyIdToken(token), (error) => {
+    assert.equal(error.status, 401);
+    assert.match(error.message, message);
+    return true;
+});
+
+test('accepts a token signed by a trusted key', async () => {
+    const user = await authenticateToken(sign({ ...validClaims, email: 'jane@example.com', email_verified: true }));
+    assert.deepEqual(user, { userId: 'user-1', email: 'jane@example.com', emailVerified: true });
+    assert.deepEqual(await authenticateToken(sign(validClaims)), { userId: 'user-1', email: null, emailVerified: false });
+});
+
+test('rejects tokens with a bad signature or key', async () => {
+    await rejects('not-a-token', /malformed/);
+    await rejects(sign(validClaims, { key: otherKey }), /bad signature/);
+    await rejects(sign(validClaims, { header: { alg: 'RS256', kid: 'unknown' } }), /unknown signing key/);
+    await rejects(sign(validClaims, { header: { alg: 'none', kid: 'test-1' } }), /unsupported signing algorithm/);
+
+    const [header, , signature] = sign(validClaims).split('.');
+    await rejects(`${header}.${encode({ ...validClaims, sub: 'user-2' })}.${signature}`, /bad signature/);
+});
+
+test('rejects tokens outside their lifetime', async () => {
+    await rejects(sign({ ...validClaims, exp: now - 120 }), /expired/);
+    await rejects(sign({ ...validClaims, exp: undefined }), /expired/);
+    await rejects(sign({ ...validClaims, iat: now + 600 }), /issued in the future/);
+    // Small clock differences are tolerated
+    assert.equal((await verifyIdToken(sign({ ...validClaims, exp: now - 30 }))).sub, 'user-1');
+});
+
+test('rejects tokens issued for someone else', async () => {
+    await rejects(sign({ ...validClaims, iss: 'https://other.test' }), /wrong issuer/);
+    await rejects(sign({ ...validClaims, aud: 'other-app' }), /wrong audience/);
+    await rejects(sign({ ...validClaims, sub: '' }), /no user/);
+    assert.equal((await verifyIdToken(sign({ ...validClaims, aud: ['other-app', 'fareaware-test'] }))).sub, 'user-1');
+});
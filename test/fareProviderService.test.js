@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The mock provider reads its fixture file on first use
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fareaware-fares-test-'));
+const offer = (carrier, number, total) => ({
+    price: { currency: 'USD', total },
+    itineraries: [{ segments: [{ carrierCode: carrier, number, departure: { iataCode: 'SFO', at: '2027-05-01T09:00:00' } }] }],
+    travelerPricings: [{ fareDetailsBySegment: [{ cabin: 'ECONOMY' }] }],
+});
+fs.writeFileSync(path.join(fixtureDir, 'fares.json'), JSON.stringify({
+    routes: [{
+        departureAirport: 'SFO',
+        arrivalAirport: 'ORD',
+        responses: [[offer('UA', '100', '300.00')], [offer('AA', '9', '150.00')], { errorStatus: 400 }],
+    }],
+}));
+process.env.MOCK_FARE_FIXTURES = path.join(fixtureDir, 'fares.json');
+
+const { pool } = require('../database');
+const { PRICE_RESULT, registerFareProvider, getFareProvider, resolveProviderName, getFlightPrice } = require('../services/fareProviderService');
+const { checkFlightPrice } = require('../services/priceCheckService');
+
+test.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+test('registers providers and picks one per flight, then per environment', async () => {
+    assert.throws(() => registerFareProvider('broken', {}), /must implement getFlightPrice/);
+    assert.throws(() => getFareProvider('nope'), /Unknown fare provider "nope"/);
+
+    const searches = [];
+    registerFareProvider('stub', { getFlightPrice: async (details) => { searches.push(details); return { status: PRICE_RESULT.NO_OFFERS }; } });
+    assert.deepEqual(await getFlightPrice({ provider: 'stub', departureAirport: 'JFK' }), { source: 'stub', status: PRICE_RESULT.NO_OFFERS });
+    assert.equal(searches[0].departureAirport, 'JFK');
+
+    delete process.env.FARE_PROVIDER;
+    assert.equal(resolveProviderName(null), 'amadeus');
+    process.env.FARE_PROVIDER = 'mock';
+    assert.equal(resolveProviderName(null), 'mock');
+    assert.equal(resolveProviderName('stub'), 'stub');
+});
+
+test('turns provider failures into error results', async () => {
+    let calls = 0;
+    registerFareProvider('failing', {
+        getFlightPrice: async () => {
+            calls++;
+            throw Object.assign(new Error('bad request'), { retryable: false });
+        },
+    });
+    assert.deepEqual(await getFlightPrice({ provider: 'failing' }), { status: PRICE_RESULT.ERROR, source: 'failing', error: 'bad request', retryable: false });
+    assert.equal(calls, 1);
+});
+
+test('replays mock fixtures through a price check', async (t) => {
+    // Stand in for the database: no stored segments, and record what the check writes
+    const writes = [];
+    const query = async (sql, params) => {
+        if (/price_history|UPDATE flights/.test(sql)) writes.push({ sql, params });
+        return { rows: [], rowCount: 0 };
+    };
+    t.mock.method(pool, 'query', query);
+    t.mock.method(pool, 'connect', async () => ({ query, release: () => {} }));
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    const flight = {
+        flight_id: 7, user_id: 'user-1', fare_provider: 'mock', departure_airport: 'SFO', arrival_airport: 'ORD',
+        departure_date: '2027-05-01', departure_time: '09:00', airline_iata_code: 'UA', flight_number: 'UA100',
+        original_price: '310.00', currency: 'USD', subscription_plan: 'free',
+    };
+    const observations = () => writes.filter(write => write.sql.includes('price_history')).map(write => [write.params[1], write.params[4]]);
+
+    // First replay: the booked flight, a little cheaper but not enough to alert
+    assert.equal(await checkFlightPrice(flight), PRICE_RESULT.OK);
+    assert.deepEqual(observations(), [[300, 'available']]);
+    assert.ok(writes.some(write => write.sql.includes('current_price') && write.params[0] === 300));
+
+    // Second replay: only another airline's flight, which mustn't count as the booked fare
+    writes.length = 0;
+    assert.equal(await checkFlightPrice(flight), PRICE_RESULT.OK);
+    assert.deepEqual(observations(), [[150, 'low_confidence_match']]);
+    assert.ok(!writes.some(write => write.sql.includes('current_price')));
+
+    // Third replay: a provider failure leaves the flight due
+    writes.length = 0;
+    await assert.rejects(checkFlightPrice(flight), /Fare provider error for flight ID 7/);
+    assert.deepEqual(writes, []);
+});
@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRetryDelaySeconds } = require('../services/notificationOutboxService');
+
+test('retry delays double from a minute up to six hours', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(getRetryDelaySeconds), [60, 120, 240, 480, 960]);
+    assert.equal(getRetryDelaySeconds(9), 15360);
+    assert.equal(getRetryDelaySeconds(10), 6 * 60 * 60);
+    assert.equal(getRetryDelaySeconds(20), 6 * 60 * 60);
+});
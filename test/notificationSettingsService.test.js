@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The signing secret is read when the module is loaded
+process.env.UNSUBSCRIBE_TOKEN_SECRET = 'test-unsubscribe-secret';
+const { createUnsubscribeToken, verifyUnsubscribeToken, buildUnsubscribeUrl } = require('../services/notificationSettingsService');
+
+test('unsubscribe tokens round-trip', () => {
+    const token = createUnsubscribeToken('user-1', 'price_drop');
+    assert.deepEqual(verifyUnsubscribeToken(token), { userId: 'user-1', type: 'price_drop' });
+    assert.match(buildUnsubscribeUrl('user-1', 'all'), /\/api\/unsubscribe\?token=/);
+});
+
+test('unsubscribe tokens can\'t be forged or retargeted', () => {
+    const [payload, signature] = createUnsubscribeToken('user-1', 'price_drop').split('.');
+    const otherPayload = Buffer.from(JSON.stringify({ u: 'user-2', t: 'all' })).toString('base64url');
+
+    for (const token of [`${otherPayload}.${signature}`, `${payload}.${signature.slice(0, -2)}`, payload, '', undefined]) {
+        assert.throws(() => verifyUnsubscribeToken(token), /Invalid unsubscribe token/);
+    }
+});
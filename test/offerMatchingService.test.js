@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreOffer, matchOffer, parseFlightNumber } = require('../services/offerMatchingService');
+
+// A minimal Amadeus-shaped offer: one itinerary per journey, flown and sold by `carrier`.
+const buildOffer = ({ carrier = 'DL', journeys, cabin = 'ECONOMY', validatingCarrier = carrier }) => ({
+    validatingAirlineCodes: [validatingCarrier],
+    itineraries: journeys.map(segments => ({
+        segments: segments.map(([number, at]) => ({ carrierCode: carrier, number, departure: { at } })),
+    })),
+    travelerPricings: [{ fareDetailsBySegment: [{ cabin }] }],
+});
+
+test('parses stored flight numbers', () => {
+    assert.deepEqual(parseFlightNumber('DL 0423'), { carrier: 'DL', number: '423' });
+    assert.deepEqual(parseFlightNumber('423'), { carrier: null, number: '423' });
+    assert.equal(parseFlightNumber(''), null);
+});
+
+test('scores an exact match 1', () => {
+    const offer = buildOffer({ journeys: [[['423', '2027-03-14T08:00:00']], [['424', '2027-03-21T18:00:00']]] });
+    const { score, breakdown } = scoreOffer(offer, {
+        airline: 'DL', flightNumber: 'DL423', travelClass: 'economy', departureTime: '08:00', returnTime: '18:00',
+    });
+    assert.equal(score, 1);
+    assert.deepEqual(breakdown, { carrier: 1, flightNumber: 1, cabin: 1, outboundTime: 1, returnTime: 1 });
+});
+
+test('only weighs the criteria that are known', () => {
+    const offer = buildOffer({ journeys: [[['100', '2027-03-14T11:00:00']]] });
+    const { score, breakdown } = scoreOffer(offer, { airline: 'DL', departureTime: '08:00' });
+    assert.deepEqual(breakdown, { carrier: 1, outboundTime: 0 });
+    assert.equal(score, 0.7);
+    assert.equal(scoreOffer(offer, {}).score, 0.5);
+});
+
+test('gives partner-operated offers partial carrier credit', () => {
+    const offer = buildOffer({ carrier: 'AF', validatingCarrier: 'DL', journeys: [[['8423', '2027-03-14T08:00:00']]] });
+    assert.equal(scoreOffer(offer, { airline: 'DL' }).breakdown.carrier, 0.5);
+});
+
+test('treats a missing return itinerary as a mismatch', () => {
+    const offer = buildOffer({ journeys: [[['423', '2027-03-14T08:00:00']]] });
+    assert.equal(scoreOffer(offer, { returnTime: '18:00' }).breakdown.returnTime, 0);
+});
+
+test('checks every booked segment when journeys are given', () => {
+    const offer = buildOffer({ journeys: [[['423', '2027-03-14T08:00:00'], ['1200', '2027-03-14T13:00:00']]] });
+    const journeys = [{ departureTime: '08:00', segments: [{ flightNumber: 'DL423' }, { flightNumber: 'DL1300' }] }];
+    assert.equal(scoreOffer(offer, { journeys }).breakdown.flightNumber, 0.5);
+});
+
+test('picks the best offer, preferring the earlier (cheaper) one on ties', () => {
+    const cheaper = buildOffer({ journeys: [[['423', '2027-03-14T08:00:00']]] });
+    const alsoExact = buildOffer({ journeys: [[['423', '2027-03-14T08:00:00']]] });
+    const worse = buildOffer({ journeys: [[['100', '2027-03-14T14:00:00']]] });
+    const criteria = { airline: 'DL', flightNumber: 'DL423', departureTime: '08:00' };
+    assert.equal(matchOffer([worse, cheaper, alsoExact], criteria).offer, cheaper);
+    assert.equal(matchOffer([], criteria), null);
+});
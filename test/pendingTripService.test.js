@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildParsedTrip } = require('../services/emailParserRegistry');
+const { scoreParsedTrip } = require('../services/parseConfidenceService');
+const { applyCorrections } = require('../services/pendingTripService');
+
+const parsed = buildParsedTrip({
+    bookingReference: 'ABC123',
+    airline: 'Delta',
+    totalPrice: 420,
+    segments: [
+        { carrierCode: 'DL', flightNumber: 'DL423', origin: 'JFK', destination: 'ATL', departureDate: '2027-03-14', departureTime: '08:00' },
+        { carrierCode: 'DL', flightNumber: 'DL1300', origin: 'ATL', destination: 'LAX', departureDate: '2027-03-14', departureTime: '12:30' },
+    ],
+});
+const confidence = scoreParsedTrip(parsed, { parserConfidence: 0.5 });
+
+test('normalises corrected fields and trusts them', () => {
+    const { trip, confidence: rescored } = applyCorrections(parsed, confidence, {
+        bookingReference: ' xyz789 ', totalPrice: '399.5', currency: 'eur',
+    });
+    assert.equal(trip.bookingReference, 'XYZ789');
+    assert.equal(trip.totalPrice, 399.5);
+    assert.equal(trip.currency, 'EUR');
+    assert.equal(rescored.fields.bookingReference, 1);
+    assert.equal(rescored.fields.totalPrice, 1);
+    // Fields that weren't corrected keep the parser's score
+    assert.equal(rescored.fields.route, confidence.fields.route);
+});
+
+test('moves the route ends but keeps connections', () => {
+    const { trip } = applyCorrections(parsed, confidence, { departureAirport: 'lga', departureTime: '07:15' });
+    assert.equal(trip.departureAirport, 'LGA');
+    assert.equal(trip.departureTime, '07:15');
+    assert.deepEqual(trip.segments.map(segment => [segment.origin, segment.destination]), [['LGA', 'ATL'], ['ATL', 'LAX']]);
+});
+
+test('adds a return flight for a return date on a one-way trip', () => {
+    const { trip } = applyCorrections(parsed, confidence, { returnDate: '2027-03-21', returnTime: '18:00' });
+    const returnLeg = trip.segments.find(segment => segment.journeyIndex === 1);
+    assert.deepEqual([returnLeg.origin, returnLeg.destination, returnLeg.departureDate], ['LAX', 'JFK', '2027-03-21']);
+    assert.equal(trip.returnTime, '18:00');
+    assert.throws(() => applyCorrections(parsed, confidence, { returnTime: '18:00' }), /returnDate is required/);
+});
+
+test('rejects malformed corrections', () => {
+    assert.throws(() => applyCorrections(parsed, confidence, { bookingReference: 'no!' }), /Invalid booking reference/);
+    assert.throws(() => applyCorrections(parsed, confidence, { totalPrice: -1 }), /Invalid total price/);
+    assert.throws(() => applyCorrections(parsed, confidence, { currency: 'dollars' }), /Invalid currency/);
+    assert.throws(() => applyCorrections(parsed, confidence, { arrivalAirport: 'ZZZ' }), /Invalid/);
+    assert.throws(() => applyCorrections(parsed, confidence, { departureTime: '8am' }), /Invalid departure time/);
+    assert.throws(() => applyCorrections(parsed, confidence, { segments: [] }), /at least one segment/);
+});
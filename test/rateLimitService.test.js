@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sleep } = require('../services/workerPool');
+const {
+    RATE_LIMIT_BUCKETS, createMemoryStore, setRateLimitStore, getRateLimit, consumeRateLimit,
+} = require('../services/rateLimitService');
+
+test('the memory store counts within a window and starts over after it', async () => {
+    const store = createMemoryStore();
+    assert.equal((await store.increment('api:user:a', 50)).count, 1);
+    const second = await store.increment('api:user:a', 50);
+    assert.equal(second.count, 2);
+    assert.ok(second.resetMs > 0 && second.resetMs <= 50);
+    assert.equal((await store.increment('api:user:b', 50)).count, 1);
+
+    await sleep(60);
+    assert.equal((await store.increment('api:user:a', 50)).count, 1);
+});
+
+test('the memory store drops the oldest window when it is full', async () => {
+    const store = createMemoryStore({ maxKeys: 2 });
+    await store.increment('a', 60000);
+    await store.increment('a', 60000);
+    await store.increment('b', 60000);
+    await store.increment('c', 60000);
+    assert.equal((await store.increment('b', 60000)).count, 2);
+    assert.equal((await store.increment('a', 60000)).count, 1);
+});
+
+test('limits come from the subscription plan', () => {
+    assert.equal(getRateLimit(RATE_LIMIT_BUCKETS.API, 'pro').limit, 300);
+    assert.equal(getRateLimit(RATE_LIMIT_BUCKETS.API, 'unknown').limit, 60);
+    assert.equal(getRateLimit(RATE_LIMIT_BUCKETS.TRIP_CREATE).windowMs, 60 * 60 * 1000);
+    assert.throws(() => getRateLimit('nope'), /Unknown rate limit bucket/);
+});
+
+test('requests over the limit are refused', async () => {
+    const keys = [];
+    setRateLimitStore({
+        increment: async (key) => {
+            keys.push(key);
+            return { count: keys.length === 1 ? 60 : 61, resetMs: 1000 };
+        },
+    });
+    const subject = { key: 'user:a', plan: 'free' };
+    assert.deepEqual(await consumeRateLimit(RATE_LIMIT_BUCKETS.API, subject), { allowed: true, limit: 60, remaining: 0, resetMs: 1000, windowMs: 60000 });
+    assert.equal((await consumeRateLimit(RATE_LIMIT_BUCKETS.API, subject)).allowed, false);
+    assert.deepEqual(keys, ['api:user:a', 'api:user:a']);
+
+    assert.throws(() => setRateLimitStore({}), /must implement increment/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { retryWithBackoff, runWithConcurrency } = require('../services/workerPool');
+
+// Records the delays retryWithBackoff sleeps for instead of waiting them out.
+const recordDelays = (t, random) => {
+    const delays = [];
+    t.mock.method(globalThis, 'setTimeout', (callback, ms) => {
+        delays.push(ms);
+        callback();
+    });
+    t.mock.method(Math, 'random', () => random);
+    t.mock.method(console, 'warn', () => {});
+    return delays;
+};
+
+const failTimes = (count, error = new Error('transient')) => {
+    let calls = 0;
+    return async (attempt) => {
+        calls++;
+        if (calls <= count) throw error;
+        return attempt;
+    };
+};
+
+test('retries with doubling delays, jittered down to half', async (t) => {
+    const delays = recordDelays(t, 0);
+    assert.equal(await retryWithBackoff(failTimes(3), { retries: 3, baseDelayMs: 100 }), 4);
+    assert.deepEqual(delays, [50, 100, 200]);
+});
+
+test('caps the delay and honours a longer Retry-After', async (t) => {
+    const delays = recordDelays(t, 0.999999);
+    await retryWithBackoff(failTimes(4), { retries: 4, baseDelayMs: 100, maxDelayMs: 300 });
+    assert.deepEqual(delays.map(Math.round), [100, 200, 300, 300]);
+
+    delays.length = 0;
+    const limited = Object.assign(new Error('429'), { retryAfterMs: 5000 });
+    await retryWithBackoff(failTimes(1, limited), { baseDelayMs: 100 });
+    assert.deepEqual(delays, [5000]);
+});
+
+test('gives up once retries run out or the error is permanent', async (t) => {
+    const delays = recordDelays(t, 0);
+    await assert.rejects(retryWithBackoff(failTimes(3), { retries: 2, baseDelayMs: 100 }), /transient/);
+    assert.equal(delays.length, 2);
+
+    delays.length = 0;
+    await assert.rejects(retryWithBackoff(failTimes(1), { shouldRetry: () => false }), /transient/);
+    assert.deepEqual(delays, []);
+});
+
+test('runs items with bounded concurrency and keeps going past failures', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        if (item === 3) throw new Error('bad item');
+        return item * 10;
+    });
+    assert.equal(peak, 2);
+    assert.deepEqual(results.map(result => result.value ?? result.reason.message), [10, 20, 'bad item', 40, 50]);
+});